@@ -45,10 +45,10 @@ MAX_FILE_SIZE=50000000
 
 // Create upload directories
 const uploadDirs = [
-    'public/uploads/songs',
-    'public/uploads/covers',
-    'public/uploads/avatars',
-    'public/uploads/playlists'
+    'storage/songs',
+    'storage/covers',
+    'storage/avatars',
+    'storage/playlists'
 ];
 
 uploadDirs.forEach(dir => {
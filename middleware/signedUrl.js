@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+// Lifetime of a signed stream URL, in seconds
+const STREAM_URL_TTL = parseInt(process.env.STREAM_URL_TTL) || 2 * 60 * 60;
+
+const getSecret = () => process.env.STREAM_URL_SECRET || process.env.SESSION_SECRET || 'tuneforge-secret-key';
+
+// Guests get URLs bound to a placeholder id (they can only reach non-premium songs)
+const userKey = (userId) => (userId ? userId.toString() : 'guest');
+
+const computeSignature = (songId, userId, expires) => {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${songId}:${userKey(userId)}:${expires}`)
+    .digest('hex');
+};
+
+// Query string granting the user access to a song's audio until it expires
+const signStreamQuery = (songId, userId, ttl = STREAM_URL_TTL) => {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const sig = computeSignature(songId.toString(), userId, expires);
+  return `expires=${expires}&uid=${encodeURIComponent(userKey(userId))}&sig=${sig}`;
+};
+
+const signStreamUrl = (url, songId, userId, ttl) => {
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}${signStreamQuery(songId, userId, ttl)}`;
+};
+
+// Verify the HMAC, expiry, song id and requesting user of a stream URL
+const requireSignedUrl = (req, res, next) => {
+  const { expires, uid, sig } = req.query;
+  const sessionUserId = req.session && req.session.user ? req.session.user.id : null;
+
+  if (!expires || !uid || !sig) {
+    return res.status(403).json({ error: 'Signed URL required' });
+  }
+
+  if (parseInt(expires) < Math.floor(Date.now() / 1000)) {
+    return res.status(403).json({ error: 'Stream URL has expired' });
+  }
+
+  // The URL only works for the user it was issued to
+  if (uid !== userKey(sessionUserId)) {
+    return res.status(403).json({ error: 'Invalid stream URL' });
+  }
+
+  const expected = Buffer.from(computeSignature(req.params.id, sessionUserId, expires), 'hex');
+  const provided = Buffer.from(String(sig), 'hex');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(403).json({ error: 'Invalid stream URL' });
+  }
+
+  next();
+};
+
+module.exports = {
+  STREAM_URL_TTL,
+  signStreamQuery,
+  signStreamUrl,
+  requireSignedUrl
+};
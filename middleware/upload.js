@@ -1,14 +1,28 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { getStorage, publicUrl } = require('../utils/storage');
+
+// Multer stages files here; they are processed locally and then handed to the storage backend
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'tuneforge-uploads');
+
+// Storage key prefix for each upload field
+const STORAGE_PREFIXES = {
+  song: 'songs',
+  songFile: 'songs',
+  coverArt: 'covers',
+  avatar: 'avatars',
+  artistImage: 'artists',
+  albumCover: 'albums',
+  genreImage: 'genres',
+  playlistCover: 'playlists'
+};
 
 // Ensure upload directories exist
 const ensureUploadDirs = () => {
   const dirs = [
-    './public/uploads/songs',
-    './public/uploads/covers',
-    './public/uploads/avatars',
-    './public/uploads/playlists'
+    UPLOAD_TMP_DIR
   ];
   
   dirs.forEach(dir => {
@@ -24,7 +38,7 @@ ensureUploadDirs();
 // Storage configuration for songs
 const songStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, './public/uploads/songs');
+    cb(null, UPLOAD_TMP_DIR);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -35,16 +49,7 @@ const songStorage = multer.diskStorage({
 // Storage configuration for images
 const imageStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    let uploadPath = './public/uploads/covers';
-    
-    // Determine upload path based on field name
-    if (file.fieldname === 'avatar') {
-      uploadPath = './public/uploads/avatars';
-    } else if (file.fieldname === 'playlistCover') {
-      uploadPath = './public/uploads/playlists';
-    }
-    
-    cb(null, uploadPath);
+    cb(null, UPLOAD_TMP_DIR);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -112,11 +117,7 @@ const uploadImage = multer({
 const uploadSongWithCover = multer({
   storage: multer.diskStorage({
     destination: (req, file, cb) => {
-      if (file.fieldname === 'songFile') {
-        cb(null, './public/uploads/songs');
-      } else if (file.fieldname === 'coverArt') {
-        cb(null, './public/uploads/covers');
-      }
+      cb(null, UPLOAD_TMP_DIR);
     },
     filename: (req, file, cb) => {
       const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -138,13 +139,96 @@ const uploadSongWithCover = multer({
   }
 });
 
+// File filter for ZIP archives
+const archiveFileFilter = (req, file, cb) => {
+  const allowedMimes = [
+    'application/zip',
+    'application/x-zip-compressed',
+    'application/octet-stream'
+  ];
+  
+  if (allowedMimes.includes(file.mimetype) && path.extname(file.originalname).toLowerCase() === '.zip') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only ZIP archives are allowed'), false);
+  }
+};
+
+// Multer configuration for bulk album uploads (ZIP + optional cover)
+const uploadAlbumArchive = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, UPLOAD_TMP_DIR);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname === 'albumArchive') {
+      archiveFileFilter(req, file, cb);
+    } else if (file.fieldname === 'coverArt') {
+      imageFileFilter(req, file, cb);
+    } else {
+      cb(new Error('Invalid field name'), false);
+    }
+  },
+  limits: {
+    fileSize: 1024 * 1024 * 1024, // 1GB limit
+    files: 2
+  }
+});
+
+// File filter for catalog metadata spreadsheets
+const catalogFileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  
+  if (extension === '.csv' || extension === '.json') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only CSV or JSON files are allowed'), false);
+  }
+};
+
+// Multer configuration for catalog imports (parsed straight from memory)
+const uploadCatalogFile = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: catalogFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+});
+
+// File filter for playlist files from other players
+const playlistFileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  
+  if (['.m3u', '.m3u8', '.xspf', '.pls'].includes(extension)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only M3U, M3U8, XSPF or PLS files are allowed'), false);
+  }
+};
+
+// Multer configuration for playlist imports (parsed straight from memory)
+const uploadPlaylistFile = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: playlistFileFilter,
+  limits: {
+    fileSize: 1024 * 1024, // 1MB limit
+    files: 1
+  }
+});
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File too large. Maximum size is 50MB for songs and 5MB for images.'
+        message: 'File too large. Maximum size is 50MB for songs, 1GB for album archives, 5MB for images and 1MB for playlist files.'
       });
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
@@ -168,6 +252,27 @@ const handleUploadError = (error, req, res, next) => {
     });
   }
   
+  if (error.message.includes('Only ZIP archives are allowed')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only ZIP archives are allowed'
+    });
+  }
+  
+  if (error.message.includes('Only CSV or JSON files are allowed')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only CSV or JSON files are allowed'
+    });
+  }
+  
+  if (error.message.includes('Only M3U, M3U8, XSPF or PLS files are allowed')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only M3U, M3U8, XSPF or PLS files are allowed'
+    });
+  }
+  
   if (error.message.includes('Only image files are allowed')) {
     return res.status(400).json({
       success: false,
@@ -185,6 +290,20 @@ const deleteUploadedFile = (filePath) => {
   }
 };
 
+// Move a staged upload into the storage backend and return its storage key
+const persistUpload = async (file) => {
+  const prefix = STORAGE_PREFIXES[file.fieldname] || 'misc';
+  const key = `${prefix}/${file.filename}`;
+  
+  await getStorage().putFile(key, file.path, { contentType: file.mimetype });
+  deleteUploadedFile(file.path);
+  
+  return key;
+};
+
+// Same as persistUpload, but returns the public /media URL (for images)
+const persistPublicUpload = async (file) => publicUrl(await persistUpload(file));
+
 // Helper function to get file info
 const getFileInfo = (file) => {
   if (!file) return null;
@@ -199,11 +318,17 @@ const getFileInfo = (file) => {
 };
 
 module.exports = {
+  UPLOAD_TMP_DIR,
   uploadSong,
   uploadImage,
   uploadSongWithCover,
+  uploadAlbumArchive,
+  uploadCatalogFile,
+  uploadPlaylistFile,
   handleUploadError,
   deleteUploadedFile,
+  persistUpload,
+  persistPublicUpload,
   getFileInfo,
   ensureUploadDirs
 };
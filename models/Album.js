@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const { normalizeText, normalizeTitle } = require('../utils/fingerprint');
+
+const DEFAULT_COVER = '/images/default-album-cover.png';
+
+const albumSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  titleKey: String, // normalized title, used to match uploads to the album
+  artists: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist'
+  }],
+  artist: {
+    type: String,
+    trim: true
+  }, // display line, e.g. "Daft Punk" or "Various Artists"
+  type: {
+    type: String,
+    enum: ['album', 'ep', 'single', 'compilation'],
+    default: 'album'
+  },
+  releaseDate: Date,
+  label: {
+    type: String,
+    trim: true
+  },
+  upc: {
+    type: String,
+    trim: true,
+    match: [/^\d{12,13}$/, 'UPC must be 12 or 13 digits']
+  },
+  coverArt: {
+    type: String,
+    default: DEFAULT_COVER
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+albumSchema.index({ titleKey: 1, artists: 1 });
+albumSchema.index({ artists: 1, releaseDate: -1 });
+albumSchema.index({ title: 'text', artist: 'text' });
+
+// Virtual for the release year shown on album cards
+albumSchema.virtual('releaseYear').get(function() {
+  return this.releaseDate ? this.releaseDate.getUTCFullYear() : undefined;
+});
+
+// Give new albums a unique slug ("daft-punk-discovery") and keep the match key in sync with the title
+albumSchema.pre('validate', async function() {
+  if (this.isModified('title') || !this.titleKey) {
+    this.titleKey = normalizeTitle(this.title);
+  }
+
+  if (!this.slug) {
+    const base = normalizeText(`${this.artist || ''} ${this.title}`).replace(/\s+/g, '-') || 'album';
+    let slug = base;
+    for (let suffix = 2; await this.constructor.exists({ slug }); suffix++) {
+      slug = `${base}-${suffix}`;
+    }
+    this.slug = slug;
+  }
+});
+
+// Static method to find the album a song belongs to (same title and primary artist), creating it on first use
+albumSchema.statics.findOrCreateForSong = async function(song) {
+  const primary = song.artists.find(credit => credit.role === 'primary') || song.artists[0];
+  const titleKey = normalizeTitle(song.album);
+  const query = { titleKey };
+  if (primary) query.artists = primary.artist;
+
+  const existing = await this.findOne(query);
+  if (existing) return existing;
+
+  const Artist = mongoose.model('Artist');
+  const artist = primary ? await Artist.findById(primary.artist).select('name') : null;
+
+  return this.create({
+    title: song.album,
+    artists: primary ? [primary.artist] : [],
+    artist: artist ? artist.name : song.artist,
+    releaseDate: song.releaseYear ? new Date(Date.UTC(song.releaseYear, 0, 1)) : undefined,
+    label: song.metadata && song.metadata.label,
+    coverArt: song.coverArt || DEFAULT_COVER
+  });
+};
+
+// Static method to get an album's songs in disc/track order
+albumSchema.statics.getTracks = function(albumId, filters = {}) {
+  const Song = mongoose.model('Song');
+  return Song.find({ albumId, isActive: true, ...filters })
+    .sort({ discNumber: 1, trackNumber: 1, title: 1 });
+};
+
+// Static method to count each album's active tracks (album id -> count)
+albumSchema.statics.countTracks = async function(albumIds) {
+  const Song = mongoose.model('Song');
+  const counts = await Song.aggregate([
+    { $match: { isActive: true, albumId: { $in: albumIds } } },
+    { $group: { _id: '$albumId', tracks: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(count => [count._id.toString(), count.tracks]));
+};
+
+// Static method to set the track list: songs are moved into the album and numbered as given
+albumSchema.statics.setTracks = async function(albumId, tracks) {
+  const Song = mongoose.model('Song');
+  const album = await this.findById(albumId);
+
+  if (!album) {
+    throw new Error('Album not found');
+  }
+
+  const leftAlbums = new Set();
+  let moved = false;
+
+  for (const { song: songId, discNumber, trackNumber } of tracks) {
+    const song = await Song.findById(songId);
+    if (!song) {
+      throw new Error(`Song ${songId} not found`);
+    }
+
+    if (!song.albumId || !song.albumId.equals(album._id)) {
+      moved = true;
+      if (song.albumId) leftAlbums.add(song.albumId.toString());
+    }
+
+    // Song's post-save hook removes the album it came from if this was its last track
+    song.albumId = album._id;
+    song.discNumber = discNumber || 1;
+    song.trackNumber = trackNumber;
+    await song.save();
+  }
+
+  // Tracks moving in change the album gain here and on the albums they left
+  if (moved) {
+    for (const albumId of [album._id, ...leftAlbums]) {
+      await Song.updateAlbumGain(albumId);
+    }
+  }
+
+  return album;
+};
+
+// Static method to delete an album once its last song is gone (its cover is left for the storage checker)
+albumSchema.statics.removeIfEmpty = async function(albumId) {
+  if (!albumId) return false;
+
+  const Song = mongoose.model('Song');
+  if (await Song.exists({ albumId })) return false;
+
+  await this.deleteOne({ _id: albumId });
+  return true;
+};
+
+module.exports = mongoose.model('Album', albumSchema);
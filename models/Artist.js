@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { normalizeText, normalizeArtist } = require('../utils/fingerprint');
+
+const DEFAULT_IMAGE = '/images/default-artist.png';
+
+const artistSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: 5000,
+    default: ''
+  },
+  image: {
+    type: String,
+    default: DEFAULT_IMAGE
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  nameKeys: [String], // normalized name and aliases, used to match credits
+  externalIds: {
+    musicbrainz: String,
+    spotify: String,
+    appleMusic: String,
+    discogs: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+artistSchema.index({ nameKeys: 1 });
+artistSchema.index({ name: 'text', aliases: 'text' });
+
+// "Daft Punk" -> "daft-punk"
+const slugify = (name) => normalizeText(name).replace(/\s+/g, '-') || 'artist';
+
+// Give new artists a unique slug and keep the match keys in sync with name and aliases
+artistSchema.pre('validate', async function() {
+  if (this.isModified('name') || this.isModified('aliases') || !this.nameKeys || this.nameKeys.length === 0) {
+    this.nameKeys = [...new Set([this.name, ...this.aliases].map(normalizeArtist).filter(Boolean))];
+  }
+
+  if (!this.slug) {
+    const base = slugify(this.name);
+    let slug = base;
+    for (let suffix = 2; await this.constructor.exists({ slug }); suffix++) {
+      slug = `${base}-${suffix}`;
+    }
+    this.slug = slug;
+  }
+});
+
+// Static method to find an artist by name or alias, ignoring case, accents and a leading "The"
+artistSchema.statics.findByName = function(name) {
+  const key = normalizeArtist(name);
+  return key ? this.findOne({ nameKeys: key }) : Promise.resolve(null);
+};
+
+// Static method to find an artist by name, creating it on first use
+artistSchema.statics.findOrCreateByName = async function(name) {
+  const existing = await this.findByName(name);
+  if (existing) return existing;
+
+  try {
+    return await this.create({ name: name.trim() });
+  } catch (error) {
+    // Another request created the same artist in the meantime
+    if (error.code === 11000) {
+      const created = await this.findByName(name);
+      if (created) return created;
+    }
+    throw error;
+  }
+};
+
+// Static method to turn parsed credits ({ name, role }) into artist references
+artistSchema.statics.resolveCredits = async function(credits) {
+  const resolved = [];
+
+  for (const { name, role } of credits) {
+    const artist = await this.findOrCreateByName(name);
+    const duplicate = resolved.some(credit => credit.artist.equals(artist._id) && credit.role === role);
+    if (!duplicate) {
+      resolved.push({ artist: artist._id, role });
+    }
+  }
+
+  return resolved;
+};
+
+// Static method to fold one artist into another: credits move over and the old name becomes an alias
+artistSchema.statics.merge = async function(targetId, sourceId) {
+  const Song = mongoose.model('Song');
+  const [target, source] = await Promise.all([this.findById(targetId), this.findById(sourceId)]);
+
+  if (!target || !source) {
+    throw new Error('Artist not found');
+  }
+  if (target._id.equals(source._id)) {
+    throw new Error('Cannot merge an artist into itself');
+  }
+
+  // Saving with new credits rewrites each song's display name through the Song pre-save hook
+  const songs = await Song.find({ 'artists.artist': source._id });
+  for (const song of songs) {
+    const credits = [];
+    song.artists.forEach(credit => {
+      const artist = credit.artist.equals(source._id) ? target._id : credit.artist;
+      if (!credits.some(existing => existing.artist.equals(artist) && existing.role === credit.role)) {
+        credits.push({ artist, role: credit.role });
+      }
+    });
+    song.artists = credits;
+    await song.save();
+  }
+
+  target.aliases = [...new Set([...target.aliases, source.name, ...source.aliases])]
+    .filter(alias => normalizeArtist(alias) !== normalizeArtist(target.name));
+  if (!target.bio) target.bio = source.bio;
+  if (target.image === DEFAULT_IMAGE) target.image = source.image;
+  ['musicbrainz', 'spotify', 'appleMusic', 'discogs'].forEach(service => {
+    if (!target.externalIds[service] && source.externalIds[service]) {
+      target.externalIds[service] = source.externalIds[service];
+    }
+  });
+
+  // Albums credit the target instead, without listing it twice
+  const Album = mongoose.model('Album');
+  await Album.updateMany({ artists: source._id }, { $addToSet: { artists: target._id } });
+  await Album.updateMany({ artists: source._id }, { $pull: { artists: source._id } });
+
+  await source.deleteOne();
+  await target.save();
+
+  return target;
+};
+
+module.exports = mongoose.model('Artist', artistSchema);
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const { normalizeText } = require('../utils/fingerprint');
+
+// The genres every install starts with (the values of the old hardcoded enum)
+const DEFAULT_GENRES = [
+  { slug: 'pop', name: 'Pop' },
+  { slug: 'rock', name: 'Rock' },
+  { slug: 'hip-hop', name: 'Hip-Hop', aliases: ['Hip Hop', 'Rap'] },
+  { slug: 'jazz', name: 'Jazz' },
+  { slug: 'classical', name: 'Classical' },
+  { slug: 'electronic', name: 'Electronic', aliases: ['Electronica', 'Dance', 'EDM'] },
+  { slug: 'country', name: 'Country' },
+  { slug: 'blues', name: 'Blues' },
+  { slug: 'reggae', name: 'Reggae' },
+  { slug: 'folk', name: 'Folk' },
+  { slug: 'other', name: 'Other' }
+];
+
+const FALLBACK_GENRE = 'other';
+
+const genreSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  }, // stored on Song.genre, so it never changes after creation
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Genre',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  image: String,
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  tagKeys: [String], // normalized slug, name and aliases, used to match file tags
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+genreSchema.index({ parent: 1, sortOrder: 1, name: 1 });
+genreSchema.index({ tagKeys: 1 });
+
+// "Hip Hop", "hip-hop" and "HIP_HOP" all become "hip hop"
+const tagKey = (value) => normalizeText(String(value));
+
+// Keep the tag keys in sync, and refuse a parent that would make a loop
+genreSchema.pre('validate', async function() {
+  if (this.isNew && !this.slug && this.name) {
+    this.slug = normalizeText(this.name).replace(/\s+/g, '-');
+  }
+
+  if (this.isModified('slug') && !this.isNew) {
+    this.invalidate('slug', 'Slug cannot be changed once songs may use it');
+  }
+
+  if (this.isModified('name') || this.isModified('aliases') || !this.tagKeys || this.tagKeys.length === 0) {
+    this.tagKeys = [...new Set([this.slug, this.name, ...this.aliases].filter(Boolean).map(tagKey).filter(Boolean))];
+  }
+
+  if (this.isModified('parent') && this.parent) {
+    for (let ancestorId = this.parent; ancestorId; ) {
+      if (ancestorId.equals(this._id)) {
+        this.invalidate('parent', 'A genre cannot be its own parent or sit under one of its sub-genres');
+        break;
+      }
+      const ancestor = await this.constructor.findById(ancestorId).select('parent');
+      ancestorId = ancestor ? ancestor.parent : null;
+    }
+  }
+});
+
+// Static method to create the default genres on a fresh install
+genreSchema.statics.seedDefaults = async function() {
+  if (await this.exists({})) return 0;
+
+  await this.insertMany(DEFAULT_GENRES.map((genre, index) => ({
+    ...genre,
+    aliases: genre.aliases || [],
+    tagKeys: [...new Set([genre.slug, genre.name, ...(genre.aliases || [])].map(tagKey))],
+    sortOrder: genre.slug === FALLBACK_GENRE ? 1000 : index
+  })));
+
+  return DEFAULT_GENRES.length;
+};
+
+// Static method to check a Song.genre value
+genreSchema.statics.isValidSlug = async function(slug) {
+  return Boolean(slug) && Boolean(await this.exists({ slug: String(slug).toLowerCase() }));
+};
+
+// Static method to get a genre's slug plus the slugs of all its sub-genres (at any depth), for filters
+genreSchema.statics.descendantSlugs = async function(slug) {
+  const genres = await this.find().select('slug parent').lean();
+  const root = genres.find(genre => genre.slug === String(slug).toLowerCase());
+  if (!root) return [String(slug)];
+
+  const slugs = [];
+  const queue = [root];
+  while (queue.length > 0) {
+    const genre = queue.shift();
+    slugs.push(genre.slug);
+    queue.push(...genres.filter(child => child.parent && child.parent.equals(genre._id)));
+  }
+
+  return slugs;
+};
+
+// Static method to get the genres as a tree: top-level genres with nested subGenres, in display order
+genreSchema.statics.getTree = async function(filters = {}) {
+  const genres = await this.find(filters).sort({ sortOrder: 1, name: 1 }).lean();
+  // Sub-genres of a filtered-out (e.g. hidden) parent are left out with it
+  const childrenOf = (parentId) => genres
+    .filter(genre => (parentId ? genre.parent && genre.parent.equals(parentId) : !genre.parent))
+    .map(genre => ({ ...genre, subGenres: childrenOf(genre._id) }));
+
+  return childrenOf(null);
+};
+
+// Static method to get the tree with active song counts; a genre's count includes its sub-genres
+genreSchema.statics.getTreeWithCounts = async function(filters = {}, songFilters = {}) {
+  const Song = mongoose.model('Song');
+  const counts = await Song.aggregate([
+    { $match: { isActive: true, ...songFilters } },
+    { $group: { _id: '$genre', count: { $sum: 1 } } }
+  ]);
+  const countsBySlug = new Map(counts.map(count => [count._id, count.count]));
+
+  const addCounts = (genre) => {
+    genre.subGenres.forEach(addCounts);
+    genre.songCount = (countsBySlug.get(genre.slug) || 0) +
+      genre.subGenres.reduce((sum, subGenre) => sum + subGenre.songCount, 0);
+    return genre;
+  };
+
+  return (await this.getTree(filters)).map(addCounts);
+};
+
+// Static method to get one genre from the counted tree, with its sub-genres
+genreSchema.statics.getBranchWithCounts = async function(slug, filters = {}, songFilters = {}) {
+  const find = (genres) => {
+    for (const genre of genres) {
+      if (genre.slug === slug) return genre;
+      const found = find(genre.subGenres);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  return find(await this.getTreeWithCounts(filters, songFilters));
+};
+
+// Static method to get a genre's parents, top-level first (for breadcrumbs)
+genreSchema.statics.getAncestors = async function(genre) {
+  const ancestors = [];
+  for (let parentId = genre.parent; parentId && ancestors.length < 20; ) {
+    const parent = await this.findById(parentId).select('name slug parent').lean();
+    if (!parent) break;
+    ancestors.unshift(parent);
+    parentId = parent.parent;
+  }
+  return ancestors;
+};
+
+// Static method to get a flat list for <select> menus: [{ _id, slug, name, depth }] in tree order
+genreSchema.statics.getOptions = async function(filters = { isActive: true }) {
+  const options = [];
+  const walk = (genres, depth) => genres.forEach(genre => {
+    options.push({ _id: genre._id, slug: genre.slug, name: genre.name, depth });
+    walk(genre.subGenres, depth + 1);
+  });
+  walk(await this.getTree(filters), 0);
+  return options;
+};
+
+// Static method to delete a genre: its songs move to the replacement (by default the parent genre)
+// and its sub-genres move up a level
+genreSchema.statics.deleteAndReassign = async function(genreId, replacementSlug) {
+  const Song = mongoose.model('Song');
+  const genre = await this.findById(genreId);
+
+  if (!genre) {
+    throw new Error('Genre not found');
+  }
+
+  const parent = genre.parent ? await this.findById(genre.parent).select('slug') : null;
+  const replacement = replacementSlug || (parent ? parent.slug : FALLBACK_GENRE);
+  if (replacement === genre.slug || !(await this.isValidSlug(replacement))) {
+    throw new Error(`Choose another genre for its songs (${replacement} cannot be used)`);
+  }
+
+  const { modifiedCount } = await Song.updateMany({ genre: genre.slug }, { genre: replacement });
+  await this.updateMany({ parent: genre._id }, { parent: genre.parent });
+  await genre.deleteOne();
+
+  return { replacement, movedSongs: modifiedCount };
+};
+
+// Static method to map a free-text file tag (e.g. "Hip Hop", "Rock/Pop") onto a genre slug
+genreSchema.statics.matchTag = async function(tag) {
+  if (!tag) return undefined;
+
+  const candidates = String(tag).split(/[/;,]/).map(tagKey).filter(Boolean);
+  const genres = await this.find({ tagKeys: { $in: candidates }, isActive: true }).select('slug tagKeys').lean();
+
+  // Prefer the first genre named in the tag
+  for (const candidate of candidates) {
+    const match = genres.find(genre => genre.tagKeys.includes(candidate));
+    if (match) return match.slug;
+  }
+
+  return (await this.exists({ slug: FALLBACK_GENRE })) ? FALLBACK_GENRE : undefined;
+};
+
+module.exports = mongoose.model('Genre', genreSchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+// Retry delays grow exponentially from BACKOFF_BASE up to BACKOFF_MAX
+const BACKOFF_BASE = 30 * 1000; // 30 seconds
+const BACKOFF_MAX = 60 * 60 * 1000; // 1 hour
+
+// A running job whose worker hasn't finished within this time is assumed dead and picked up again
+const LOCK_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String, // worker id
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, 'payload.songId': 1 });
+
+// Delay before the next attempt, given how many attempts have been made
+const backoffDelay = (attempts) => Math.min(BACKOFF_BASE * Math.pow(2, Math.max(attempts - 1, 0)), BACKOFF_MAX);
+
+// Method to mark the job as done
+jobSchema.methods.complete = function(result) {
+  this.status = 'completed';
+  this.result = result;
+  this.lastError = undefined;
+  this.lockedAt = undefined;
+  this.lockedBy = undefined;
+  this.completedAt = new Date();
+  return this.save();
+};
+
+// Method to record a failed attempt; reschedules with backoff until attempts run out
+jobSchema.methods.fail = function(error) {
+  this.lastError = error && error.message ? error.message : String(error);
+  this.lockedAt = undefined;
+  this.lockedBy = undefined;
+
+  if (this.attempts < this.maxAttempts) {
+    this.status = 'pending';
+    this.runAt = new Date(Date.now() + backoffDelay(this.attempts));
+  } else {
+    this.status = 'failed';
+  }
+
+  return this.save();
+};
+
+// Method to queue a failed job again with a fresh set of attempts
+jobSchema.methods.retry = function() {
+  this.status = 'pending';
+  this.attempts = 0;
+  this.runAt = new Date();
+  this.lastError = undefined;
+  return this.save();
+};
+
+// Static method to add a job to the queue
+jobSchema.statics.enqueue = function(type, payload = {}, options = {}) {
+  return this.create({
+    type,
+    payload,
+    maxAttempts: options.maxAttempts,
+    runAt: options.runAt || new Date()
+  });
+};
+
+// Static method to atomically claim the next due job (or one abandoned by a dead worker)
+jobSchema.statics.claimNext = function(workerId, types) {
+  const now = new Date();
+  const query = {
+    $or: [
+      { status: 'pending', runAt: { $lte: now } },
+      { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) } }
+    ]
+  };
+
+  if (types) {
+    query.type = { $in: types };
+  }
+
+  return this.findOneAndUpdate(
+    query,
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Static method to get jobs an admin may need to look at
+jobSchema.statics.getOutstanding = function(limit = 50) {
+  return this.find({ status: { $in: ['pending', 'running', 'failed'] } })
+    .sort({ status: 1, updatedAt: -1 })
+    .limit(limit);
+};
+
+jobSchema.statics.backoffDelay = backoffDelay;
+
+module.exports = mongoose.model('Job', jobSchema);
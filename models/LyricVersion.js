@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { normalizeLanguageTag, languageName, lyricLines } = require('../utils/lyrics');
+
+// The song's own lyrics (Song.lyrics / syncedLyrics) are the original; these are the other versions
+const VERSION_KINDS = ['translation', 'romanization'];
+
+const lyricVersionSchema = new mongoose.Schema({
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: VERSION_KINDS,
+    default: 'translation'
+  },
+  language: {
+    type: String,
+    required: true,
+    trim: true
+  }, // BCP 47 tag, e.g. "es", "pt-BR", or "ja-Latn" for a romanization
+  text: {
+    type: String,
+    required: true,
+    maxlength: 20000
+  }, // one line per line of the original
+  contributor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  credit: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }, // shown instead of the contributor's username, e.g. "Official translation by ..."
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'superseded'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+lyricVersionSchema.index({ song: 1, status: 1, language: 1 });
+lyricVersionSchema.index({ status: 1, createdAt: 1 });
+lyricVersionSchema.index({ contributor: 1, song: 1 });
+
+// Store the canonical language tag so "pt-br" and "pt-BR" are the same version
+lyricVersionSchema.pre('validate', function(next) {
+  if (this.isModified('language')) {
+    const language = normalizeLanguageTag(this.language);
+    if (language) {
+      this.language = language;
+    } else {
+      this.invalidate('language', `${this.language} is not a valid language code (e.g. es, pt-BR, ja-Latn)`);
+    }
+  }
+  next();
+});
+
+// Virtual for the language's display name
+lyricVersionSchema.virtual('languageName').get(function() {
+  return languageName(this.language);
+});
+
+// Method to get the lines shown next to the original
+lyricVersionSchema.methods.getLines = function() {
+  return lyricLines(this.text);
+};
+
+// Method to publish the version; the approved version it replaces is kept as superseded
+lyricVersionSchema.methods.approve = async function(reviewerId) {
+  await this.constructor.updateMany(
+    { _id: { $ne: this._id }, song: this.song, kind: this.kind, language: this.language, status: 'approved' },
+    { status: 'superseded' }
+  );
+
+  this.status = 'approved';
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.rejectionReason = undefined;
+  return this.save();
+};
+
+// Method to turn the version down
+lyricVersionSchema.methods.reject = function(reviewerId, reason) {
+  this.status = 'rejected';
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.rejectionReason = reason || undefined;
+  return this.save();
+};
+
+// Static method to add a contribution; a contributor's pending version of the same language is updated
+// rather than queued twice
+lyricVersionSchema.statics.submit = async function({ song, contributor, kind = 'translation', language, text, credit }) {
+  const canonical = normalizeLanguageTag(language) || language;
+  const version = await this.findOne({ song, contributor, kind, language: canonical, status: 'pending' }) ||
+    new this({ song, contributor, kind, language: canonical });
+
+  version.text = text;
+  version.credit = credit || undefined;
+  return version.save();
+};
+
+// Static method to get the published versions of a song, with contributor names
+lyricVersionSchema.statics.getApproved = function(songId, filters = {}) {
+  return this.find({ song: songId, status: 'approved', ...filters })
+    .sort({ kind: 1, language: 1 })
+    .populate('contributor', 'username');
+};
+
+// Static method to count contributions waiting for review
+lyricVersionSchema.statics.countPending = function() {
+  return this.countDocuments({ status: 'pending' });
+};
+
+module.exports = mongoose.model('LyricVersion', lyricVersionSchema);
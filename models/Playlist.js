@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const PlaylistRevision = require('./PlaylistRevision');
+const playlistEvents = require('../utils/playlistEvents');
+const { SMART_SORTS, MAX_LIMIT, normalizeRules, evaluateSmartPlaylist } = require('../utils/smartPlaylists');
+
+// Times saveChange() re-applies an edit that lost a race with another save
+const MAX_SAVE_ATTEMPTS = 5;
 
 const playlistSchema = new mongoose.Schema({
   name: {
@@ -63,6 +69,34 @@ const playlistSchema = new mongoose.Schema({
       default: 0
     }
   }],
+  type: {
+    type: String,
+    enum: ['standard', 'smart'],
+    default: 'standard'
+  },
+  smart: {
+    match: {
+      type: String,
+      enum: ['all', 'any'],
+      default: 'all'
+    },
+    rules: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined
+    }, // see utils/smartPlaylists for the rule format
+    limit: {
+      type: Number,
+      min: 1,
+      max: MAX_LIMIT,
+      default: 50
+    },
+    sort: {
+      type: String,
+      enum: Object.keys(SMART_SORTS),
+      default: 'random'
+    },
+    lastEvaluatedAt: Date
+  },
   tags: [String],
   category: {
     type: String,
@@ -124,6 +158,7 @@ playlistSchema.index({ category: 1 });
 playlistSchema.index({ playCount: -1 });
 playlistSchema.index({ createdAt: -1 });
 playlistSchema.index({ name: 'text', description: 'text' });
+playlistSchema.index({ type: 1, 'smart.lastEvaluatedAt': 1 });
 
 // Virtual for song count
 playlistSchema.virtual('songCount').get(function() {
@@ -140,84 +175,214 @@ playlistSchema.virtual('followerCount').get(function() {
   return this.followers.length;
 });
 
+// Virtual for whether the songs come from rules
+playlistSchema.virtual('isSmart').get(function() {
+  return this.type === 'smart';
+});
+
+// The id of a reference whether or not it has been populated
+const refId = ref => (ref && ref._id ? ref._id : ref);
+
+// A playlist's songs by their position
+const songsInOrder = playlist => [...playlist.songs].sort((a, b) => a.order - b.order);
+
+// Replace the songs with the given ones, numbered from 1 in that order
+const setSongOrder = (playlist, songs) => {
+  playlist.songs = songs.map((s, index) => ({ ...s.toObject(), order: index + 1 }));
+};
+
+// Method to record the next save in the playlist's history (see PlaylistRevision)
+playlistSchema.methods.trackChange = function(action, userId, restoredFrom) {
+  this.$locals.revision = { action, actor: userId, restoredFrom };
+  return this;
+};
+
+// Method to apply an edit and save it only if nobody else saved the playlist in between. On a conflict
+// the edit is applied again to the latest version, so concurrent edits merge instead of overwriting
+// each other. Resolves to the saved playlist, which may be a fresh copy of this one. Without an action
+// the edit isn't recorded in the history.
+playlistSchema.methods.saveChange = async function(action, userId, apply) {
+  let playlist = this;
+
+  for (let attempt = 1; ; attempt++) {
+    apply(playlist);
+    if (!playlist.isModified()) return playlist;
+
+    try {
+      if (action) playlist.trackChange(action, userId);
+      return await playlist.increment().save();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+    }
+
+    playlist = await this.constructor.findById(this._id);
+    if (!playlist) throw new Error('Playlist not found');
+  }
+};
+
 // Method to add song to playlist
 playlistSchema.methods.addSong = function(songId, userId) {
-  // Check if song already exists
-  const existingSong = this.songs.find(s => s.song.toString() === songId.toString());
-  if (existingSong) {
-    throw new Error('Song already exists in playlist');
-  }
-  
-  const maxOrder = this.songs.length > 0 ? Math.max(...this.songs.map(s => s.order)) : 0;
-  
-  this.songs.push({
-    song: songId,
-    addedBy: userId,
-    order: maxOrder + 1,
-    addedAt: new Date()
+  return this.saveChange('addSong', userId, playlist => {
+    // Check if song already exists
+    const existingSong = playlist.songs.find(s => s.song.toString() === songId.toString());
+    if (existingSong) {
+      throw new Error('Song already exists in playlist');
+    }
+
+    const maxOrder = playlist.songs.length > 0 ? Math.max(...playlist.songs.map(s => s.order)) : 0;
+
+    playlist.songs.push({
+      song: songId,
+      addedBy: userId,
+      order: maxOrder + 1,
+      addedAt: new Date()
+    });
   });
-  
-  return this.save();
 };
 
 // Method to remove song from playlist
-playlistSchema.methods.removeSong = function(songId) {
-  this.songs = this.songs.filter(s => s.song.toString() !== songId.toString());
-  return this.save();
+playlistSchema.methods.removeSong = function(songId, userId) {
+  return this.saveChange('removeSong', userId, playlist => {
+    playlist.songs = playlist.songs.filter(s => s.song.toString() !== songId.toString());
+  });
 };
 
-// Method to reorder songs
-playlistSchema.methods.reorderSongs = function(songOrders) {
-  songOrders.forEach(({ songId, newOrder }) => {
-    const song = this.songs.find(s => s.song.toString() === songId.toString());
-    if (song) {
-      song.order = newOrder;
+// Method to reorder songs. The listed songs are rearranged among the positions they already hold,
+// so songs someone else added or removed meanwhile keep their place.
+playlistSchema.methods.reorderSongs = function(songOrders, userId) {
+  return this.saveChange('reorder', userId, playlist => {
+    const newOrders = new Map(songOrders.map(({ songId, newOrder }) => [songId.toString(), Number(newOrder)]));
+    const songs = songsInOrder(playlist);
+
+    const listed = songs
+      .filter(s => newOrders.has(s.song.toString()))
+      .sort((a, b) => newOrders.get(a.song.toString()) - newOrders.get(b.song.toString()));
+
+    let next = 0;
+    setSongOrder(playlist, songs.map(s => (newOrders.has(s.song.toString()) ? listed[next++] : s)));
+  });
+};
+
+// Method to move one song right after another (`after`, null for the top) or right before one
+// (`before`, null for the end). If the song it was placed next to has been removed meanwhile, the
+// other neighbour is used, and if both are gone the song stays where it is.
+playlistSchema.methods.moveSong = function(songId, { after, before } = {}, userId) {
+  return this.saveChange('reorder', userId, playlist => {
+    const songs = songsInOrder(playlist);
+    const from = songs.findIndex(s => s.song.toString() === songId.toString());
+    if (from === -1) {
+      throw new Error('Song is not in the playlist');
     }
+
+    const [moved] = songs.splice(from, 1);
+    const indexOf = id => (id ? songs.findIndex(s => s.song.toString() === id.toString()) : -1);
+
+    let to = from;
+    if (indexOf(after) > -1) to = indexOf(after) + 1;
+    else if (indexOf(before) > -1) to = indexOf(before);
+    else if (after === null) to = 0;
+    else if (before === null) to = songs.length;
+
+    songs.splice(to, 0, moved);
+    setSongOrder(playlist, songs);
   });
-  
-  // Sort songs by order
-  this.songs.sort((a, b) => a.order - b.order);
-  return this.save();
 };
 
-// Method to add collaborator
-playlistSchema.methods.addCollaborator = function(userId, role = 'editor') {
-  const existingCollaborator = this.collaborators.find(c => c.user.toString() === userId.toString());
-  if (existingCollaborator) {
-    existingCollaborator.role = role;
+// Method to put the playlist back the way a revision recorded it; the restore is itself a revision,
+// so it can be undone too. Songs deleted from the catalog since then are left out. The restore goes
+// through saveChange(), so it is applied to the latest version if someone saved in between.
+playlistSchema.methods.restoreRevision = async function(revision, userId) {
+  const { snapshot } = revision;
+  const Song = mongoose.model('Song');
+  const fields = Object.keys(snapshot).filter(field => field !== 'songs' && field !== 'smart');
+  let smart = null;
+  let songs;
+
+  // Songs are looked up first, since saveChange() applies the restore synchronously
+  if (this.isSmart && snapshot.smart) {
+    fields.forEach(field => this.set(field, snapshot[field]));
+    this.smart = { ...snapshot.smart, lastEvaluatedAt: this.smart.lastEvaluatedAt };
+
+    // Rules are normalized while validating, and have to be before they can be run
+    await this.validate();
+    smart = { ...this.toObject().smart, lastEvaluatedAt: new Date() };
+    songs = (await evaluateSmartPlaylist(this)).map(songId => ({ song: songId }));
   } else {
-    this.collaborators.push({
-      user: userId,
-      role,
-      addedAt: new Date()
-    });
+    const existing = new Set((await Song.find({ _id: { $in: snapshot.songs.map(s => s.song) } }).distinct('_id'))
+      .map(id => id.toString()));
+    songs = snapshot.songs.filter(s => existing.has(s.song.toString()));
   }
-  
-  return this.save();
+
+  return this.saveChange(null, null, playlist => {
+    fields.forEach(field => playlist.set(field, snapshot[field]));
+
+    if (smart) {
+      // Songs that stay in a smart playlist keep the date they were first added, as on a refresh
+      const addedAt = new Map(playlist.songs.map(s => [s.song.toString(), s.addedAt]));
+      playlist.smart = smart;
+      playlist.songs = songs.map((s, index) => ({
+        song: s.song,
+        addedAt: addedAt.get(s.song.toString()) || smart.lastEvaluatedAt,
+        order: index + 1
+      }));
+    } else {
+      playlist.songs = songs.map((s, index) => ({ ...s, order: index + 1 }));
+    }
+    if (playlist.songs.length === 0) playlist.duration = 0;
+
+    playlist.trackChange('restore', userId, revision._id);
+  });
+};
+
+// Method to add collaborator, or change the role of an existing one
+playlistSchema.methods.addCollaborator = function(userId, role = 'editor') {
+  return this.saveChange(null, null, playlist => {
+    const existingCollaborator = playlist.collaborators.find(c => refId(c.user).toString() === userId.toString());
+    if (existingCollaborator) {
+      existingCollaborator.role = role;
+    } else {
+      playlist.collaborators.push({
+        user: userId,
+        role,
+        addedAt: new Date()
+      });
+    }
+  });
 };
 
 // Method to remove collaborator
-playlistSchema.methods.removeCollaborator = function(userId) {
-  this.collaborators = this.collaborators.filter(c => c.user.toString() !== userId.toString());
-  return this.save();
+playlistSchema.methods.removeCollaborator = async function(userId) {
+  const playlist = await this.saveChange(null, null, current => {
+    current.collaborators = current.collaborators.filter(c => refId(c.user).toString() !== userId.toString());
+  });
+
+  // Close the live page of someone who can't see a private playlist any more
+  playlistEvents.emit('access', playlist);
+  return playlist;
 };
 
-// Method to check if user can edit playlist
+// Method to get a user's role on the playlist: 'owner', 'editor', 'viewer', or null for
+// everyone else (including guests)
+playlistSchema.methods.roleOf = function(userId) {
+  if (!userId) return null;
+  if (refId(this.createdBy).toString() === userId.toString()) return 'owner';
+
+  const collaborator = this.collaborators.find(c => c.user && refId(c.user).toString() === userId.toString());
+  return collaborator ? collaborator.role : null;
+};
+
+// Method to check if user can edit playlist: the owner, and editors while the playlist is collaborative
 playlistSchema.methods.canEdit = function(userId) {
-  if (this.createdBy.toString() === userId.toString()) return true;
-  if (!this.isCollaborative) return false;
-  
-  const collaborator = this.collaborators.find(c => c.user.toString() === userId.toString());
-  return collaborator && collaborator.role === 'editor';
+  const role = this.roleOf(userId);
+  if (role === 'owner') return true;
+  return this.isCollaborative && role === 'editor';
 };
 
-// Method to check if user can view playlist
+// Method to check if user can view playlist: anyone when it's public, otherwise only the owner and
+// collaborators of either role. An editor of a playlist that is no longer collaborative can still view it.
 playlistSchema.methods.canView = function(userId) {
   if (this.isPublic) return true;
-  if (this.createdBy.toString() === userId.toString()) return true;
-  
-  const collaborator = this.collaborators.find(c => c.user.toString() === userId.toString());
-  return collaborator !== undefined;
+  return this.roleOf(userId) !== null;
 };
 
 // Method to increment play count
@@ -253,6 +418,71 @@ playlistSchema.methods.toggleFollow = function(userId) {
   return this.save();
 };
 
+// Method to re-run a smart playlist's rules and store the matching songs;
+// songs that stay in the playlist keep the date they were first added
+playlistSchema.methods.refreshSmartSongs = async function() {
+  if (!this.isSmart) return this;
+
+  // Rules are normalized while validating, and have to be before they can be run
+  if (this.isNew || this.isModified('smart')) await this.validate();
+
+  const songIds = await evaluateSmartPlaylist(this);
+  const addedAt = new Map(this.songs.map(s => [s.song.toString(), s.addedAt]));
+
+  this.songs = songIds.map((songId, index) => ({
+    song: songId,
+    addedAt: addedAt.get(songId.toString()) || new Date(),
+    order: index + 1
+  }));
+  this.smart.lastEvaluatedAt = new Date();
+  if (this.songs.length === 0) this.duration = 0;
+
+  // An edit or restore that triggered the refresh is announced with its revision instead
+  const tracked = Boolean(this.$locals.revision);
+  await this.save();
+  if (!tracked) playlistEvents.emit('change', this, { action: 'refresh', actor: null, revisionId: null });
+  return this;
+};
+
+// Static method to refresh a smart playlist when its songs are older than maxAge (ms)
+playlistSchema.statics.refreshIfStale = async function(playlist, maxAge = 60 * 1000) {
+  if (!playlist || !playlist.isSmart) return playlist;
+
+  const evaluatedAt = playlist.smart.lastEvaluatedAt;
+  if (evaluatedAt && Date.now() - evaluatedAt.getTime() < maxAge) return playlist;
+
+  try {
+    await playlist.refreshSmartSongs();
+  } catch (error) {
+    // Serve the last stored songs rather than failing the page
+    console.error('Smart playlist refresh error:', error);
+  }
+  return playlist;
+};
+
+// Static method to refresh every smart playlist not evaluated within maxAge (ms)
+playlistSchema.statics.refreshStaleSmart = async function(maxAge) {
+  const cutoff = new Date(Date.now() - maxAge);
+  const playlists = await this.find({
+    type: 'smart',
+    $or: [
+      { 'smart.lastEvaluatedAt': { $lt: cutoff } },
+      { 'smart.lastEvaluatedAt': { $exists: false } }
+    ]
+  });
+
+  let refreshed = 0;
+  for (const playlist of playlists) {
+    try {
+      await playlist.refreshSmartSongs();
+      refreshed += 1;
+    } catch (error) {
+      console.error(`Smart playlist ${playlist._id} refresh error:`, error);
+    }
+  }
+  return refreshed;
+};
+
 // Static method to get public playlists
 playlistSchema.statics.getPublic = function(limit = 20, skip = 0) {
   return this.find({ isPublic: true })
@@ -272,6 +502,56 @@ playlistSchema.statics.getFeatured = function(limit = 10) {
     .populate('songs.song', 'title artist duration coverArt');
 };
 
+// Check smart rules before saving so a bad rule never reaches a refresh
+playlistSchema.pre('validate', function(next) {
+  if (this.isSmart && this.$locals.smartRulesError) {
+    this.invalidate('smart.rules', this.$locals.smartRulesError);
+  } else if (this.isSmart && this.isModified('smart.rules')) {
+    try {
+      this.smart.rules = normalizeRules(this.smart.rules || []);
+    } catch (error) {
+      this.invalidate('smart.rules', error.message);
+    }
+  }
+  next();
+});
+
+// A new playlist starts its history with a "create" revision
+playlistSchema.pre('save', function(next) {
+  if (this.isNew && !this.$locals.revision) {
+    this.trackChange('create', this.createdBy);
+  }
+
+  // Saving an edit form without changing anything isn't worth a revision
+  const tracked = ['name', 'description', 'isPublic', 'isCollaborative', 'category', 'mood', 'tags', 'songs', 'smart'];
+  if (this.$locals.revision && !this.isNew && !this.isModified(tracked)) {
+    this.$locals.revision = null;
+  }
+  next();
+});
+
+// Record the change a method or route asked for with trackChange(); other saves (likes, play counts,
+// smart refreshes) don't add to the history
+playlistSchema.post('save', async function(playlist) {
+  const revision = playlist.$locals.revision;
+  if (!revision) return;
+
+  playlist.$locals.revision = null;
+  let recorded = null;
+  try {
+    recorded = await PlaylistRevision.record(playlist, revision);
+  } catch (error) {
+    console.error('Playlist revision error:', error);
+  }
+
+  // Let anyone watching the playlist live know about the change
+  playlistEvents.emit('change', playlist, {
+    action: revision.action,
+    actor: revision.actor,
+    revisionId: recorded ? recorded._id : null
+  });
+});
+
 // Pre-save middleware to calculate total duration
 playlistSchema.pre('save', async function(next) {
   if (this.songs.length > 0) {
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Accepting an invite only ever raises a role: an editor who opens a viewer link stays an editor
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const playlistInviteSchema = new mongoose.Schema({
+  playlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  }, // the secret part of the link: /playlists/invites/<token>
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    default: 'viewer'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: Date, // no expiry when unset
+  maxUses: {
+    type: Number,
+    min: 1
+  }, // unlimited when unset
+  uses: {
+    type: Number,
+    default: 0
+  },
+  acceptedBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acceptedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+playlistInviteSchema.index({ playlist: 1, createdAt: -1 });
+
+// Virtual for whether the link can still be used: active, revoked, expired or used (up)
+playlistInviteSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  if (this.maxUses && this.uses >= this.maxUses) return 'used';
+  return 'active';
+});
+
+// Method to take up one use of the invite and give the user its role on the playlist. Someone who
+// already has the same or a higher role keeps it without using up the invite. Resolves to the role
+// the user ends up with, or null if the invite can no longer be used.
+playlistInviteSchema.methods.accept = async function(playlist, userId) {
+  const currentRole = playlist.roleOf(userId);
+  if (currentRole && ROLE_RANK[currentRole] >= ROLE_RANK[this.role]) return currentRole;
+
+  // Claim the use atomically so two people can't both take the last one
+  const now = new Date();
+  const claimed = await this.constructor.findOneAndUpdate({
+    _id: this._id,
+    revokedAt: null,
+    $and: [
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+      { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+    ]
+  }, {
+    $inc: { uses: 1 },
+    $push: { acceptedBy: { user: userId, acceptedAt: now } }
+  }, { new: true });
+
+  if (!claimed) return null;
+
+  await playlist.addCollaborator(userId, this.role);
+  return this.role;
+};
+
+// Method to stop the link from working
+playlistInviteSchema.methods.revoke = function() {
+  if (!this.revokedAt) this.revokedAt = new Date();
+  return this.save();
+};
+
+// Static method to create an invite link for a playlist
+playlistInviteSchema.statics.createFor = function(playlist, { role, expiresInDays, maxUses, createdBy }) {
+  return this.create({
+    playlist: playlist._id,
+    token: crypto.randomBytes(24).toString('base64url'),
+    role,
+    createdBy,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+    maxUses: maxUses || undefined
+  });
+};
+
+module.exports = mongoose.model('PlaylistInvite', playlistInviteSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// Playlist details a revision keeps (and a restore puts back); the cover is left out because
+// replaced cover files are deleted from storage
+const SNAPSHOT_FIELDS = ['name', 'description', 'isPublic', 'isCollaborative', 'category', 'mood', 'tags'];
+
+const playlistRevisionSchema = new mongoose.Schema({
+  playlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['create', 'addSong', 'removeSong', 'reorder', 'update', 'restore'],
+    required: true
+  },
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PlaylistRevision'
+  },
+  // The playlist as it was right after the change
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+playlistRevisionSchema.index({ playlist: 1, createdAt: -1, _id: -1 });
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// Method to describe what changed since the previous revision (none for the first one):
+// { fields: [{ field, from, to }], added: [songId], removed: [songId], reordered, smart }
+playlistRevisionSchema.methods.diffFrom = function(previous) {
+  const after = this.snapshot;
+  const before = previous ? previous.snapshot : { songs: [] };
+
+  const fields = SNAPSHOT_FIELDS
+    .filter(field => previous && !sameValue(before[field], after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+
+  // A smart playlist's songs change on every refresh; only its rules are its own edits
+  if (after.smart) {
+    return { fields, added: [], removed: [], reordered: false, smart: Boolean(previous && !sameValue(before.smart, after.smart)) };
+  }
+
+  const beforeIds = (before.songs || []).map(s => s.song.toString());
+  const afterIds = (after.songs || []).map(s => s.song.toString());
+  const added = afterIds.filter(id => !beforeIds.includes(id));
+  const removed = beforeIds.filter(id => !afterIds.includes(id));
+
+  // Same songs in a different order (ignoring the ones added or removed)
+  const kept = afterIds.filter(id => beforeIds.includes(id));
+  const reordered = !sameValue(kept, beforeIds.filter(id => afterIds.includes(id)));
+
+  return { fields, added, removed, reordered, smart: false };
+};
+
+// Static method to take a snapshot of a playlist's current state
+playlistRevisionSchema.statics.snapshotOf = function(playlist) {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    const value = playlist.get(field);
+    snapshot[field] = Array.isArray(value) ? [...value] : (value === undefined ? null : value);
+  });
+
+  snapshot.songs = playlist.songs.map(s => ({
+    song: s.song._id || s.song,
+    addedAt: s.addedAt,
+    addedBy: s.addedBy
+  }));
+
+  if (playlist.type === 'smart') {
+    const { match, rules, limit, sort } = playlist.smart;
+    snapshot.smart = { match, rules, limit, sort };
+  }
+
+  return snapshot;
+};
+
+// Static method to record a change to a playlist
+playlistRevisionSchema.statics.record = function(playlist, { action, actor, restoredFrom }) {
+  return this.create({
+    playlist: playlist._id,
+    actor,
+    action,
+    restoredFrom,
+    snapshot: this.snapshotOf(playlist)
+  });
+};
+
+// Static method to get a page of a playlist's history, newest first, each revision with its diff
+playlistRevisionSchema.statics.getHistory = async function(playlistId, limit = 20, skip = 0) {
+  // One extra (older) revision so the last one on the page can be compared
+  const revisions = await this.find({ playlist: playlistId })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(limit + 1)
+    .populate('actor', 'username avatar');
+
+  return revisions.slice(0, limit).map((revision, index) => ({
+    revision,
+    diff: revision.diffFrom(revisions[index + 1] || null)
+  }));
+};
+
+module.exports = mongoose.model('PlaylistRevision', playlistRevisionSchema);
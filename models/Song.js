@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const {
+  DURATION_TOLERANCE,
+  TITLE_SIMILARITY_THRESHOLD,
+  buildFingerprint,
+  similarity
+} = require('../utils/fingerprint');
+const { albumGainFor } = require('../utils/loudness');
+const { CREDIT_ROLES, parseCredits, formatCredits } = require('../utils/artists');
+const { parseLrc, detectLyricsFormat, lrcToPlainText } = require('../utils/lyrics');
+const Artist = require('./Artist');
+const Album = require('./Album');
+const Genre = require('./Genre');
+const SongLyrics = require('./SongLyrics');
 
 const songSchema = new mongoose.Schema({
   title: {
@@ -10,16 +23,36 @@ const songSchema = new mongoose.Schema({
     type: String,
     required: true,
     trim: true
-  },
+  }, // display line, kept in sync with the artists credits below
+  artists: [{
+    artist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Artist',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: CREDIT_ROLES,
+      default: 'primary'
+    }
+  }],
   album: {
     type: String,
     trim: true
+  }, // display name, kept in sync with albumId
+  albumId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Album'
   },
   genre: {
     type: String,
     required: true,
-    enum: ['pop', 'rock', 'hip-hop', 'jazz', 'classical', 'electronic', 'country', 'blues', 'reggae', 'folk', 'other']
-  },
+    lowercase: true,
+    validate: {
+      validator: (slug) => Genre.isValidSlug(slug),
+      message: props => `${props.value} is not a known genre`
+    }
+  }, // Genre slug
   duration: {
     type: Number,
     required: true // in seconds
@@ -36,6 +69,27 @@ const songSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  syncedLyrics: {
+    format: {
+      type: String,
+      enum: ['lrc', 'enhanced-lrc']
+    },
+    lrc: {
+      type: String,
+      validate: {
+        validator: function(lrc) {
+          return !lrc || parseLrc(lrc, { duration: this.duration }).errors.length === 0;
+        },
+        message: props => {
+          const { errors } = parseLrc(props.value);
+          return errors.length > 0
+            ? `Invalid LRC: ${errors.map(error => error.msg).join('; ')}`
+            : 'LRC timestamps go past the end of the track';
+        }
+      }
+    }, // as entered: [mm:ss.xx] line timestamps, optionally <mm:ss.xx> word timestamps
+    updatedAt: Date
+  },
   releaseYear: {
     type: Number,
     min: 1900,
@@ -74,7 +128,49 @@ const songSchema = new mongoose.Schema({
     default: 'medium'
   },
   fileSize: Number, // in bytes
+  contentHash: String, // SHA-256 of the original upload
+  fingerprint: {
+    title: String, // normalized for duplicate detection
+    artist: String
+  },
   bitrate: Number, // in kbps
+  sampleRate: Number, // in Hz
+  trackNumber: Number,
+  discNumber: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  waveformPath: String, // storage key of the precomputed peaks JSON
+  processingStatus: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'ready'
+  },
+  processingError: String,
+  loudness: {
+    integrated: Number, // EBU R128 integrated loudness, LUFS
+    truePeak: Number, // dBTP
+    range: Number, // LU
+    trackGain: Number, // dB to reach the -18 LUFS reference
+    trackPeak: Number, // linear, 1 = full scale
+    albumGain: Number,
+    albumPeak: Number
+  },
+  renditions: [{
+    quality: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      required: true
+    },
+    bitrate: Number, // in kbps
+    filePath: {
+      type: String,
+      required: true
+    },
+    fileSize: Number, // in bytes
+    mimeType: String
+  }],
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -114,13 +210,95 @@ const songSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Index for search functionality
+// Index for search functionality (lyrics are searched through SongLyrics)
 songSchema.index({ title: 'text', artist: 'text', album: 'text', genre: 'text' });
 songSchema.index({ genre: 1 });
 songSchema.index({ artist: 1 });
 songSchema.index({ releaseYear: 1 });
 songSchema.index({ playCount: -1 });
 songSchema.index({ createdAt: -1 });
+songSchema.index({ contentHash: 1 });
+songSchema.index({ 'fingerprint.artist': 1, duration: 1 });
+songSchema.index({ 'metadata.isrc': 1 });
+songSchema.index({ 'artists.artist': 1 });
+songSchema.index({ albumId: 1, discNumber: 1, trackNumber: 1 });
+
+// Keep the artist credits and the display line in step: setting credits rewrites the line,
+// while editing the line re-resolves the credits (guests and remixers are read from the title too)
+songSchema.pre('save', async function() {
+  const creditsEdited = this.isModified('artists') && this.artists.length > 0 && !this.isModified('artist');
+  
+  if (creditsEdited) {
+    const artists = await Artist.find({ _id: { $in: this.artists.map(credit => credit.artist) } }).select('name');
+    const byId = new Map(artists.map(artist => [artist._id.toString(), artist]));
+    this.artist = formatCredits(this.artists.map(credit => ({
+      artist: byId.get(credit.artist.toString()),
+      role: credit.role
+    }))) || this.artist;
+  } else if (this.isModified('artist') || this.artists.length === 0) {
+    this.artists = await Artist.resolveCredits(parseCredits(this.artist, this.title));
+  }
+});
+
+// Link the song to its Album record the same way: assigning an album rewrites the name,
+// editing the name (re-)links the song to the album with that title by the same primary artist
+songSchema.pre('save', async function() {
+  const albumAssigned = this.isModified('albumId') && this.albumId && (this.isNew || !this.isModified('album'));
+  
+  if (albumAssigned) {
+    const album = await Album.findById(this.albumId).select('title');
+    if (album) this.album = album.title;
+  } else if (this.isModified('album') || (this.album && !this.albumId)) {
+    this.albumId = this.album ? (await Album.findOrCreateForSong(this))._id : undefined;
+  }
+});
+
+// Remember which album a loaded song was on, so moving its last track away removes the album
+songSchema.post('init', function() {
+  this.$locals.loadedAlbumId = this.albumId;
+});
+
+songSchema.post('save', async function() {
+  const previous = this.$locals.loadedAlbumId;
+  if (previous && !previous.equals(this.albumId)) {
+    await Album.removeIfEmpty(previous);
+  }
+  this.$locals.loadedAlbumId = this.albumId;
+});
+
+// Synced lyrics are the source of the plain lyrics text, so search and the plain view match them
+songSchema.pre('save', function(next) {
+  if (!this.isModified('syncedLyrics.lrc')) return next();
+  
+  if (this.syncedLyrics.lrc && this.syncedLyrics.lrc.trim()) {
+    this.syncedLyrics.format = detectLyricsFormat(this.syncedLyrics.lrc) === 'enhanced-lrc' ? 'enhanced-lrc' : 'lrc';
+    this.syncedLyrics.updatedAt = new Date();
+    this.lyrics = lrcToPlainText(parseLrc(this.syncedLyrics.lrc).lines);
+  } else {
+    this.syncedLyrics = undefined;
+  }
+  next();
+});
+
+// Lyrics search reads its own copy of the lyrics (see SongLyrics)
+songSchema.pre('save', function(next) {
+  this.$locals.lyricsChanged = this.isNew ? Boolean(this.lyrics) : this.isModified('lyrics');
+  next();
+});
+
+songSchema.post('save', async function() {
+  if (!this.$locals.lyricsChanged) return;
+  this.$locals.lyricsChanged = false;
+  await SongLyrics.syncFor(this);
+});
+
+// Keep the duplicate-detection fingerprint in sync with title and artist
+songSchema.pre('save', function(next) {
+  if (this.isModified('title') || this.isModified('artist') || !this.fingerprint || !this.fingerprint.title) {
+    this.fingerprint = buildFingerprint(this.title, this.artist);
+  }
+  next();
+});
 
 // Virtual for like count
 songSchema.virtual('likeCount').get(function() {
@@ -183,6 +361,82 @@ songSchema.methods.toggleDislike = function(userId) {
   return this.save();
 };
 
+// Method to get the parsed synced lyrics ({ format, metadata, lines }) or null
+songSchema.methods.getSyncedLyrics = function() {
+  if (!this.syncedLyrics || !this.syncedLyrics.lrc) return null;
+  
+  const { metadata, lines } = parseLrc(this.syncedLyrics.lrc);
+  return { format: this.syncedLyrics.format, metadata, lines };
+};
+
+// Method to get the ReplayGain values the player applies (null until analyzed)
+songSchema.methods.getReplayGain = function() {
+  if (!this.loudness || this.loudness.trackGain === undefined || this.loudness.trackGain === null) {
+    return null;
+  }
+  
+  return {
+    trackGain: this.loudness.trackGain,
+    trackPeak: this.loudness.trackPeak,
+    albumGain: this.loudness.albumGain,
+    albumPeak: this.loudness.albumPeak
+  };
+};
+
+// Static method to recompute album gain for every analyzed song on an album (by Album id, so albums
+// that share a title stay apart and a renamed album keeps its tracks)
+songSchema.statics.updateAlbumGain = async function(albumId) {
+  if (!albumId) return null;
+  
+  const tracks = await this.find({ albumId, 'loudness.integrated': { $exists: true } })
+    .select('duration loudness');
+  const albumGain = albumGainFor(tracks);
+  
+  if (albumGain) {
+    await this.updateMany(
+      { _id: { $in: tracks.map(track => track._id) } },
+      { 'loudness.albumGain': albumGain.albumGain, 'loudness.albumPeak': albumGain.albumPeak }
+    );
+  }
+  
+  return albumGain;
+};
+
+// Static method to get the songs an artist is credited on, with the role of their credit
+songSchema.statics.getByArtist = async function(artistId, filters = {}) {
+  const songs = await this.find({ 'artists.artist': artistId, isActive: true, ...filters })
+    .sort({ releaseYear: -1, album: 1, trackNumber: 1, title: 1 });
+  
+  return songs.map(song => ({
+    song,
+    roles: song.artists.filter(credit => credit.artist.equals(artistId)).map(credit => credit.role)
+  }));
+};
+
+// Static method to rewrite the display line of every song crediting an artist (after a rename)
+songSchema.statics.refreshArtistLines = async function(artistId) {
+  const songs = await this.find({ 'artists.artist': artistId });
+  
+  for (const song of songs) {
+    song.markModified('artists');
+    await song.save();
+  }
+  
+  return songs.length;
+};
+
+// Static method to count active songs per credited artist
+songSchema.statics.countByArtist = async function(artistIds) {
+  const counts = await this.aggregate([
+    { $match: { isActive: true, 'artists.artist': { $in: artistIds } } },
+    { $unwind: '$artists' },
+    { $match: { 'artists.artist': { $in: artistIds } } },
+    { $group: { _id: '$artists.artist', songs: { $addToSet: '$_id' } } }
+  ]);
+  
+  return new Map(counts.map(count => [count._id.toString(), count.songs.length]));
+};
+
 // Static method to get trending songs
 songSchema.statics.getTrending = function(limit = 10) {
   return this.find({ isActive: true })
@@ -199,6 +453,40 @@ songSchema.statics.getFeatured = function(limit = 10) {
     .populate('uploadedBy', 'username avatar');
 };
 
+// Static method to find songs that look like the same recording:
+// identical file contents, or same artist with a near-identical title and duration
+songSchema.statics.findDuplicates = async function({ contentHash, title, artist, duration }, excludeId) {
+  const duplicates = [];
+  const seen = new Set(excludeId ? [excludeId.toString()] : []);
+  
+  if (contentHash) {
+    const exact = await this.find({ contentHash }).select('title artist duration');
+    exact.forEach(song => {
+      if (seen.has(song._id.toString())) return;
+      seen.add(song._id.toString());
+      duplicates.push({ song, reason: 'hash' });
+    });
+  }
+  
+  const fingerprint = buildFingerprint(title, artist);
+  if (fingerprint.artist && duration) {
+    const candidates = await this.find({
+      'fingerprint.artist': fingerprint.artist,
+      duration: { $gte: duration - DURATION_TOLERANCE, $lte: duration + DURATION_TOLERANCE }
+    }).select('title artist duration fingerprint');
+    
+    candidates.forEach(song => {
+      if (seen.has(song._id.toString())) return;
+      if (similarity(fingerprint.title, song.fingerprint.title) >= TITLE_SIMILARITY_THRESHOLD) {
+        seen.add(song._id.toString());
+        duplicates.push({ song, reason: 'metadata' });
+      }
+    });
+  }
+  
+  return duplicates;
+};
+
 // Static method to search songs
 songSchema.statics.search = function(query, filters = {}) {
   const searchQuery = {
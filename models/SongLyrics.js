@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A copy of each song's plain lyrics for lyrics search. MongoDB allows one text index per collection
+// and the songs' one is for title, artist, album and genre, so lyrics are indexed here instead and a
+// song search never matches on lyrics alone. Song's save hook keeps the copy up to date.
+const songLyricsSchema = new mongoose.Schema({
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: true,
+    unique: true
+  },
+  lyrics: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+songLyricsSchema.index({ lyrics: 'text' });
+
+// Static method to store a song's current lyrics, or drop the copy when it has none
+songLyricsSchema.statics.syncFor = function(song) {
+  if (!song.lyrics || !song.lyrics.trim()) {
+    return this.deleteOne({ song: song._id });
+  }
+  return this.updateOne({ song: song._id }, { $set: { lyrics: song.lyrics } }, { upsert: true });
+};
+
+// Static method to find songs whose lyrics match a $text search, best matches first. songFilters
+// (e.g. { isActive: true }) are applied to the songs within the query, so limit results all match.
+// Resolves to [{ song, lyrics, score }] with song holding the fields listed in select.
+songLyricsSchema.statics.search = function(query, { songFilters = {}, select = [], limit = 20 } = {}) {
+  const Song = mongoose.model('Song');
+
+  return this.aggregate([
+    { $match: { $text: { $search: query } } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    { $sort: { score: -1 } },
+    {
+      $lookup: {
+        from: Song.collection.name,
+        let: { songId: '$song' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$songId'] }, ...songFilters } },
+          ...(select.length > 0 ? [{ $project: Object.fromEntries(select.map(field => [field, 1])) }] : [])
+        ],
+        as: 'song'
+      }
+    },
+    { $unwind: '$song' },
+    { $limit: limit },
+    { $project: { _id: 0, song: 1, lyrics: 1, score: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('SongLyrics', songLyricsSchema);
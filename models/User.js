@@ -72,6 +72,10 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['low', 'medium', 'high'],
       default: 'medium'
+    },
+    normalizeVolume: {
+      type: Boolean,
+      default: true
     }
   },
   role: {
@@ -101,7 +105,17 @@ const userSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    duration: Number // in seconds
+    duration: Number, // seconds actually listened
+    startPosition: Number, // in seconds
+    skipped: {
+      type: Boolean,
+      default: false
+    },
+    source: {
+      type: String,
+      enum: ['playlist', 'album', 'search', 'radio', 'library', 'other'],
+      default: 'other'
+    }
   }]
 }, {
   timestamps: true
@@ -152,11 +166,14 @@ userSchema.methods.addBadge = function(badgeName, description, icon) {
 };
 
 // Update listening history
-userSchema.methods.addToHistory = function(songId, duration) {
+userSchema.methods.addToHistory = function(songId, duration, details = {}) {
   this.listeningHistory.unshift({
     song: songId,
     playedAt: new Date(),
-    duration
+    duration,
+    startPosition: details.startPosition,
+    skipped: details.skipped,
+    source: details.source
   });
   
   // Keep only last 100 entries
@@ -15,6 +15,9 @@ class AudioPlayer {
         this.equalizer = null;
         this.crossfade = false;
         this.crossfadeDuration = 3000; // 3 seconds
+        this.mediaSource = null;
+        this.replayGain = null; // { gain, peak } from the server's loudness analysis
+        this.normalizeVolume = true;
     }
 
     // Initialize Web Audio API
@@ -68,6 +71,35 @@ class AudioPlayer {
         this.equalizer.high.connect(this.gainNode);
     }
 
+    // Route the <audio> element through the equalizer and gain nodes
+    attachMediaElement(mediaElement) {
+        if (!this.isInitialized || this.mediaSource || !mediaElement) return;
+        
+        this.mediaSource = this.audioContext.createMediaElementSource(mediaElement);
+        this.mediaSource.connect(this.equalizer.low);
+        this.updateReplayGain();
+    }
+
+    // Set the ReplayGain values (dB gain, linear peak) for the song that is playing
+    setReplayGain(replayGain, enabled = this.normalizeVolume) {
+        this.replayGain = replayGain;
+        this.normalizeVolume = enabled;
+        this.updateReplayGain();
+    }
+
+    // Linear gain factor; never boosts a track past full scale
+    getReplayGainFactor() {
+        if (!this.normalizeVolume || !this.replayGain) return 1;
+        
+        const factor = Math.pow(10, this.replayGain.gain / 20);
+        return this.replayGain.peak ? Math.min(factor, 1 / this.replayGain.peak) : factor;
+    }
+
+    updateReplayGain() {
+        if (!this.gainNode) return;
+        this.gainNode.gain.setValueAtTime(this.getReplayGainFactor(), this.audioContext.currentTime);
+    }
+
     // Set equalizer values
     setEqualizer(low = 0, mid = 0, high = 0) {
         if (!this.equalizer) return;
@@ -261,6 +293,54 @@ class AudioPlayer {
         return waveform;
     }
 
+    // Fetch the server's precomputed peaks for a song (null if unavailable)
+    async loadWaveform(songId) {
+        try {
+            const response = await fetch(`/api/songs/${songId}/waveform`);
+            if (!response.ok) return null;
+            
+            const result = await response.json();
+            return result.success ? result.data.peaks : null;
+        } catch (error) {
+            console.error('Waveform load failed:', error);
+            return null;
+        }
+    }
+
+    // Draw peaks as mirrored bars, coloring the played part with the theme's primary color
+    drawWaveform(canvas, peaks, progress = 0) {
+        if (!canvas || !peaks || peaks.length === 0) return;
+        
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth * ratio;
+        const height = canvas.clientHeight * ratio;
+        
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        
+        const context = canvas.getContext('2d');
+        const styles = getComputedStyle(canvas);
+        const playedColor = styles.getPropertyValue('--primary-color').trim() || '#6366f1';
+        const remainingColor = styles.getPropertyValue('--bg-tertiary').trim() || '#cbd5e1';
+        
+        const barWidth = 2 * ratio;
+        const gap = ratio;
+        const bars = Math.max(1, Math.floor(width / (barWidth + gap)));
+        const middle = height / 2;
+        
+        context.clearRect(0, 0, width, height);
+        
+        for (let i = 0; i < bars; i++) {
+            const peak = peaks[Math.floor(i * peaks.length / bars)];
+            const barHeight = Math.max(ratio, peak * height);
+            
+            context.fillStyle = i / bars < progress ? playedColor : remainingColor;
+            context.fillRect(i * (barWidth + gap), middle - barHeight / 2, barWidth, barHeight);
+        }
+    }
+
     // Audio format detection
     detectAudioFormat(url) {
         const extension = url.split('.').pop().toLowerCase();
@@ -276,6 +356,21 @@ class AudioPlayer {
         return formats[extension] || 'audio/mpeg';
     }
 
+    // Native HLS support (Safari, iOS, Android Chrome); other browsers use the progressive file
+    supportsHls(mediaElement) {
+        const element = mediaElement || document.createElement('audio');
+        return element.canPlayType('application/vnd.apple.mpegurl') !== '' ||
+               element.canPlayType('application/x-mpegURL') !== '';
+    }
+
+    // Choose between the HLS playlist and the progressive stream for a playback session
+    selectStreamUrl(playback, mediaElement) {
+        if (playback.hlsUrl && this.supportsHls(mediaElement)) {
+            return playback.hlsUrl;
+        }
+        return playback.streamUrl;
+    }
+
     // Audio quality detection
     async detectAudioQuality(url) {
         try {
@@ -352,11 +447,13 @@ let enhancedPlayer = null;
 
 document.addEventListener('DOMContentLoaded', function() {
     enhancedPlayer = new AudioPlayer();
+    window.enhancedPlayer = enhancedPlayer;
     
     // Initialize Web Audio API when user interacts
     document.addEventListener('click', async function() {
         if (!enhancedPlayer.isInitialized) {
             await enhancedPlayer.initializeWebAudio();
+            enhancedPlayer.attachMediaElement(document.getElementById('audioElement'));
         }
     }, { once: true });
 });
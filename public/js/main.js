@@ -11,6 +11,13 @@ let isShuffled = false;
 let repeatMode = 'none'; // none, all, one
 let playQueue = [];
 let currentQueueIndex = 0;
+let playbackSession = null; // listen currently being tracked for POST /api/plays
+let currentWaveform = null; // peaks from GET /api/songs/:id/waveform
+let currentLyrics = null; // synced lines from GET /songs/:id/lyrics
+let lyricsData = null; // the rest of that response: plain lyrics and available versions
+let lyricsTranslation = null; // lines of the version shown next to the original
+let activeLyricIndex = -1;
+let lyricsScrolledAt = 0; // when the listener last scrolled the lyrics by hand
 
 // DOM elements
 const audioElement = document.getElementById('audioElement');
@@ -19,6 +26,8 @@ const prevBtn = document.getElementById('prevBtn');
 const nextBtn = document.getElementById('nextBtn');
 const progressSlider = document.getElementById('progressSlider');
 const progressFill = document.getElementById('progressFill');
+const progressBar = document.getElementById('progressBar');
+const progressWaveform = document.getElementById('progressWaveform');
 const currentTimeDisplay = document.getElementById('currentTime');
 const totalTimeDisplay = document.getElementById('totalTime');
 const volumeSlider = document.getElementById('volumeSlider');
@@ -26,8 +35,14 @@ const volumeBtn = document.getElementById('volumeBtn');
 const shuffleBtn = document.getElementById('shuffleBtn');
 const repeatBtn = document.getElementById('repeatBtn');
 const queueBtn = document.getElementById('queueBtn');
+const normalizeBtn = document.getElementById('normalizeBtn');
 const queueModal = document.getElementById('queueModal');
 const queueList = document.getElementById('queueList');
+const lyricsBtn = document.getElementById('lyricsBtn');
+const lyricsModal = document.getElementById('lyricsModal');
+const lyricsLines = document.getElementById('lyricsLines');
+const lyricsLanguage = document.getElementById('lyricsLanguage');
+const lyricsContribute = document.getElementById('lyricsContribute');
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
@@ -56,6 +71,10 @@ function initializeAudioPlayer() {
     audioElement.addEventListener('waiting', handleWaiting);
     audioElement.addEventListener('playing', handlePlaying);
     audioElement.addEventListener('pause', handlePause);
+    audioElement.addEventListener('seeked', handleSeeked);
+    
+    // Report the listen in progress when the page goes away
+    window.addEventListener('pagehide', () => reportPlay(true));
 }
 
 function initializeEventListeners() {
@@ -93,6 +112,11 @@ function initializeEventListeners() {
         repeatBtn.addEventListener('click', toggleRepeat);
     }
     
+    // Volume normalization
+    if (normalizeBtn) {
+        normalizeBtn.addEventListener('click', toggleNormalizeVolume);
+    }
+    
     // Queue modal
     if (queueBtn) {
         queueBtn.addEventListener('click', toggleQueueModal);
@@ -113,8 +137,27 @@ function initializeEventListeners() {
         });
     }
     
+    // Lyrics modal
+    if (lyricsBtn && lyricsModal) {
+        lyricsBtn.addEventListener('click', toggleLyricsModal);
+        document.getElementById('lyricsClose').addEventListener('click', toggleLyricsModal);
+        lyricsModal.addEventListener('click', function(e) {
+            if (e.target === lyricsModal) {
+                toggleLyricsModal();
+            }
+        });
+        lyricsLines.addEventListener('click', handleLyricClick);
+        lyricsLanguage.addEventListener('change', handleLyricsLanguageChange);
+        // Auto-scroll pauses for a few seconds while the listener scrolls by hand
+        lyricsLines.addEventListener('wheel', () => { lyricsScrolledAt = Date.now(); });
+        lyricsLines.addEventListener('touchmove', () => { lyricsScrolledAt = Date.now(); });
+    }
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', handleKeyboardShortcuts);
+    
+    // The waveform canvas is sized in device pixels
+    window.addEventListener('resize', renderWaveform);
 }
 
 // Audio event handlers
@@ -125,22 +168,37 @@ function handleLoadedMetadata() {
 }
 
 function handleTimeUpdate() {
+    trackListenedTime(audioElement.currentTime);
     currentTime = audioElement.currentTime;
     const progress = (currentTime / duration) * 100;
     
     progressFill.style.width = progress + '%';
     progressSlider.value = currentTime;
+    renderWaveform();
     currentTimeDisplay.textContent = formatTime(currentTime);
+    updateLyricsHighlight(currentTime);
 }
 
 function handleSongEnded() {
+    if (playbackSession) {
+        playbackSession.ended = true;
+    }
+    
     if (repeatMode === 'one') {
-        audioElement.currentTime = 0;
-        audioElement.play();
+        // Replaying is a new listen, so it gets its own playback session
+        loadSong(currentSong).then(play);
     } else if (repeatMode === 'all' || currentQueueIndex < playQueue.length - 1) {
         playNext();
     } else {
         stop();
+        reportPlay();
+    }
+}
+
+function handleSeeked() {
+    // Seeking is not listening; resume counting from the new position
+    if (playbackSession) {
+        playbackSession.lastPosition = audioElement.currentTime;
     }
 }
 
@@ -158,6 +216,11 @@ function handleWaiting() {
 }
 
 function handlePlaying() {
+    if (playbackSession && playbackSession.startPosition === null) {
+        playbackSession.startPosition = audioElement.currentTime;
+        playbackSession.lastPosition = audioElement.currentTime;
+    }
+    
     isPlaying = true;
     updatePlayButton();
 }
@@ -221,21 +284,386 @@ function playNext() {
 
 // Song loading
 function loadSong(song) {
-    if (!song) return;
+    if (!song) return Promise.resolve();
+    
+    // Whatever was playing before is finished (or skipped)
+    reportPlay();
     
     currentSong = song;
     
     // Update UI
     updatePlayerInfo(song);
     
-    // Load audio
-    if (audioElement) {
-        audioElement.src = `/songs/${song._id}/stream`;
-        audioElement.load();
-    }
-    
     // Update queue display
     updateQueueDisplay();
+    
+    if (!audioElement) return Promise.resolve();
+    
+    loadWaveform(song);
+    loadLyrics(song);
+    
+    // Each load starts a new playback session so the server counts one play
+    return startPlayback(song)
+        .then(data => {
+            if (currentSong !== song) return;
+            
+            playbackSession = data.token ? {
+                songId: song._id,
+                token: data.token,
+                source: song.playSource || 'other',
+                startPosition: null,
+                lastPosition: 0,
+                listenedSeconds: 0,
+                ended: false
+            } : null;
+            
+            applyReplayGain(song, data);
+            
+            // Prefer HLS where the browser plays it natively
+            audioElement.src = window.enhancedPlayer
+                ? window.enhancedPlayer.selectStreamUrl(data, audioElement)
+                : data.streamUrl;
+            audioElement.load();
+        });
+}
+
+// Swap the plain progress bar for the song's waveform once its peaks arrive
+function loadWaveform(song) {
+    currentWaveform = null;
+    if (progressBar) progressBar.classList.remove('has-waveform');
+    
+    if (!window.enhancedPlayer || !progressWaveform) return;
+    
+    window.enhancedPlayer.loadWaveform(song._id).then(peaks => {
+        if (currentSong !== song || !peaks) return;
+        
+        currentWaveform = peaks;
+        progressBar.classList.add('has-waveform');
+        renderWaveform();
+    });
+}
+
+function renderWaveform() {
+    if (!currentWaveform) return;
+    
+    const progress = duration ? audioElement.currentTime / duration : 0;
+    window.enhancedPlayer.drawWaveform(progressWaveform, currentWaveform, progress);
+}
+
+// Fetch the song's lyrics; synced (LRC) lyrics follow playback, plain lyrics are just shown.
+// The translation last picked is shown alongside when the song has it.
+function loadLyrics(song) {
+    currentLyrics = null;
+    lyricsData = null;
+    lyricsTranslation = null;
+    activeLyricIndex = -1;
+    if (!lyricsLines) return;
+    
+    lyricsLines.innerHTML = '<p class="lyrics-empty">Loading lyrics...</p>';
+    if (lyricsContribute) {
+        lyricsContribute.href = `/songs/${song._id}/lyrics/contribute`;
+        lyricsContribute.hidden = false;
+    }
+    
+    fetch(`/songs/${song._id}/lyrics`)
+        .then(response => response.json())
+        .then(data => {
+            if (currentSong !== song) return;
+            
+            lyricsData = data;
+            currentLyrics = data.synced && data.synced.lines.length > 0 ? data.synced.lines : null;
+            updateLyricsLanguages(data.versions || []);
+            
+            const preferred = localStorage.getItem('lyricsLanguage');
+            if (preferred && (data.versions || []).some(version => version.language === preferred)) {
+                lyricsLanguage.value = preferred;
+                return loadLyricsTranslation(song, preferred);
+            }
+            renderLyrics();
+        })
+        .catch(() => {
+            if (currentSong === song) renderPlainLyrics('');
+        });
+}
+
+function updateLyricsLanguages(versions) {
+    lyricsLanguage.innerHTML = '<option value="">Original only</option>';
+    versions.forEach(version => {
+        const option = document.createElement('option');
+        option.value = version.language;
+        option.textContent = version.kind === 'romanization' ? `${version.languageName} (romanized)` : version.languageName;
+        lyricsLanguage.appendChild(option);
+    });
+    lyricsLanguage.hidden = versions.length === 0;
+}
+
+function loadLyricsTranslation(song, language) {
+    return fetch(`/songs/${song._id}/lyrics?lang=${encodeURIComponent(language)}`)
+        .then(response => response.json())
+        .then(data => {
+            if (currentSong !== song) return;
+            lyricsTranslation = data.translation ? data.translation.lines : null;
+            renderLyrics();
+        })
+        .catch(() => {
+            if (currentSong === song) renderLyrics();
+        });
+}
+
+function handleLyricsLanguageChange() {
+    const language = lyricsLanguage.value;
+    localStorage.setItem('lyricsLanguage', language);
+    
+    if (!language) {
+        lyricsTranslation = null;
+        renderLyrics();
+    } else if (currentSong) {
+        loadLyricsTranslation(currentSong, language);
+    }
+}
+
+function renderLyrics() {
+    activeLyricIndex = -1;
+    lyricsModal.querySelector('.modal-content').classList.toggle('lyrics-wide', Boolean(lyricsTranslation));
+    lyricsLines.classList.toggle('side-by-side', Boolean(lyricsTranslation));
+    
+    if (currentLyrics) {
+        renderSyncedLyrics();
+        updateLyricsHighlight(audioElement ? audioElement.currentTime : 0);
+    } else {
+        renderPlainLyrics(lyricsData ? lyricsData.lyrics : '');
+    }
+}
+
+function renderPlainLyrics(lyrics) {
+    lyricsLines.innerHTML = '';
+    
+    if (lyrics && lyricsTranslation) {
+        // Line by line, original on the left
+        const originalLines = lyrics.replace(/\r\n|\r/g, '\n').trim().split('\n');
+        const count = Math.max(originalLines.length, lyricsTranslation.length);
+        for (let index = 0; index < count; index++) {
+            const pair = document.createElement('p');
+            pair.className = 'lyrics-pair';
+            pair.appendChild(createLyricsCell('lyrics-original', originalLines[index] || ''));
+            pair.appendChild(createLyricsCell('lyrics-translation', lyricsTranslation[index] || ''));
+            lyricsLines.appendChild(pair);
+        }
+        return;
+    }
+    
+    const text = document.createElement('p');
+    text.className = lyrics ? 'lyrics-plain' : 'lyrics-empty';
+    text.textContent = lyrics || 'No lyrics available for this song';
+    lyricsLines.appendChild(text);
+}
+
+function createLyricsCell(className, text) {
+    const cell = document.createElement('span');
+    cell.className = className;
+    cell.textContent = text;
+    return cell;
+}
+
+function renderSyncedLyrics() {
+    lyricsLines.innerHTML = '';
+    
+    // Translations have a line for each sung line; instrumental gaps have none
+    const translated = lyricsTranslation ? lyricsTranslation.filter(Boolean) : [];
+    let translatedIndex = 0;
+    
+    currentLyrics.forEach((line, index) => {
+        const lineElement = document.createElement('p');
+        lineElement.className = 'lyrics-line';
+        lineElement.dataset.index = index;
+        
+        const original = createLyricsCell('lyrics-original', '');
+        // Enhanced LRC: one span per word so the sung words can be highlighted
+        if (line.words) {
+            line.words.forEach(word => {
+                original.appendChild(createLyricsCell('lyrics-word', word.text)); // keeps its own spacing
+            });
+        } else {
+            original.textContent = line.text || '\u266A';
+        }
+        lineElement.appendChild(original);
+        
+        if (lyricsTranslation) {
+            lineElement.appendChild(createLyricsCell('lyrics-translation', line.text ? translated[translatedIndex++] || '' : ''));
+        }
+        
+        lyricsLines.appendChild(lineElement);
+    });
+}
+
+// Index of the last line starting at or before the given time (-1 before the first line)
+function findLyricIndex(time) {
+    let low = 0;
+    let high = currentLyrics.length - 1;
+    let found = -1;
+    
+    while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        if (currentLyrics[middle].time <= time) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    
+    return found;
+}
+
+function updateLyricsHighlight(time) {
+    if (!currentLyrics || !lyricsLines) return;
+    
+    const index = findLyricIndex(time);
+    const lineElements = lyricsLines.querySelectorAll('.lyrics-line');
+    
+    if (index !== activeLyricIndex) {
+        if (lineElements[activeLyricIndex]) {
+            lineElements[activeLyricIndex].classList.remove('active');
+            lineElements[activeLyricIndex].querySelectorAll('.lyrics-word').forEach(word => word.classList.remove('sung'));
+        }
+        activeLyricIndex = index;
+        
+        if (lineElements[index]) {
+            lineElements[index].classList.add('active');
+            lineElements.forEach((lineElement, lineIndex) => lineElement.classList.toggle('past', lineIndex < index));
+            
+            if (lyricsModal.classList.contains('active') && Date.now() - lyricsScrolledAt > 4000) {
+                lineElements[index].scrollIntoView({ block: 'center', behavior: 'smooth' });
+            }
+        }
+    }
+    
+    // Karaoke: mark the words of the current line that have been reached
+    const line = currentLyrics[index];
+    if (line && line.words) {
+        lineElements[index].querySelectorAll('.lyrics-word').forEach((wordElement, wordIndex) => {
+            wordElement.classList.toggle('sung', line.words[wordIndex].time <= time);
+        });
+    }
+}
+
+// Clicking a synced line seeks to it
+function handleLyricClick(e) {
+    const lineElement = e.target.closest('.lyrics-line');
+    if (!lineElement || !currentLyrics || !audioElement) return;
+    
+    lyricsScrolledAt = 0;
+    audioElement.currentTime = currentLyrics[Number(lineElement.dataset.index)].time;
+}
+
+function toggleLyricsModal() {
+    lyricsModal.classList.toggle('active');
+    
+    // Jump straight to the current line when opening
+    const active = lyricsLines.querySelector('.lyrics-line.active');
+    if (lyricsModal.classList.contains('active') && active) {
+        lyricsScrolledAt = 0;
+        active.scrollIntoView({ block: 'center' });
+    }
+}
+
+// Use album gain when the queue is playing through an album, track gain otherwise
+function applyReplayGain(song, data) {
+    if (!window.enhancedPlayer) return;
+    
+    const replayGain = data.replayGain;
+    const neighbours = [playQueue[currentQueueIndex - 1], playQueue[currentQueueIndex + 1]];
+    const inAlbum = song.playSource === 'album' || (song.album && neighbours.some(other => other && other.album === song.album && other.artist === song.artist));
+    
+    let gain = null;
+    if (replayGain) {
+        gain = inAlbum && replayGain.albumGain !== undefined
+            ? { gain: replayGain.albumGain, peak: replayGain.albumPeak }
+            : { gain: replayGain.trackGain, peak: replayGain.trackPeak };
+    }
+    
+    window.enhancedPlayer.setReplayGain(gain, data.normalizeVolume !== false);
+    updateNormalizeButton();
+}
+
+function toggleNormalizeVolume() {
+    if (!window.enhancedPlayer) return;
+    
+    const enabled = !window.enhancedPlayer.normalizeVolume;
+    
+    fetch('/api/user/preferences', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ normalizeVolume: enabled })
+    })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) throw new Error(data.error);
+            
+            window.enhancedPlayer.setReplayGain(window.enhancedPlayer.replayGain, enabled);
+            updateNormalizeButton();
+            showNotification(`Volume normalization ${enabled ? 'on' : 'off'}`, 'success');
+        })
+        .catch(error => {
+            console.error('Preference update error:', error);
+            showNotification('Could not update volume normalization', 'error');
+        });
+}
+
+function updateNormalizeButton() {
+    if (!normalizeBtn || !window.enhancedPlayer) return;
+    normalizeBtn.classList.toggle('active', window.enhancedPlayer.normalizeVolume);
+}
+
+function startPlayback(song) {
+    const fallback = { token: null, streamUrl: `/songs/${song._id}/stream`, hlsUrl: null };
+    
+    return fetch(`/songs/${song._id}/playback`, { method: 'POST' })
+        .then(response => response.json())
+        .then(data => data.success ? data : fallback)
+        .catch(error => {
+            console.error('Playback session error:', error);
+            return fallback;
+        });
+}
+
+// Accumulate time actually heard, ignoring jumps caused by seeking
+function trackListenedTime(position) {
+    if (!playbackSession || audioElement.paused) return;
+    
+    const delta = position - playbackSession.lastPosition;
+    if (delta > 0 && delta < 2) {
+        playbackSession.listenedSeconds += delta;
+    }
+    playbackSession.lastPosition = position;
+}
+
+// Send the finished listen to the server, which decides whether it counts as a play
+function reportPlay(useBeacon = false) {
+    const session = playbackSession;
+    playbackSession = null;
+    
+    if (!session || session.listenedSeconds <= 0) return;
+    
+    const payload = JSON.stringify({
+        songId: session.songId,
+        token: session.token,
+        startPosition: session.startPosition || 0,
+        listenedSeconds: Math.round(session.listenedSeconds * 10) / 10,
+        skipped: !session.ended,
+        source: session.source
+    });
+    
+    if (useBeacon && navigator.sendBeacon) {
+        navigator.sendBeacon('/api/plays', new Blob([payload], { type: 'application/json' }));
+        return;
+    }
+    
+    fetch('/api/plays', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: payload
+    }).catch(error => console.error('Play report error:', error));
 }
 
 function updatePlayerInfo(song) {
@@ -405,8 +833,7 @@ function updateQueueDisplay() {
         
         queueItem.addEventListener('click', () => {
             currentQueueIndex = index;
-            loadSong(song);
-            play();
+            loadSong(song).then(play);
         });
         
         queueList.appendChild(queueItem);
@@ -448,12 +875,13 @@ function formatTime(seconds) {
 }
 
 // Global play function (called from song cards)
-window.playSong = function(songId) {
+window.playSong = function(songId, source = 'other') {
     fetch(`/api/songs/${songId}`)
         .then(response => response.json())
         .then(data => {
             if (data.success) {
                 const song = data.data;
+                song.playSource = source;
                 
                 // Add to queue if not already playing
                 if (!currentSong || currentSong._id !== song._id) {
@@ -471,8 +899,7 @@ window.playSong = function(songId) {
                         }
                     }
                     
-                    loadSong(song);
-                    play();
+                    loadSong(song).then(play);
                 } else {
                     togglePlayPause();
                 }
@@ -486,6 +913,51 @@ window.playSong = function(songId) {
         });
 };
 
+// Replace the queue with an album's tracks (in disc/track order) and start playing
+window.playAlbum = function(slug, startIndex = 0) {
+    fetch(`/api/albums/${encodeURIComponent(slug)}`)
+        .then(response => response.json())
+        .then(data => {
+            if (data.success && data.data.tracks.length > 0) {
+                playQueue = data.data.tracks.map(track => ({ ...track, playSource: 'album' }));
+                currentQueueIndex = Math.min(Math.max(startIndex, 0), playQueue.length - 1);
+                
+                loadSong(playQueue[currentQueueIndex]).then(play);
+            } else {
+                showNotification(data.error || 'This album has no playable tracks', 'error');
+            }
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            showNotification('Error loading album', 'error');
+        });
+};
+
+// Replace the queue with a playlist's songs (in playlist order) and start playing
+window.playPlaylist = function(playlistId, startIndex = 0) {
+    fetch(`/api/playlists/${playlistId}`)
+        .then(response => response.json())
+        .then(data => {
+            const songs = data.success
+                ? [...data.data.songs].sort((a, b) => a.order - b.order).map(item => item.song).filter(Boolean)
+                : [];
+            
+            if (songs.length > 0) {
+                playQueue = songs.map(song => ({ ...song, playSource: 'playlist' }));
+                currentQueueIndex = Math.min(Math.max(startIndex, 0), playQueue.length - 1);
+                
+                loadSong(playQueue[currentQueueIndex]).then(play);
+                fetch(`/playlists/${playlistId}/play`, { method: 'POST' }).catch(() => {});
+            } else {
+                showNotification(data.error || 'This playlist has no playable songs', 'error');
+            }
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            showNotification('Error loading playlist', 'error');
+        });
+};
+
 // Keyboard shortcuts
 function handleKeyboardShortcuts(e) {
     // Don't trigger shortcuts when typing in inputs
@@ -660,6 +1132,8 @@ document.addEventListener('beforeunload', saveUserPreferences);
 // Export functions for global access
 window.TuneForge = {
     playSong,
+    playAlbum,
+    playPlaylist,
     addToQueue,
     clearQueue,
     toggleTheme,
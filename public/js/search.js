@@ -85,11 +85,17 @@ class SearchManager {
                 return;
             }
 
-            const response = await fetch(`/api/search?q=${encodeURIComponent(query)}&type=all&limit=5`);
-            const data = await response.json();
+            // Lyrics are a separate search so a remembered line finds its song too
+            const [data, lyricsData] = await Promise.all([
+                fetch(`/api/search?q=${encodeURIComponent(query)}&type=all&limit=5`).then(response => response.json()),
+                fetch(`/api/search?q=${encodeURIComponent(query)}&type=lyrics&limit=3`).then(response => response.json())
+            ]);
 
             if (data.success) {
-                const suggestions = this.formatSuggestions(data.data.results);
+                const suggestions = this.formatSuggestions({
+                    ...data.data.results,
+                    lyrics: lyricsData.success ? lyricsData.data.results.lyrics : []
+                });
                 this.searchCache.set(query, suggestions);
                 
                 // Limit cache size
@@ -124,6 +130,24 @@ class SearchManager {
             });
         }
 
+        // Add lyrics matches (songs already listed above are left out)
+        const listedSongs = (results.songs || []).slice(0, 3).map(song => song._id);
+        const lyricsMatches = (results.lyrics || []).filter(song => !listedSongs.includes(song._id));
+        if (lyricsMatches.length > 0) {
+            suggestions.push({
+                type: 'section',
+                title: 'Lyrics',
+                items: lyricsMatches.slice(0, 3).map(song => ({
+                    type: 'lyrics',
+                    id: song._id,
+                    title: song.title,
+                    artist: song.artist,
+                    coverArt: song.coverArt,
+                    snippetHtml: song.snippetHtml
+                }))
+            });
+        }
+
         // Add playlists
         if (results.playlists && results.playlists.length > 0) {
             suggestions.push({
@@ -226,6 +250,19 @@ class SearchManager {
                 `;
                 break;
                 
+            case 'lyrics':
+                // snippetHtml is escaped by the server, apart from the <mark> tags
+                html += `
+                    <div class="suggestion-cover">
+                        <img src="${item.coverArt || '/images/default-album-cover.png'}" alt="${item.title}">
+                    </div>
+                    <div class="suggestion-info">
+                        <div class="suggestion-title">${item.title} &middot; ${item.artist}</div>
+                        <div class="suggestion-subtitle suggestion-snippet">${item.snippetHtml}</div>
+                    </div>
+                `;
+                break;
+                
             case 'playlist':
                 html += `
                     <div class="suggestion-cover">
@@ -281,6 +318,7 @@ class SearchManager {
     navigateToItem(type, id) {
         switch (type) {
             case 'song':
+            case 'lyrics':
                 window.location.href = `/songs/${id}`;
                 break;
             case 'playlist':
@@ -1,15 +1,109 @@
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
 const Song = require('../models/Song');
 const User = require('../models/User');
 const Playlist = require('../models/Playlist');
+const Job = require('../models/Job');
+const Artist = require('../models/Artist');
+const Album = require('../models/Album');
+const Genre = require('../models/Genre');
+const LyricVersion = require('../models/LyricVersion');
+const SongLyrics = require('../models/SongLyrics');
 const { requireAdmin, checkAdmin } = require('../middleware/auth');
-const { uploadSongWithCover, handleUploadError } = require('../middleware/upload');
+const {
+  uploadImage,
+  uploadSongWithCover,
+  uploadAlbumArchive,
+  uploadCatalogFile,
+  handleUploadError,
+  deleteUploadedFile,
+  persistUpload,
+  persistPublicUpload
+} = require('../middleware/upload');
+const { extractAudioMetadata, saveEmbeddedCover } = require('../utils/metadata');
+const { qualityForBitrate } = require('../utils/transcoder');
+const { removeHlsCache } = require('../utils/hls');
+const { getStorage, keyFromUrl } = require('../utils/storage');
+const { hashFile } = require('../utils/fingerprint');
+const { enqueueSongProcessing } = require('../utils/mediaJobs');
+const { CREDIT_ROLES } = require('../utils/artists');
+const { parseLrc } = require('../utils/lyrics');
+const {
+  MAX_TRACKS,
+  BATCH_ID_PATTERN,
+  stageAlbumArchive,
+  loadBatch,
+  stagedFilePath,
+  removeBatch,
+  pruneStaleBatches
+} = require('../utils/albumImport');
+const {
+  CATALOG_COLUMNS,
+  exportCatalog,
+  toCsv,
+  parseCatalogFile,
+  planImport,
+  applyImport
+} = require('../utils/catalog');
+const {
+  auditStorage,
+  actionableOrphans,
+  quarantineOrphans,
+  deleteOrphans,
+  formatBytes
+} = require('../utils/storageAudit');
 const { body, validationResult } = require('express-validator');
-const path = require('path');
-const fs = require('fs');
 
 const router = express.Router();
 
+// Remove every file multer stored for this request
+const removeUploadedFiles = (files) => {
+  if (!files) return;
+  
+  Object.values(files).forEach(fileArray => {
+    fileArray.forEach(file => deleteUploadedFile(file.path));
+  });
+};
+
+// Remove objects already written to storage (used to roll back a failed upload)
+const deleteStoredFiles = async (keys) => {
+  await Promise.all(keys.map(key => getStorage().delete(key).catch(error => {
+    console.error('Storage cleanup error:', error.message);
+  })));
+};
+
+// Describe a duplicate match for the upload form, with a link to the existing record
+const describeDuplicate = ({ song, reason }) => ({
+  id: song._id,
+  title: song.title,
+  artist: song.artist,
+  reason,
+  url: `/admin/songs/${song._id}/edit`,
+  msg: reason === 'hash'
+    ? `This file is identical to "${song.title}" by ${song.artist}`
+    : `This looks like "${song.title}" by ${song.artist} (same artist, title and length)`
+});
+
+// Genre options for the forms' <select> menus
+const loadGenreOptions = async (req, res, next) => {
+  try {
+    res.locals.genres = await Genre.getOptions();
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// express-validator check that a genre slug exists in the taxonomy
+const isKnownGenre = async (value) => {
+  if (!(await Genre.isValidSlug(value))) {
+    throw new Error('Please select a valid genre');
+  }
+  return true;
+};
+
 // Apply admin check to all routes
 router.use(requireAdmin);
 
@@ -20,6 +114,7 @@ router.get('/', async (req, res) => {
     const totalUsers = await User.countDocuments();
     const totalSongs = await Song.countDocuments();
     const totalPlaylists = await Playlist.countDocuments();
+    const pendingLyrics = await LyricVersion.countPending();
     const activeUsers = await User.countDocuments({ isActive: true });
     const premiumUsers = await User.countDocuments({ 
       'subscription.type': { $ne: 'free' },
@@ -46,7 +141,9 @@ router.get('/', async (req, res) => {
     const genreStats = await Song.aggregate([
       { $match: { isActive: true } },
       { $group: { _id: '$genre', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
+      { $sort: { count: -1 } },
+      { $lookup: { from: 'genres', localField: '_id', foreignField: 'slug', as: 'genre' } },
+      { $project: { count: 1, name: { $arrayElemAt: ['$genre.name', 0] } } }
     ]);
     
     res.render('admin/dashboard', {
@@ -56,7 +153,8 @@ router.get('/', async (req, res) => {
         totalSongs,
         totalPlaylists,
         activeUsers,
-        premiumUsers
+        premiumUsers,
+        pendingLyrics
       },
       recentSongs,
       recentUsers,
@@ -73,7 +171,7 @@ router.get('/', async (req, res) => {
 });
 
 // Song management
-router.get('/songs', async (req, res) => {
+router.get('/songs', loadGenreOptions, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -86,7 +184,10 @@ router.get('/songs', async (req, res) => {
       filters.isActive = req.query.status === 'active';
     }
     if (req.query.genre) {
-      filters.genre = req.query.genre;
+      filters.genre = { $in: await Genre.descendantSlugs(req.query.genre) };
+    }
+    if (req.query.processing) {
+      filters.processingStatus = req.query.processing;
     }
     if (req.query.search) {
       filters.$text = { $search: req.query.search };
@@ -101,13 +202,25 @@ router.get('/songs', async (req, res) => {
     const totalSongs = await Song.countDocuments(filters);
     const totalPages = Math.ceil(totalSongs / limit);
     
+    // Background processing that hasn't finished (or gave up)
+    const jobs = await Job.getOutstanding();
+    const jobSongs = await Song.find({
+      _id: { $in: jobs.map(job => job.payload && job.payload.songId).filter(Boolean) }
+    }).select('title artist');
+    const songsById = new Map(jobSongs.map(song => [song._id.toString(), song]));
+    
     res.render('admin/songs', {
       title: 'Manage Songs - TuneForge',
       songs,
+      jobs: jobs.map(job => ({
+        job,
+        song: job.payload && songsById.get(String(job.payload.songId))
+      })),
       currentPage: page,
       totalPages,
       totalSongs,
       filters: req.query,
+      messages: req.flash(),
       user: req.session.user
     });
     
@@ -119,7 +232,7 @@ router.get('/songs', async (req, res) => {
 });
 
 // Upload song page
-router.get('/songs/upload', (req, res) => {
+router.get('/songs/upload', loadGenreOptions, (req, res) => {
   res.render('admin/upload-song', {
     title: 'Upload Song - TuneForge',
     user: req.session.user
@@ -127,48 +240,55 @@ router.get('/songs/upload', (req, res) => {
 });
 
 // Upload song
-router.post('/songs/upload', uploadSongWithCover.fields([
+router.post('/songs/upload', loadGenreOptions, uploadSongWithCover.fields([
   { name: 'songFile', maxCount: 1 },
   { name: 'coverArt', maxCount: 1 }
 ]), [
+  // Title, artist, genre and duration may be left blank and filled from the file's tags
   body('title')
+    .optional({ checkFalsy: true })
     .trim()
     .isLength({ min: 1, max: 200 })
-    .withMessage('Title is required and must be less than 200 characters'),
+    .withMessage('Title must be less than 200 characters'),
   body('artist')
+    .optional({ checkFalsy: true })
     .trim()
     .isLength({ min: 1, max: 100 })
-    .withMessage('Artist is required and must be less than 100 characters'),
+    .withMessage('Artist must be less than 100 characters'),
   body('album')
     .optional()
     .trim()
     .isLength({ max: 100 })
     .withMessage('Album must be less than 100 characters'),
   body('genre')
-    .isIn(['pop', 'rock', 'hip-hop', 'jazz', 'classical', 'electronic', 'country', 'blues', 'reggae', 'folk', 'other'])
-    .withMessage('Please select a valid genre'),
+    .optional({ checkFalsy: true })
+    .custom(isKnownGenre),
   body('duration')
+    .optional({ checkFalsy: true })
     .isNumeric()
     .withMessage('Duration must be a number'),
   body('releaseYear')
-    .optional()
+    .optional({ checkFalsy: true })
     .isInt({ min: 1900, max: new Date().getFullYear() + 1 })
-    .withMessage('Please enter a valid release year')
+    .withMessage('Please enter a valid release year'),
+  body('trackNumber')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1 })
+    .withMessage('Track number must be a positive number'),
+  body('discNumber')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1 })
+    .withMessage('Disc number must be a positive number')
 ], async (req, res) => {
+  const storedKeys = [];
+  let song = null;
+  
   try {
     const errors = validationResult(req);
     
     if (!errors.isEmpty()) {
       // Clean up uploaded files if validation fails
-      if (req.files) {
-        Object.values(req.files).forEach(fileArray => {
-          fileArray.forEach(file => {
-            if (fs.existsSync(file.path)) {
-              fs.unlinkSync(file.path);
-            }
-          });
-        });
-      }
+      removeUploadedFiles(req.files);
       
       return res.render('admin/upload-song', {
         title: 'Upload Song - TuneForge',
@@ -190,13 +310,20 @@ router.post('/songs/upload', uploadSongWithCover.fields([
     const songFile = req.files.songFile[0];
     const coverArt = req.files.coverArt ? req.files.coverArt[0] : null;
     
+    // Read tags and stream headers from the saved file; form values take precedence
+    let extracted = {};
+    try {
+      extracted = await extractAudioMetadata(songFile.path, { duration: false });
+      // VBR files without a header can't be timed from headers alone
+      if (!extracted.duration && !req.body.duration) {
+        extracted = await extractAudioMetadata(songFile.path);
+      }
+    } catch (metadataError) {
+      console.error('Metadata extraction error:', metadataError.message);
+    }
+    
     const {
-      title,
-      artist,
       album,
-      genre,
-      duration,
-      releaseYear,
       language,
       explicit,
       lyrics,
@@ -208,14 +335,57 @@ router.post('/songs/upload', uploadSongWithCover.fields([
       tags
     } = req.body;
     
+    const title = req.body.title || extracted.title;
+    const artist = req.body.artist || extracted.artist;
+    const genre = req.body.genre || extracted.genre;
+    const duration = req.body.duration ? parseInt(req.body.duration) : extracted.duration;
+    const releaseYear = req.body.releaseYear ? parseInt(req.body.releaseYear) : extracted.releaseYear;
+    const trackNumber = req.body.trackNumber ? parseInt(req.body.trackNumber) : extracted.trackNumber;
+    const discNumber = req.body.discNumber ? parseInt(req.body.discNumber) : extracted.discNumber;
+    
+    const missing = [];
+    if (!title) missing.push({ msg: 'Title is required (not found in file tags)' });
+    if (!artist) missing.push({ msg: 'Artist is required (not found in file tags)' });
+    if (!genre) missing.push({ msg: 'Please select a valid genre (not found in file tags)' });
+    if (!duration) missing.push({ msg: 'Duration is required (could not be read from file)' });
+    
+    if (missing.length > 0) {
+      removeUploadedFiles(req.files);
+      
+      return res.render('admin/upload-song', {
+        title: 'Upload Song - TuneForge',
+        errors: missing,
+        formData: req.body,
+        user: req.session.user
+      });
+    }
+    
+    // Identical files are always refused; near-identical metadata needs "upload anyway"
+    const contentHash = await hashFile(songFile.path);
+    const duplicates = (await Song.findDuplicates({ contentHash, title, artist, duration }))
+      .map(describeDuplicate);
+    const isExactDuplicate = duplicates.some(duplicate => duplicate.reason === 'hash');
+    
+    if (isExactDuplicate || (duplicates.length > 0 && req.body.allowDuplicate !== 'true')) {
+      removeUploadedFiles(req.files);
+      
+      return res.render('admin/upload-song', {
+        title: 'Upload Song - TuneForge',
+        errors: duplicates,
+        duplicates,
+        canOverrideDuplicate: !isExactDuplicate,
+        formData: req.body,
+        user: req.session.user
+      });
+    }
+    
     // Create song object
     const songData = {
       title,
       artist,
-      album,
+      album: album || extracted.album,
       genre,
-      duration: parseInt(duration),
-      filePath: songFile.path.replace(/\\/g, '/'),
+      duration,
       uploadedBy: req.session.user.id,
       language: language || 'English',
       explicit: explicit === 'true',
@@ -227,35 +397,47 @@ router.post('/songs/upload', uploadSongWithCover.fields([
       isFeatured: isFeatured === 'true',
       tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
       fileSize: songFile.size,
-      bitrate: 320 // Default bitrate, could be extracted from file
+      contentHash,
+      bitrate: extracted.bitrate,
+      sampleRate: extracted.sampleRate,
+      trackNumber,
+      discNumber,
+      quality: qualityForBitrate(extracted.bitrate)
     };
     
-    if (coverArt) {
-      songData.coverArt = coverArt.path.replace(/\\/g, '/');
+    if (releaseYear) {
+      songData.releaseYear = releaseYear;
     }
     
-    if (releaseYear) {
-      songData.releaseYear = parseInt(releaseYear);
+    // Hand the original over to the storage backend; the worker does the slow processing
+    songData.filePath = await persistUpload(songFile);
+    storedKeys.push(songData.filePath);
+    songData.processingStatus = 'pending';
+    
+    if (coverArt) {
+      songData.coverArt = await persistPublicUpload(coverArt);
+      storedKeys.push(keyFromUrl(songData.coverArt));
+    } else if (extracted.picture) {
+      songData.coverArt = await saveEmbeddedCover(extracted.picture);
+      storedKeys.push(keyFromUrl(songData.coverArt));
     }
     
-    const song = new Song(songData);
+    song = new Song(songData);
     await song.save();
+    await enqueueSongProcessing(song);
     
-    req.flash('success', 'Song uploaded successfully!');
+    req.flash('success', 'Song uploaded! It will be transcoded and analyzed in the background.');
     res.redirect('/admin/songs');
     
   } catch (error) {
     console.error('Upload song error:', error);
     
     // Clean up uploaded files on error
-    if (req.files) {
-      Object.values(req.files).forEach(fileArray => {
-        fileArray.forEach(file => {
-          if (fs.existsSync(file.path)) {
-            fs.unlinkSync(file.path);
-          }
-        });
-      });
+    removeUploadedFiles(req.files);
+    await deleteStoredFiles(storedKeys);
+    if (song && !song.isNew) {
+      await Song.deleteOne({ _id: song._id }).catch(() => {});
+      await SongLyrics.deleteOne({ song: song._id }).catch(() => {});
     }
     
     req.flash('error', 'Error uploading song');
@@ -268,8 +450,283 @@ router.post('/songs/upload', uploadSongWithCover.fields([
   }
 });
 
+// Bulk album upload page
+router.get('/songs/bulk', (req, res) => {
+  res.render('admin/bulk-upload', {
+    title: 'Upload Album - TuneForge',
+    maxTracks: MAX_TRACKS,
+    messages: req.flash(),
+    user: req.session.user
+  });
+});
+
+// Unpack an album ZIP and show the review screen
+router.post('/songs/bulk', uploadAlbumArchive.fields([
+  { name: 'albumArchive', maxCount: 1 },
+  { name: 'coverArt', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    if (!req.files || !req.files.albumArchive) {
+      removeUploadedFiles(req.files);
+
+      return res.render('admin/bulk-upload', {
+        title: 'Upload Album - TuneForge',
+        errors: [{ msg: 'Album archive is required' }],
+        maxTracks: MAX_TRACKS,
+        user: req.session.user
+      });
+    }
+
+    await pruneStaleBatches();
+
+    const coverArt = req.files.coverArt ? req.files.coverArt[0] : null;
+    const batch = await stageAlbumArchive(req.files.albumArchive[0].path, coverArt);
+    removeUploadedFiles(req.files);
+
+    // Only the admin who uploaded a batch may review or commit it
+    req.session.bulkUploads = [...(req.session.bulkUploads || []), batch.batchId];
+
+    res.redirect(`/admin/songs/bulk/${batch.batchId}`);
+
+  } catch (error) {
+    console.error('Bulk upload error:', error);
+    removeUploadedFiles(req.files);
+
+    res.render('admin/bulk-upload', {
+      title: 'Upload Album - TuneForge',
+      errors: [{ msg: `Error reading album archive: ${error.message}` }],
+      maxTracks: MAX_TRACKS,
+      user: req.session.user
+    });
+  }
+});
+
+// Load a staged batch owned by the current session
+const findBulkBatch = async (req) => {
+  const { batchId } = req.params;
+
+  if (!BATCH_ID_PATTERN.test(batchId) || !(req.session.bulkUploads || []).includes(batchId)) {
+    return null;
+  }
+
+  return loadBatch(batchId);
+};
+
+// Forget a batch once it is committed or cancelled
+const discardBulkBatch = async (req, batchId) => {
+  req.session.bulkUploads = (req.session.bulkUploads || []).filter(id => id !== batchId);
+  await removeBatch(batchId);
+};
+
+// Bulk upload review screen
+router.get('/songs/bulk/:batchId', loadGenreOptions, async (req, res) => {
+  try {
+    const batch = await findBulkBatch(req);
+
+    if (!batch) {
+      req.flash('error', 'Album upload not found or expired');
+      return res.redirect('/admin/songs/bulk');
+    }
+
+    res.render('admin/bulk-review', {
+      title: 'Review Album - TuneForge',
+      batch,
+      formData: batch.defaults,
+      messages: req.flash(),
+      user: req.session.user
+    });
+
+  } catch (error) {
+    console.error('Bulk review error:', error);
+    req.flash('error', 'Error loading album upload');
+    res.redirect('/admin/songs/bulk');
+  }
+});
+
+// Create the songs of a reviewed batch
+router.post('/songs/bulk/:batchId', loadGenreOptions, [
+  body('album')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Album must be less than 100 characters'),
+  body('artist')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Artist must be less than 100 characters'),
+  body('genre')
+    .optional({ checkFalsy: true })
+    .custom(isKnownGenre),
+  body('releaseYear')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1900, max: new Date().getFullYear() + 1 })
+    .withMessage('Please enter a valid release year')
+], async (req, res) => {
+  let batch;
+
+  try {
+    batch = await findBulkBatch(req);
+
+    if (!batch) {
+      req.flash('error', 'Album upload not found or expired');
+      return res.redirect('/admin/songs/bulk');
+    }
+
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+      return res.render('admin/bulk-review', {
+        title: 'Review Album - TuneForge',
+        batch,
+        errors: errors.array(),
+        formData: req.body,
+        user: req.session.user
+      });
+    }
+
+    // Shared fields apply to every track; blank ones fall back to each track's own tags
+    const shared = {
+      album: req.body.album,
+      artist: req.body.artist,
+      genre: req.body.genre,
+      releaseYear: req.body.releaseYear ? parseInt(req.body.releaseYear) : undefined,
+      isPremium: req.body.isPremium === 'true'
+    };
+    const overrides = req.body.tracks || {};
+
+    // One copy of the album cover is shared by every track
+    let coverArt;
+    if (batch.cover) {
+      const coverPath = stagedFilePath(batch.batchId, batch.cover.file);
+      coverArt = await persistPublicUpload({
+        fieldname: 'coverArt',
+        filename: `album-${batch.batchId}${path.extname(batch.cover.file)}`,
+        path: coverPath,
+        mimetype: batch.cover.mimetype
+      });
+    }
+
+    const created = [];
+    const skipped = [];
+    // With a shared album name every track joins the same album, even on compilations
+    let sharedAlbumId;
+
+    for (const [index, track] of batch.tracks.entries()) {
+      const override = overrides[index] || {};
+      if (override.include !== 'true') continue;
+
+      const title = (override.title || '').trim() || track.title;
+      const artist = shared.artist || track.artist;
+      const genre = shared.genre || track.genre;
+      const trackNumber = override.trackNumber ? parseInt(override.trackNumber) : track.trackNumber;
+      const discNumber = override.discNumber ? parseInt(override.discNumber) : track.discNumber;
+      const label = title || track.originalName;
+
+      const missing = [];
+      if (!title) missing.push('title');
+      if (!artist) missing.push('artist');
+      if (!genre) missing.push('genre');
+      if (!track.duration) missing.push('duration');
+
+      if (missing.length > 0) {
+        skipped.push(`${label}: missing ${missing.join(', ')}`);
+        continue;
+      }
+
+      const filePath = stagedFilePath(batch.batchId, track.file);
+      const storedKeys = [];
+
+      try {
+        // Identical files are always skipped; near-identical metadata needs "upload anyway"
+        const contentHash = await hashFile(filePath);
+        const duplicates = await Song.findDuplicates({ contentHash, title, artist, duration: track.duration });
+        const isExactDuplicate = duplicates.some(duplicate => duplicate.reason === 'hash');
+
+        if (isExactDuplicate || (duplicates.length > 0 && req.body.allowDuplicate !== 'true')) {
+          skipped.push(`${label}: ${describeDuplicate(duplicates[0]).msg}`);
+          continue;
+        }
+
+        const { size } = await fs.promises.stat(filePath);
+        const songFilePath = await persistUpload({
+          fieldname: 'songFile',
+          filename: `songFile-${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(track.file)}`,
+          path: filePath,
+          mimetype: track.mimetype
+        });
+        storedKeys.push(songFilePath);
+
+        const song = new Song({
+          title,
+          artist,
+          album: shared.album || track.album,
+          genre,
+          duration: track.duration,
+          releaseYear: shared.releaseYear || track.releaseYear,
+          trackNumber,
+          discNumber,
+          isPremium: shared.isPremium,
+          uploadedBy: req.session.user.id,
+          fileSize: size,
+          contentHash,
+          filePath: songFilePath,
+          albumId: shared.album ? sharedAlbumId : undefined,
+          coverArt,
+          processingStatus: 'pending'
+        });
+
+        await song.save();
+        created.push(song);
+        if (shared.album) sharedAlbumId = song.albumId;
+        await enqueueSongProcessing(song);
+      } catch (trackError) {
+        console.error(`Bulk upload track error (${track.originalName}):`, trackError);
+        await deleteStoredFiles(storedKeys);
+        skipped.push(`${label}: ${trackError.message}`);
+      }
+    }
+
+    // Nothing used the cover, so don't leave it behind as an orphan
+    if (coverArt && created.length === 0) {
+      await deleteStoredFiles([keyFromUrl(coverArt)]);
+    }
+
+    await discardBulkBatch(req, batch.batchId);
+
+    if (created.length > 0) {
+      req.flash('success', `${created.length} song${created.length === 1 ? '' : 's'} uploaded and queued for processing.`);
+    }
+    skipped.forEach(message => req.flash('error', `Skipped ${message}`));
+
+    res.redirect('/admin/songs');
+
+  } catch (error) {
+    console.error('Bulk commit error:', error);
+    req.flash('error', 'Error creating songs from album upload');
+    res.redirect(batch ? `/admin/songs/bulk/${batch.batchId}` : '/admin/songs/bulk');
+  }
+});
+
+// Throw away a staged batch
+router.post('/songs/bulk/:batchId/cancel', async (req, res) => {
+  try {
+    if ((req.session.bulkUploads || []).includes(req.params.batchId)) {
+      await discardBulkBatch(req, req.params.batchId);
+    }
+
+    req.flash('success', 'Album upload cancelled');
+    res.redirect('/admin/songs');
+
+  } catch (error) {
+    console.error('Bulk cancel error:', error);
+    req.flash('error', 'Error cancelling album upload');
+    res.redirect('/admin/songs');
+  }
+});
+
 // Edit song page
-router.get('/songs/:id/edit', async (req, res) => {
+router.get('/songs/:id/edit', loadGenreOptions, async (req, res) => {
   try {
     const song = await Song.findById(req.params.id)
       .populate('uploadedBy', 'username');
@@ -293,7 +750,7 @@ router.get('/songs/:id/edit', async (req, res) => {
 });
 
 // Update song
-router.post('/songs/:id/edit', [
+router.post('/songs/:id/edit', loadGenreOptions, [
   body('title')
     .trim()
     .isLength({ min: 1, max: 200 })
@@ -308,8 +765,15 @@ router.post('/songs/:id/edit', [
     .isLength({ max: 100 })
     .withMessage('Album must be less than 100 characters'),
   body('genre')
-    .isIn(['pop', 'rock', 'hip-hop', 'jazz', 'classical', 'electronic', 'country', 'blues', 'reggae', 'folk', 'other'])
-    .withMessage('Please select a valid genre')
+    .custom(isKnownGenre),
+  body('trackNumber')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1 })
+    .withMessage('Track number must be a positive number'),
+  body('discNumber')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1 })
+    .withMessage('Disc number must be a positive number')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -331,6 +795,8 @@ router.post('/songs/:id/edit', [
       return res.redirect('/admin/songs');
     }
     
+    const previousAlbumId = song.albumId;
+    
     const {
       title,
       artist,
@@ -346,7 +812,9 @@ router.post('/songs/:id/edit', [
       isPremium,
       isFeatured,
       isActive,
-      tags
+      tags,
+      trackNumber,
+      discNumber
     } = req.body;
     
     song.title = title;
@@ -367,9 +835,22 @@ router.post('/songs/:id/edit', [
     if (releaseYear) {
       song.releaseYear = parseInt(releaseYear);
     }
+    song.trackNumber = trackNumber ? parseInt(trackNumber) : undefined;
+    song.discNumber = discNumber ? parseInt(discNumber) : 1;
+    
+    if (!song.album && song.loudness) {
+      song.loudness.albumGain = undefined;
+      song.loudness.albumPeak = undefined;
+    }
     
     await song.save();
     
+    // Moving a song between albums changes the album gain of both
+    if (String(previousAlbumId) !== String(song.albumId)) {
+      await Song.updateAlbumGain(previousAlbumId);
+      await Song.updateAlbumGain(song.albumId);
+    }
+    
     req.flash('success', 'Song updated successfully!');
     res.redirect('/admin/songs');
     
@@ -380,25 +861,101 @@ router.post('/songs/:id/edit', [
   }
 });
 
-// Delete song
-router.delete('/songs/:id', async (req, res) => {
+// Lyrics editor: tap line (or word) timestamps while the track plays
+router.get('/songs/:id/lyrics', async (req, res) => {
   try {
     const song = await Song.findById(req.params.id);
     
     if (!song) {
-      return res.status(404).json({ error: 'Song not found' });
+      req.flash('error', 'Song not found');
+      return res.redirect('/admin/songs');
+    }
+    
+    res.render('admin/lyrics-editor', {
+      title: `Lyrics: ${song.title} - TuneForge`,
+      song,
+      lrc: song.syncedLyrics && song.syncedLyrics.lrc ? song.syncedLyrics.lrc : '',
+      messages: req.flash(),
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Lyrics editor error:', error);
+    req.flash('error', 'Error loading lyrics editor');
+    res.redirect('/admin/songs');
+  }
+});
+
+// Save synced lyrics (an empty LRC removes them and keeps the plain lyrics)
+router.post('/songs/:id/lyrics', async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id);
+    
+    if (!song) {
+      req.flash('error', 'Song not found');
+      return res.redirect('/admin/songs');
     }
     
-    // Delete file from filesystem
-    if (fs.existsSync(song.filePath)) {
-      fs.unlinkSync(song.filePath);
+    const lrc = (req.body.lrc || '').trim();
+    const { errors } = lrc ? parseLrc(lrc, { duration: song.duration }) : { errors: [] };
+    
+    if (errors.length > 0) {
+      return res.render('admin/lyrics-editor', {
+        title: `Lyrics: ${song.title} - TuneForge`,
+        song,
+        lrc,
+        errors: errors.map(error => ({ msg: error.line ? `Line ${error.line}: ${error.msg}` : error.msg })),
+        user: req.session.user
+      });
     }
     
-    if (fs.existsSync(song.coverArt)) {
-      fs.unlinkSync(song.coverArt);
+    song.set('syncedLyrics.lrc', lrc || undefined);
+    await song.save();
+    
+    req.flash('success', lrc ? 'Synced lyrics saved' : 'Synced lyrics removed');
+    res.redirect(`/admin/songs/${song._id}/lyrics`);
+    
+  } catch (error) {
+    console.error('Save lyrics error:', error);
+    req.flash('error', 'Error saving lyrics');
+    res.redirect(`/admin/songs/${req.params.id}/lyrics`);
+  }
+});
+
+// Delete song
+router.delete('/songs/:id', async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id);
+    
+    if (!song) {
+      return res.status(404).json({ error: 'Song not found' });
     }
     
+    // Delete media from storage; album covers are shared by every track
+    const coverKey = keyFromUrl(song.coverArt);
+    const coverShared = coverKey && (
+      await Song.exists({ _id: { $ne: song._id }, coverArt: song.coverArt }) ||
+      await Album.exists({ coverArt: song.coverArt })
+    );
+    await deleteStoredFiles([
+      song.filePath,
+      ...(coverKey && !coverShared ? [coverKey] : []),
+      ...(song.waveformPath ? [song.waveformPath] : []),
+      ...song.renditions.map(rendition => rendition.filePath)
+    ]);
+    await removeHlsCache(song._id);
+    
     await Song.findByIdAndDelete(req.params.id);
+    await Song.updateAlbumGain(song.albumId);
+    await Album.removeIfEmpty(song.albumId);
+    await LyricVersion.deleteMany({ song: song._id });
+    await SongLyrics.deleteOne({ song: song._id });
+    
+    // Nothing left to process
+    await Job.deleteMany({
+      'payload.songId': song._id.toString(),
+      status: { $in: ['pending', 'failed'] }
+    });
     
     res.json({
       success: true,
@@ -411,32 +968,751 @@ router.delete('/songs/:id', async (req, res) => {
   }
 });
 
-// User management
-router.get('/users', async (req, res) => {
+// Retry a failed background job
+router.post('/jobs/:id/retry', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    
-    const filters = {};
+    const job = await Job.findById(req.params.id);
     
-    // Apply filters
-    if (req.query.status) {
-      filters.isActive = req.query.status === 'active';
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
-    if (req.query.role) {
-      filters.role = req.query.role;
+    
+    if (job.status !== 'failed') {
+      return res.status(400).json({ error: 'Only failed jobs can be retried' });
     }
-    if (req.query.subscription) {
-      filters['subscription.type'] = req.query.subscription;
+    
+    await job.retry();
+    
+    if (job.payload && job.payload.songId) {
+      await Song.updateOne({ _id: job.payload.songId }, { processingStatus: 'pending' });
     }
+    
+    res.json({
+      success: true,
+      message: 'Job queued for retry'
+    });
+    
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({ error: 'Error retrying job' });
+  }
+});
+
+// Artist management
+router.get('/artists', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    
+    const filters = {};
     if (req.query.search) {
-      filters.$or = [
-        { username: new RegExp(req.query.search, 'i') },
-        { email: new RegExp(req.query.search, 'i') },
-        { firstName: new RegExp(req.query.search, 'i') },
-        { lastName: new RegExp(req.query.search, 'i') }
-      ];
+      filters.$text = { $search: req.query.search };
+    }
+    
+    const artists = await Artist.find(filters)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit);
+    
+    const totalArtists = await Artist.countDocuments(filters);
+    const songCounts = await Song.countByArtist(artists.map(artist => artist._id));
+    
+    res.render('admin/artists', {
+      title: 'Manage Artists - TuneForge',
+      artists,
+      songCounts,
+      currentPage: page,
+      totalPages: Math.ceil(totalArtists / limit),
+      totalArtists,
+      filters: req.query,
+      messages: req.flash(),
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Admin artists error:', error);
+    req.flash('error', 'Error loading artists');
+    res.redirect('/admin');
+  }
+});
+
+// Edit artist page
+router.get('/artists/:id/edit', async (req, res) => {
+  try {
+    const artist = await Artist.findById(req.params.id);
+    
+    if (!artist) {
+      req.flash('error', 'Artist not found');
+      return res.redirect('/admin/artists');
+    }
+    
+    res.render('admin/edit-artist', {
+      title: `Edit ${artist.name} - TuneForge`,
+      artist,
+      messages: req.flash(),
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Edit artist error:', error);
+    req.flash('error', 'Error loading artist');
+    res.redirect('/admin/artists');
+  }
+});
+
+// Update artist
+router.post('/artists/:id/edit', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be less than 100 characters'),
+  body('bio')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Bio must be less than 5000 characters')
+], async (req, res) => {
+  try {
+    const artist = await Artist.findById(req.params.id);
+    
+    if (!artist) {
+      req.flash('error', 'Artist not found');
+      return res.redirect('/admin/artists');
+    }
+    
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.render('admin/edit-artist', {
+        title: `Edit ${artist.name} - TuneForge`,
+        artist,
+        errors: errors.array(),
+        user: req.session.user
+      });
+    }
+    
+    const { name, bio, aliases, externalIds = {} } = req.body;
+    const renamed = artist.name !== name;
+    
+    artist.name = name;
+    artist.bio = bio || '';
+    artist.aliases = aliases ? aliases.split(',').map(alias => alias.trim()).filter(Boolean) : [];
+    artist.externalIds = {
+      musicbrainz: externalIds.musicbrainz || undefined,
+      spotify: externalIds.spotify || undefined,
+      appleMusic: externalIds.appleMusic || undefined,
+      discogs: externalIds.discogs || undefined
+    };
+    artist.isActive = req.body.isActive === 'true';
+    
+    await artist.save();
+    
+    if (renamed) {
+      await Song.refreshArtistLines(artist._id);
+    }
+    
+    req.flash('success', 'Artist updated successfully!');
+    res.redirect('/admin/artists');
+    
+  } catch (error) {
+    console.error('Update artist error:', error);
+    req.flash('error', 'Error updating artist');
+    res.redirect(`/admin/artists/${req.params.id}/edit`);
+  }
+});
+
+// Upload artist photo
+router.post('/artists/:id/image', uploadImage.single('artistImage'), async (req, res) => {
+  try {
+    if (!req.file) {
+      req.flash('error', 'Please choose an image');
+      return res.redirect(`/admin/artists/${req.params.id}/edit`);
+    }
+    
+    const artist = await Artist.findById(req.params.id);
+    
+    if (!artist) {
+      deleteUploadedFile(req.file.path);
+      req.flash('error', 'Artist not found');
+      return res.redirect('/admin/artists');
+    }
+    
+    const previousKey = keyFromUrl(artist.image);
+    
+    artist.image = await persistPublicUpload(req.file);
+    await artist.save();
+    
+    // The default image is not in storage, only replace uploaded ones
+    if (previousKey) {
+      await getStorage().delete(previousKey);
+    }
+    
+    req.flash('success', 'Artist photo updated');
+    res.redirect(`/admin/artists/${artist._id}/edit`);
+    
+  } catch (error) {
+    console.error('Artist image error:', error);
+    if (req.file) {
+      deleteUploadedFile(req.file.path);
+    }
+    req.flash('error', 'Error updating artist photo');
+    res.redirect(`/admin/artists/${req.params.id}/edit`);
+  }
+});
+
+// Merge another artist (e.g. a misspelling) into this one
+router.post('/artists/:id/merge', async (req, res) => {
+  try {
+    const { source: sourceRef = '' } = req.body;
+    const source = mongoose.Types.ObjectId.isValid(sourceRef)
+      ? await Artist.findById(sourceRef)
+      : await Artist.findByName(sourceRef);
+    
+    if (!source) {
+      req.flash('error', `No artist found for "${sourceRef}"`);
+      return res.redirect(`/admin/artists/${req.params.id}/edit`);
+    }
+    
+    const artist = await Artist.merge(req.params.id, source._id);
+    
+    req.flash('success', `Merged "${source.name}" into "${artist.name}"`);
+    res.redirect(`/admin/artists/${artist._id}/edit`);
+    
+  } catch (error) {
+    console.error('Merge artist error:', error);
+    req.flash('error', `Error merging artists: ${error.message}`);
+    res.redirect(`/admin/artists/${req.params.id}/edit`);
+  }
+});
+
+// Set a song's artist credits explicitly: { credits: [{ artist: <id or name>, role }] }
+router.put('/songs/:id/artists', async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id);
+    
+    if (!song) {
+      return res.status(404).json({ success: false, error: 'Song not found' });
+    }
+    
+    const credits = Array.isArray(req.body.credits) ? req.body.credits : [];
+    
+    if (!credits.some(credit => credit.role === 'primary')) {
+      return res.status(400).json({ success: false, error: 'At least one primary artist is required' });
+    }
+    if (credits.some(credit => !CREDIT_ROLES.includes(credit.role) || !credit.artist)) {
+      return res.status(400).json({ success: false, error: `Each credit needs an artist and a role (${CREDIT_ROLES.join(', ')})` });
+    }
+    
+    const resolved = [];
+    for (const credit of credits) {
+      const artist = mongoose.Types.ObjectId.isValid(credit.artist)
+        ? await Artist.findById(credit.artist)
+        : await Artist.findOrCreateByName(String(credit.artist));
+      
+      if (!artist) {
+        return res.status(400).json({ success: false, error: `Artist ${credit.artist} not found` });
+      }
+      resolved.push({ artist: artist._id, role: credit.role });
+    }
+    
+    const previousAlbumId = song.albumId;
+    song.artists = resolved;
+    await song.save();
+    
+    if (String(previousAlbumId) !== String(song.albumId)) {
+      await Song.updateAlbumGain(previousAlbumId);
+      await Song.updateAlbumGain(song.albumId);
+    }
+    
+    res.json({
+      success: true,
+      data: { artist: song.artist, artists: song.artists }
+    });
+    
+  } catch (error) {
+    console.error('Update song credits error:', error);
+    res.status(500).json({ success: false, error: 'Error updating artist credits' });
+  }
+});
+
+// Album management
+router.get('/albums', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    
+    const filters = {};
+    if (req.query.type) {
+      filters.type = req.query.type;
+    }
+    if (req.query.search) {
+      filters.$text = { $search: req.query.search };
+    }
+    
+    const albums = await Album.find(filters)
+      .sort({ artist: 1, releaseDate: 1, title: 1 })
+      .skip(skip)
+      .limit(limit);
+    
+    const totalAlbums = await Album.countDocuments(filters);
+    const trackCounts = await Album.countTracks(albums.map(album => album._id));
+    
+    res.render('admin/albums', {
+      title: 'Manage Albums - TuneForge',
+      albums,
+      trackCounts,
+      currentPage: page,
+      totalPages: Math.ceil(totalAlbums / limit),
+      totalAlbums,
+      filters: req.query,
+      messages: req.flash(),
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Admin albums error:', error);
+    req.flash('error', 'Error loading albums');
+    res.redirect('/admin');
+  }
+});
+
+// Edit album page
+router.get('/albums/:id/edit', async (req, res) => {
+  try {
+    const album = await Album.findById(req.params.id).populate('artists', 'name');
+    
+    if (!album) {
+      req.flash('error', 'Album not found');
+      return res.redirect('/admin/albums');
+    }
+    
+    // Inactive tracks stay on the album, so list them too
+    const tracks = await Album.getTracks(album._id, { isActive: { $in: [true, false] } });
+    
+    res.render('admin/edit-album', {
+      title: `Edit ${album.title} - TuneForge`,
+      album,
+      tracks,
+      messages: req.flash(),
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Edit album error:', error);
+    req.flash('error', 'Error loading album');
+    res.redirect('/admin/albums');
+  }
+});
+
+// Update album
+router.post('/albums/:id/edit', [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title is required and must be less than 200 characters'),
+  body('type')
+    .isIn(['album', 'ep', 'single', 'compilation'])
+    .withMessage('Invalid album type'),
+  body('releaseDate')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Release date must be a valid date'),
+  body('upc')
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(/^\d{12,13}$/)
+    .withMessage('UPC must be 12 or 13 digits')
+], async (req, res) => {
+  try {
+    const album = await Album.findById(req.params.id).populate('artists', 'name');
+    
+    if (!album) {
+      req.flash('error', 'Album not found');
+      return res.redirect('/admin/albums');
+    }
+    
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.render('admin/edit-album', {
+        title: `Edit ${album.title} - TuneForge`,
+        album,
+        tracks: await Album.getTracks(album._id, { isActive: { $in: [true, false] } }),
+        errors: errors.array(),
+        user: req.session.user
+      });
+    }
+    
+    const { title, type, releaseDate, label, upc, artists = '' } = req.body;
+    const renamed = album.title !== title;
+    
+    const artistIds = [];
+    for (const name of artists.split(',').map(artist => artist.trim()).filter(Boolean)) {
+      const artist = await Artist.findOrCreateByName(name);
+      if (!artistIds.some(id => id.equals(artist._id))) {
+        artistIds.push(artist._id);
+      }
+    }
+    const artistNames = (await Artist.find({ _id: { $in: artistIds } }).select('name'))
+      .sort((a, b) => artistIds.findIndex(id => id.equals(a._id)) - artistIds.findIndex(id => id.equals(b._id)))
+      .map(artist => artist.name);
+    
+    album.title = title;
+    album.type = type;
+    album.artists = artistIds;
+    album.artist = artistNames.length > 0 ? artistNames.join(', ') : 'Various Artists';
+    album.releaseDate = releaseDate ? new Date(releaseDate) : undefined;
+    album.label = label || undefined;
+    album.upc = upc || undefined;
+    album.isActive = req.body.isActive === 'true';
+    
+    await album.save();
+    
+    // Keep the album name shown on each track in step with the album
+    if (renamed) {
+      await Song.updateMany({ albumId: album._id }, { album: album.title });
+    }
+    
+    req.flash('success', 'Album updated successfully!');
+    res.redirect('/admin/albums');
+    
+  } catch (error) {
+    console.error('Update album error:', error);
+    req.flash('error', 'Error updating album');
+    res.redirect(`/admin/albums/${req.params.id}/edit`);
+  }
+});
+
+// Upload album cover; tracks still showing the old album cover switch to the new one
+router.post('/albums/:id/cover', uploadImage.single('albumCover'), async (req, res) => {
+  try {
+    if (!req.file) {
+      req.flash('error', 'Please choose an image');
+      return res.redirect(`/admin/albums/${req.params.id}/edit`);
+    }
+    
+    const album = await Album.findById(req.params.id);
+    
+    if (!album) {
+      deleteUploadedFile(req.file.path);
+      req.flash('error', 'Album not found');
+      return res.redirect('/admin/albums');
+    }
+    
+    const previousCover = album.coverArt;
+    
+    album.coverArt = await persistPublicUpload(req.file);
+    await album.save();
+    await Song.updateMany({ albumId: album._id, coverArt: previousCover }, { coverArt: album.coverArt });
+    
+    // The old cover may still be used by tracks with their own art, or by another album
+    const previousKey = keyFromUrl(previousCover);
+    if (previousKey && !(await Song.exists({ coverArt: previousCover })) && !(await Album.exists({ coverArt: previousCover }))) {
+      await getStorage().delete(previousKey);
+    }
+    
+    req.flash('success', 'Album cover updated');
+    res.redirect(`/admin/albums/${album._id}/edit`);
+    
+  } catch (error) {
+    console.error('Album cover error:', error);
+    if (req.file) {
+      deleteUploadedFile(req.file.path);
+    }
+    req.flash('error', 'Error updating album cover');
+    res.redirect(`/admin/albums/${req.params.id}/edit`);
+  }
+});
+
+// Set an album's track order: { tracks: [{ song, discNumber, trackNumber }] }.
+// Songs from other albums are moved onto this one.
+router.put('/albums/:id/tracks', async (req, res) => {
+  try {
+    const tracks = (Array.isArray(req.body.tracks) ? req.body.tracks : []).map(track => ({
+      song: track.song,
+      discNumber: track.discNumber ? Number(track.discNumber) : 1,
+      trackNumber: track.trackNumber ? Number(track.trackNumber) : undefined
+    }));
+    
+    const isPositive = (number) => Number.isInteger(number) && number >= 1;
+    if (tracks.some(track => !mongoose.Types.ObjectId.isValid(track.song) || !isPositive(track.discNumber) ||
+      (track.trackNumber !== undefined && !isPositive(track.trackNumber)))) {
+      return res.status(400).json({ success: false, error: 'Each track needs a song id, and disc and track numbers must be positive whole numbers' });
+    }
+    
+    const positions = tracks.filter(track => track.trackNumber).map(track => `${track.discNumber}-${track.trackNumber}`);
+    if (new Set(positions).size !== positions.length) {
+      return res.status(400).json({ success: false, error: 'Two tracks have the same disc and track number' });
+    }
+    
+    const album = await Album.setTracks(req.params.id, tracks);
+    const ordered = await Album.getTracks(album._id, { isActive: { $in: [true, false] } });
+    
+    res.json({
+      success: true,
+      data: ordered.map(song => ({
+        _id: song._id,
+        title: song.title,
+        discNumber: song.discNumber,
+        trackNumber: song.trackNumber
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Update album tracks error:', error);
+    const notFound = /not found/.test(error.message);
+    res.status(notFound ? 404 : 500).json({
+      success: false,
+      error: notFound ? error.message : 'Error updating album tracks'
+    });
+  }
+});
+
+// Genre taxonomy
+router.get('/genres', async (req, res) => {
+  try {
+    const genres = await Genre.getTreeWithCounts();
+    
+    res.render('admin/genres', {
+      title: 'Manage Genres - TuneForge',
+      genres,
+      parentOptions: await Genre.getOptions({}),
+      messages: req.flash(),
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Admin genres error:', error);
+    req.flash('error', 'Error loading genres');
+    res.redirect('/admin');
+  }
+});
+
+// Readable message for a genre that failed to save
+const genreSaveError = (error) => {
+  if (error.code === 11000) return 'A genre with that slug already exists';
+  if (error.name === 'ValidationError') return Object.values(error.errors).map(err => err.message).join(', ');
+  return null;
+};
+
+// Create genre
+router.post('/genres', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name is required and must be less than 50 characters'),
+  body('slug')
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug may only contain lowercase letters, numbers and dashes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      errors.array().forEach(error => req.flash('error', error.msg));
+      return res.redirect('/admin/genres');
+    }
+    
+    const { name, slug, parent } = req.body;
+    const parentGenre = parent ? await Genre.findOne({ slug: parent }).select('_id') : null;
+    const genre = await Genre.create({
+      name,
+      slug: slug || undefined,
+      parent: parentGenre ? parentGenre._id : null
+    });
+    
+    req.flash('success', `Genre "${genre.name}" created`);
+    res.redirect('/admin/genres');
+    
+  } catch (error) {
+    const message = genreSaveError(error);
+    if (!message) console.error('Create genre error:', error);
+    req.flash('error', message || 'Error creating genre');
+    res.redirect('/admin/genres');
+  }
+});
+
+// Edit genre page
+router.get('/genres/:id/edit', async (req, res) => {
+  try {
+    const genre = await Genre.findById(req.params.id);
+    
+    if (!genre) {
+      req.flash('error', 'Genre not found');
+      return res.redirect('/admin/genres');
+    }
+    
+    res.render('admin/edit-genre', {
+      title: `Edit ${genre.name} - TuneForge`,
+      genre,
+      parentOptions: await Genre.getOptions({}),
+      songCount: await Song.countDocuments({ genre: genre.slug }),
+      messages: req.flash(),
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Edit genre error:', error);
+    req.flash('error', 'Error loading genre');
+    res.redirect('/admin/genres');
+  }
+});
+
+// Update genre (the slug stays, since songs store it)
+router.post('/genres/:id/edit', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name is required and must be less than 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  body('sortOrder')
+    .optional({ checkFalsy: true })
+    .isInt()
+    .withMessage('Sort order must be a whole number')
+], async (req, res) => {
+  try {
+    const genre = await Genre.findById(req.params.id);
+    
+    if (!genre) {
+      req.flash('error', 'Genre not found');
+      return res.redirect('/admin/genres');
+    }
+    
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.render('admin/edit-genre', {
+        title: `Edit ${genre.name} - TuneForge`,
+        genre,
+        parentOptions: await Genre.getOptions({}),
+        songCount: await Song.countDocuments({ genre: genre.slug }),
+        errors: errors.array(),
+        user: req.session.user
+      });
+    }
+    
+    const { name, description, aliases, parent, sortOrder } = req.body;
+    const parentGenre = parent ? await Genre.findOne({ slug: parent }).select('_id') : null;
+    
+    genre.name = name;
+    genre.description = description || '';
+    genre.aliases = aliases ? aliases.split(',').map(alias => alias.trim()).filter(Boolean) : [];
+    genre.parent = parentGenre ? parentGenre._id : null;
+    genre.sortOrder = sortOrder ? parseInt(sortOrder) : 0;
+    genre.isActive = req.body.isActive === 'true';
+    
+    await genre.save();
+    
+    req.flash('success', 'Genre updated successfully!');
+    res.redirect('/admin/genres');
+    
+  } catch (error) {
+    const message = genreSaveError(error);
+    if (!message) console.error('Update genre error:', error);
+    req.flash('error', message || 'Error updating genre');
+    res.redirect(`/admin/genres/${req.params.id}/edit`);
+  }
+});
+
+// Upload genre artwork
+router.post('/genres/:id/image', uploadImage.single('genreImage'), async (req, res) => {
+  try {
+    if (!req.file) {
+      req.flash('error', 'Please choose an image');
+      return res.redirect(`/admin/genres/${req.params.id}/edit`);
+    }
+    
+    const genre = await Genre.findById(req.params.id);
+    
+    if (!genre) {
+      deleteUploadedFile(req.file.path);
+      req.flash('error', 'Genre not found');
+      return res.redirect('/admin/genres');
+    }
+    
+    const previousKey = keyFromUrl(genre.image);
+    
+    genre.image = await persistPublicUpload(req.file);
+    await genre.save();
+    
+    if (previousKey) {
+      await getStorage().delete(previousKey);
+    }
+    
+    req.flash('success', 'Genre artwork updated');
+    res.redirect(`/admin/genres/${genre._id}/edit`);
+    
+  } catch (error) {
+    console.error('Genre image error:', error);
+    if (req.file) {
+      deleteUploadedFile(req.file.path);
+    }
+    req.flash('error', 'Error updating genre artwork');
+    res.redirect(`/admin/genres/${req.params.id}/edit`);
+  }
+});
+
+// Delete genre: its songs move to the chosen genre and its sub-genres move up a level
+router.post('/genres/:id/delete', async (req, res) => {
+  try {
+    const genre = await Genre.findById(req.params.id).select('name image');
+    
+    if (!genre) {
+      req.flash('error', 'Genre not found');
+      return res.redirect('/admin/genres');
+    }
+    
+    const { replacement, movedSongs } = await Genre.deleteAndReassign(genre._id, req.body.replacement || undefined);
+    
+    const imageKey = keyFromUrl(genre.image);
+    if (imageKey) {
+      await getStorage().delete(imageKey);
+    }
+    
+    req.flash('success', `Deleted "${genre.name}"; ${movedSongs} songs moved to ${replacement}`);
+    res.redirect('/admin/genres');
+    
+  } catch (error) {
+    console.error('Delete genre error:', error);
+    req.flash('error', `Error deleting genre: ${error.message}`);
+    res.redirect(`/admin/genres/${req.params.id}/edit`);
+  }
+});
+
+// User management
+router.get('/users', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    const filters = {};
+    
+    // Apply filters
+    if (req.query.status) {
+      filters.isActive = req.query.status === 'active';
+    }
+    if (req.query.role) {
+      filters.role = req.query.role;
+    }
+    if (req.query.subscription) {
+      filters['subscription.type'] = req.query.subscription;
+    }
+    if (req.query.search) {
+      filters.$or = [
+        { username: new RegExp(req.query.search, 'i') },
+        { email: new RegExp(req.query.search, 'i') },
+        { firstName: new RegExp(req.query.search, 'i') },
+        { lastName: new RegExp(req.query.search, 'i') }
+      ];
     }
     
     const users = await User.find(filters)
@@ -521,6 +1797,266 @@ router.post('/users/:id/role', async (req, res) => {
   }
 });
 
+// Storage consistency report
+router.get('/storage', async (req, res) => {
+  try {
+    const report = await auditStorage();
+    
+    res.render('admin/storage', {
+      title: 'Storage - TuneForge',
+      report,
+      formatBytes,
+      messages: req.flash(),
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Storage audit error:', error);
+    req.flash('error', 'Error scanning storage');
+    res.redirect('/admin');
+  }
+});
+
+// Quarantine or delete orphaned objects
+router.post('/storage/orphans', async (req, res) => {
+  try {
+    const { action } = req.body;
+    
+    if (!['quarantine', 'delete'].includes(action)) {
+      req.flash('error', 'Invalid action');
+      return res.redirect('/admin/storage');
+    }
+    
+    // Re-scan rather than trusting keys from the form
+    const orphans = actionableOrphans(await auditStorage());
+    const selected = req.body.keys ? [].concat(req.body.keys) : null;
+    const targets = selected ? orphans.filter(orphan => selected.includes(orphan.key)) : orphans;
+    
+    const results = action === 'quarantine'
+      ? await quarantineOrphans(targets)
+      : await deleteOrphans(targets);
+    
+    req.flash('success', `${action === 'quarantine' ? 'Quarantined' : 'Deleted'} ${results.length} orphaned files`);
+    res.redirect('/admin/storage');
+    
+  } catch (error) {
+    console.error('Storage cleanup error:', error);
+    req.flash('error', 'Error cleaning up storage');
+    res.redirect('/admin/storage');
+  }
+});
+
+// Catalog metadata import/export page
+router.get('/catalog', loadGenreOptions, async (req, res) => {
+  try {
+    const artists = await Song.distinct('artist');
+    
+    res.render('admin/catalog', {
+      title: 'Catalog Metadata - TuneForge',
+      artists: artists.sort(),
+      columns: CATALOG_COLUMNS,
+      messages: req.flash(),
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Catalog page error:', error);
+    req.flash('error', 'Error loading catalog tools');
+    res.redirect('/admin');
+  }
+});
+
+// Download the catalog (or a filtered part of it) as CSV or JSON
+router.get('/catalog/export', async (req, res) => {
+  try {
+    const rows = await exportCatalog(req.query);
+    const stamp = new Date().toISOString().slice(0, 10);
+    
+    if (req.query.format === 'json') {
+      res.attachment(`tuneforge-catalog-${stamp}.json`);
+      return res.json(rows);
+    }
+    
+    res.attachment(`tuneforge-catalog-${stamp}.csv`);
+    res.type('text/csv; charset=utf-8');
+    res.send(toCsv(rows));
+    
+  } catch (error) {
+    console.error('Catalog export error:', error);
+    req.flash('error', 'Error exporting catalog');
+    res.redirect('/admin/catalog');
+  }
+});
+
+// Dry run: show what an uploaded spreadsheet would change
+router.post('/catalog/import', uploadCatalogFile.single('catalogFile'), async (req, res) => {
+  try {
+    if (!req.file) {
+      req.flash('error', 'Please choose a CSV or JSON file');
+      return res.redirect('/admin/catalog');
+    }
+    
+    let rows;
+    try {
+      rows = parseCatalogFile(req.file.buffer, req.file.originalname);
+    } catch (parseError) {
+      req.flash('error', `Could not read ${req.file.originalname}: ${parseError.message}`);
+      return res.redirect('/admin/catalog');
+    }
+    
+    const plan = await planImport(rows);
+    
+    // Applied as previewed, so later edits to the file can't sneak in
+    req.session.catalogImport = {
+      fileName: req.file.originalname,
+      changes: plan.changes
+    };
+    
+    res.render('admin/catalog-import', {
+      title: 'Review Catalog Import - TuneForge',
+      fileName: req.file.originalname,
+      rowCount: rows.length,
+      plan,
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Catalog import error:', error);
+    req.flash('error', 'Error reading catalog import');
+    res.redirect('/admin/catalog');
+  }
+});
+
+// Apply the import that was just previewed
+router.post('/catalog/import/apply', async (req, res) => {
+  try {
+    const pending = req.session.catalogImport;
+    
+    if (!pending) {
+      req.flash('error', 'Nothing to import; upload the file again');
+      return res.redirect('/admin/catalog');
+    }
+    
+    const result = await applyImport(pending);
+    delete req.session.catalogImport;
+    
+    req.flash('success', `Updated ${result.updated} songs from ${pending.fileName}`);
+    result.errors.forEach(({ line, msg }) => req.flash('error', `Row ${line}: ${msg}`));
+    res.redirect('/admin/catalog');
+    
+  } catch (error) {
+    console.error('Catalog apply error:', error);
+    req.flash('error', 'Error applying catalog import');
+    res.redirect('/admin/catalog');
+  }
+});
+
+// Discard a previewed import
+router.post('/catalog/import/cancel', (req, res) => {
+  delete req.session.catalogImport;
+  res.redirect('/admin/catalog');
+});
+
+// Lyrics translations / romanizations waiting for review (or already reviewed, by status)
+router.get('/lyrics', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    const status = LyricVersion.schema.path('status').enumValues.includes(req.query.status) ? req.query.status : 'pending';
+    const filters = { status };
+    
+    // Oldest first while reviewing, newest first otherwise
+    const versions = await LyricVersion.find(filters)
+      .sort({ updatedAt: status === 'pending' ? 1 : -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('song', 'title artist lyrics language')
+      .populate('contributor', 'username email')
+      .populate('reviewedBy', 'username');
+    
+    const totalVersions = await LyricVersion.countDocuments(filters);
+    
+    res.render('admin/lyrics', {
+      title: 'Lyrics Moderation - TuneForge',
+      versions,
+      status,
+      currentPage: page,
+      totalPages: Math.ceil(totalVersions / limit),
+      totalVersions,
+      messages: req.flash(),
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Admin lyrics error:', error);
+    req.flash('error', 'Error loading lyrics submissions');
+    res.redirect('/admin');
+  }
+});
+
+// Publish a lyrics version (replaces the approved one for its language)
+router.post('/lyrics/:id/approve', async (req, res) => {
+  try {
+    const version = await LyricVersion.findById(req.params.id);
+    
+    if (!version) {
+      req.flash('error', 'Lyrics version not found');
+      return res.redirect('/admin/lyrics');
+    }
+    
+    // Small fixes can be made while approving
+    if (req.body.text && req.body.text.trim()) {
+      version.text = req.body.text.trim();
+    }
+    await version.approve(req.session.user.id);
+    
+    req.flash('success', `${version.languageName} lyrics published`);
+    res.redirect('/admin/lyrics');
+    
+  } catch (error) {
+    console.error('Approve lyrics error:', error);
+    req.flash('error', 'Error approving lyrics');
+    res.redirect('/admin/lyrics');
+  }
+});
+
+// Turn a lyrics version down; the reason is shown to the contributor
+router.post('/lyrics/:id/reject', [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      errors.array().forEach(error => req.flash('error', error.msg));
+      return res.redirect('/admin/lyrics');
+    }
+    
+    const version = await LyricVersion.findById(req.params.id);
+    
+    if (!version) {
+      req.flash('error', 'Lyrics version not found');
+      return res.redirect('/admin/lyrics');
+    }
+    
+    await version.reject(req.session.user.id, req.body.reason);
+    
+    req.flash('success', `${version.languageName} lyrics rejected`);
+    res.redirect(`/admin/lyrics?status=${req.body.returnStatus === 'approved' ? 'approved' : 'pending'}`);
+    
+  } catch (error) {
+    console.error('Reject lyrics error:', error);
+    req.flash('error', 'Error rejecting lyrics');
+    res.redirect('/admin/lyrics');
+  }
+});
+
 // Error handling middleware
 router.use(handleUploadError);
 
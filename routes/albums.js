@@ -0,0 +1,80 @@
+const express = require('express');
+const Album = require('../models/Album');
+const { checkPremium } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply premium check to all routes
+router.use(checkPremium);
+
+// Album directory
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 48;
+    const skip = (page - 1) * limit;
+
+    const filters = { isActive: true };
+    if (req.query.type) {
+      filters.type = req.query.type;
+    }
+    if (req.query.search) {
+      filters.$text = { $search: req.query.search };
+    }
+
+    const albums = await Album.find(filters)
+      .sort({ releaseDate: -1, title: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalAlbums = await Album.countDocuments(filters);
+    const trackCounts = await Album.countTracks(albums.map(album => album._id));
+
+    res.render('albums/index', {
+      title: 'Albums - TuneForge',
+      albums,
+      trackCounts,
+      currentPage: page,
+      totalPages: Math.ceil(totalAlbums / limit),
+      filters: req.query,
+      user: req.session.user
+    });
+
+  } catch (error) {
+    console.error('Albums index error:', error);
+    req.flash('error', 'Error loading albums');
+    res.redirect('/');
+  }
+});
+
+// Album page
+router.get('/:slug', async (req, res) => {
+  try {
+    const album = await Album.findOne({ slug: req.params.slug, isActive: true })
+      .populate('artists', 'name slug');
+
+    if (!album) {
+      return res.status(404).render('404', {
+        title: 'Page Not Found - TuneForge',
+        user: req.session.user
+      });
+    }
+
+    // Filter out premium songs for non-premium users
+    const tracks = await Album.getTracks(album._id, res.locals.isPremium ? {} : { isPremium: { $ne: true } });
+
+    res.render('albums/detail', {
+      title: `${album.title} - ${album.artist} - TuneForge`,
+      album,
+      tracks,
+      user: req.session.user
+    });
+
+  } catch (error) {
+    console.error('Album detail error:', error);
+    req.flash('error', 'Error loading album');
+    res.redirect('/albums');
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,18 @@
 const express = require('express');
 const Song = require('../models/Song');
 const Playlist = require('../models/Playlist');
+const PlaylistRevision = require('../models/PlaylistRevision');
 const User = require('../models/User');
+const Artist = require('../models/Artist');
+const Album = require('../models/Album');
+const Genre = require('../models/Genre');
+const SongLyrics = require('../models/SongLyrics');
 const { requireAuth, checkPremium } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const { isQualifiedListen, getPlaybackToken, consumePlaybackToken } = require('../utils/playback');
+const { ensureWaveform } = require('../utils/waveform');
+const { buildLyricsSnippet, openingSnippet, snippetToHtml } = require('../utils/lyrics');
+const { SMART_FIELDS, SMART_SORTS, OPERATOR_LABELS, MAX_RULES, MAX_LIMIT, describeRule } = require('../utils/smartPlaylists');
 
 const router = express.Router();
 
@@ -23,7 +33,7 @@ router.get('/songs', async (req, res) => {
     
     // Apply filters
     if (req.query.genre) {
-      filters.genre = req.query.genre;
+      filters.genre = { $in: await Genre.descendantSlugs(req.query.genre) };
     }
     if (req.query.artist) {
       filters.artist = new RegExp(req.query.artist, 'i');
@@ -178,16 +188,63 @@ router.get('/songs/:id', async (req, res) => {
   }
 });
 
+// Get precomputed waveform peaks for a song
+router.get('/songs/:id/waveform', async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id).select('filePath waveformPath isPremium isActive');
+    
+    if (!song || !song.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Song not found'
+      });
+    }
+    
+    if (song.isPremium && !res.locals.isPremium) {
+      return res.status(403).json({
+        success: false,
+        error: 'Premium subscription required'
+      });
+    }
+    
+    const waveform = await ensureWaveform(song);
+    
+    if (!waveform) {
+      return res.status(404).json({
+        success: false,
+        error: 'Waveform not available'
+      });
+    }
+    
+    // Peaks never change for a stored file
+    res.set('Cache-Control', 'private, max-age=604800');
+    res.json({
+      success: true,
+      data: waveform
+    });
+    
+  } catch (error) {
+    console.error('API waveform error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error loading waveform'
+    });
+  }
+});
+
 // Get user playlists
 router.get('/playlists', requireAuth, async (req, res) => {
   try {
     const userId = req.session.user.id;
-    const playlists = await Playlist.find({
+    const filter = {
       $or: [
         { createdBy: userId },
         { 'collaborators.user': userId }
       ]
-    })
+    };
+    if (['standard', 'smart'].includes(req.query.type)) filter.type = req.query.type;
+    
+    const playlists = await Playlist.find(filter)
     .sort({ updatedAt: -1 })
     .populate('createdBy', 'username avatar')
     .populate('songs.song', 'title artist duration coverArt')
@@ -249,15 +306,35 @@ router.get('/playlists/featured', async (req, res) => {
   }
 });
 
+// Get the fields, operators and sort orders smart playlist rules can use
+router.get('/playlists/smart/options', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        fields: SMART_FIELDS,
+        operators: OPERATOR_LABELS,
+        sorts: Object.fromEntries(Object.entries(SMART_SORTS).map(([key, sort]) => [key, sort.label])),
+        moods: Song.schema.path('mood').enumValues,
+        genres: await Genre.getOptions(),
+        maxRules: MAX_RULES,
+        maxLimit: MAX_LIMIT
+      }
+    });
+    
+  } catch (error) {
+    console.error('API smart playlist options error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching smart playlist options'
+    });
+  }
+});
+
 // Get playlist details
 router.get('/playlists/:id', async (req, res) => {
   try {
-    const playlist = await Playlist.findById(req.params.id)
-      .populate('createdBy', 'username avatar')
-      .populate('songs.song')
-      .populate('collaborators.user', 'username avatar')
-      .populate('likes', 'username')
-      .populate('followers', 'username');
+    const playlist = await Playlist.findById(req.params.id);
     
     if (!playlist) {
       return res.status(404).json({
@@ -274,9 +351,25 @@ router.get('/playlists/:id', async (req, res) => {
       });
     }
     
+    // Re-run smart playlist rules so the songs are current
+    await Playlist.refreshIfStale(playlist);
+    
+    await playlist.populate([
+      { path: 'createdBy', select: 'username avatar' },
+      { path: 'songs.song' },
+      { path: 'collaborators.user', select: 'username avatar' },
+      { path: 'likes', select: 'username' },
+      { path: 'followers', select: 'username' }
+    ]);
+    
+    const data = playlist.toObject();
+    if (playlist.isSmart) {
+      data.smart.summary = playlist.smart.rules.map(describeRule);
+    }
+    
     res.json({
       success: true,
-      data: playlist
+      data
     });
     
   } catch (error) {
@@ -288,11 +381,57 @@ router.get('/playlists/:id', async (req, res) => {
   }
 });
 
+// Get a playlist's revision history (newest first) with what each revision changed
+router.get('/playlists/:id/revisions', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = parseInt(req.query.skip) || 0;
+    
+    const playlist = await Playlist.findById(req.params.id);
+    
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        error: 'Playlist not found'
+      });
+    }
+    
+    if (!playlist.canView(req.session.user?.id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view this playlist'
+      });
+    }
+    
+    const history = await PlaylistRevision.getHistory(playlist._id, limit, skip);
+    
+    res.json({
+      success: true,
+      data: history.map(({ revision, diff }) => ({
+        _id: revision._id,
+        action: revision.action,
+        actor: revision.actor,
+        restoredFrom: revision.restoredFrom,
+        createdAt: revision.createdAt,
+        songCount: revision.snapshot.songs.length,
+        diff
+      }))
+    });
+    
+  } catch (error) {
+    console.error('API playlist revisions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching playlist history'
+    });
+  }
+});
+
 // Search API
 router.get('/search', async (req, res) => {
   try {
     const query = req.query.q;
-    const type = req.query.type || 'all'; // all, songs, playlists, users
+    const type = req.query.type || 'all'; // all, songs, playlists, users, lyrics
     const limit = parseInt(req.query.limit) || 20;
     
     if (!query) {
@@ -305,7 +444,8 @@ router.get('/search', async (req, res) => {
     const results = {
       songs: [],
       playlists: [],
-      users: []
+      users: [],
+      lyrics: []
     };
     
     // Search songs
@@ -323,6 +463,36 @@ router.get('/search', async (req, res) => {
         .lean();
     }
     
+    // Search lyrics: songs whose lyrics contain the words, with a highlighted snippet.
+    // "Quoted phrases" must appear as written; phrase=true treats the whole query as one phrase.
+    if (type === 'lyrics') {
+      const search = req.query.phrase === 'true' && !query.includes('"') ? `"${query}"` : query;
+      const songFilters = { isActive: true };
+      
+      // Check premium access
+      if (!res.locals.isPremium) {
+        songFilters.isPremium = { $ne: true };
+      }
+      
+      // Only lyrics are searched here, so every match belongs in the results
+      const matches = await SongLyrics.search(search, {
+        songFilters,
+        select: ['title', 'artist', 'album', 'albumId', 'coverArt', 'duration', 'genre', 'isPremium'],
+        limit
+      });
+      
+      results.lyrics = matches.map(({ song, lyrics }) => {
+        // The text index stems and splits words a little differently, so a match can be hard to place
+        const snippet = buildLyricsSnippet(lyrics, search) || openingSnippet(lyrics);
+        return {
+          ...song,
+          snippet: snippet.text,
+          highlights: snippet.highlights,
+          snippetHtml: snippetToHtml(snippet)
+        };
+      });
+    }
+    
     // Search playlists
     if (type === 'all' || type === 'playlists') {
       results.playlists = await Playlist.find({
@@ -368,6 +538,106 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// Report a listen from the player; only qualified listens count as plays
+router.post('/plays', [
+  body('songId')
+    .isMongoId()
+    .withMessage('A valid song id is required'),
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Playback token is required'),
+  body('startPosition')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Start position must be a positive number'),
+  body('listenedSeconds')
+    .isFloat({ min: 0 })
+    .withMessage('Listened seconds must be a positive number'),
+  body('skipped')
+    .optional()
+    .isBoolean()
+    .withMessage('Skipped must be a boolean'),
+  body('source')
+    .optional()
+    .isIn(['playlist', 'album', 'search', 'radio', 'library', 'other'])
+    .withMessage('Invalid play source')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { songId, token } = req.body;
+    
+    const song = await Song.findById(songId);
+    
+    if (!song) {
+      return res.status(404).json({
+        success: false,
+        error: 'Song not found'
+      });
+    }
+    
+    const playback = getPlaybackToken(req.session, token, song._id);
+    
+    if (!playback) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown or expired playback session'
+      });
+    }
+    
+    // A client can't have listened longer than the track or the session has existed
+    const elapsedSeconds = (Date.now() - playback.issuedAt) / 1000;
+    const listenedSeconds = Math.min(
+      parseFloat(req.body.listenedSeconds),
+      song.duration || Infinity,
+      elapsedSeconds
+    );
+    
+    const qualified = isQualifiedListen(listenedSeconds, song.duration);
+    let counted = false;
+    
+    if (qualified && consumePlaybackToken(req.session, token, song._id)) {
+      counted = true;
+      await song.incrementPlayCount();
+      
+      if (req.session.user) {
+        const user = await User.findById(req.session.user.id);
+        if (user) {
+          await user.addToHistory(song._id, Math.round(listenedSeconds), {
+            startPosition: parseFloat(req.body.startPosition) || 0,
+            skipped: req.body.skipped === true || req.body.skipped === 'true',
+            source: req.body.source || 'other'
+          });
+        }
+      }
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        qualified,
+        counted,
+        playCount: song.playCount
+      }
+    });
+    
+  } catch (error) {
+    console.error('API play report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error recording play'
+    });
+  }
+});
+
 // Get user profile
 router.get('/user/profile', requireAuth, async (req, res) => {
   try {
@@ -391,6 +661,54 @@ router.get('/user/profile', requireAuth, async (req, res) => {
   }
 });
 
+// Update player preferences
+router.patch('/user/preferences', requireAuth, [
+  body('theme').optional().isIn(['light', 'dark']),
+  body('autoplay').optional().isBoolean(),
+  body('quality').optional().isIn(['low', 'medium', 'high']),
+  body('normalizeVolume').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const updates = {};
+    ['theme', 'quality'].forEach(field => {
+      if (req.body[field] !== undefined) updates[`preferences.${field}`] = req.body[field];
+    });
+    ['autoplay', 'normalizeVolume'].forEach(field => {
+      if (req.body[field] !== undefined) updates[`preferences.${field}`] = String(req.body[field]) === 'true';
+    });
+    
+    const user = await User.findByIdAndUpdate(
+      req.session.user.id,
+      { $set: updates },
+      { new: true }
+    ).select('preferences');
+    
+    // Stream quality and normalization are read from the session
+    req.session.user.preferences = user.preferences;
+    
+    res.json({
+      success: true,
+      data: user.preferences
+    });
+    
+  } catch (error) {
+    console.error('API update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error updating preferences'
+    });
+  }
+});
+
 // Get listening history
 router.get('/user/history', requireAuth, async (req, res) => {
   try {
@@ -453,14 +771,26 @@ router.get('/user/badges', requireAuth, async (req, res) => {
   }
 });
 
-// Get genres
+// Public fields of a genre tree node
+const formatGenre = (genre) => ({
+  _id: genre._id,
+  slug: genre.slug,
+  name: genre.name,
+  description: genre.description,
+  image: genre.image,
+  songCount: genre.songCount,
+  subGenres: genre.subGenres.map(formatGenre)
+});
+
+// Get the genre taxonomy as a tree, with song counts that include sub-genres
 router.get('/genres', async (req, res) => {
   try {
-    const genres = await Song.distinct('genre');
+    // Filter out premium songs for non-premium users
+    const genres = await Genre.getTreeWithCounts({ isActive: true }, res.locals.isPremium ? {} : { isPremium: { $ne: true } });
     
     res.json({
       success: true,
-      data: genres
+      data: genres.map(formatGenre)
     });
     
   } catch (error) {
@@ -472,21 +802,86 @@ router.get('/genres', async (req, res) => {
   }
 });
 
+// Get a genre with its sub-genres and the songs in any of them
+router.get('/genres/:slug', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    const genre = await Genre.findOne({ slug: req.params.slug, isActive: true }).lean();
+    
+    if (!genre) {
+      return res.status(404).json({
+        success: false,
+        error: 'Genre not found'
+      });
+    }
+    
+    const premiumFilter = res.locals.isPremium ? {} : { isPremium: { $ne: true } };
+    const slugs = await Genre.descendantSlugs(genre.slug);
+    const filters = { isActive: true, genre: { $in: slugs }, ...premiumFilter };
+    
+    // A genre under a hidden parent is not in the tree
+    const branch = await Genre.getBranchWithCounts(genre.slug, { isActive: true }, premiumFilter) ||
+      { ...genre, songCount: 0, subGenres: [] };
+    
+    const songs = await Song.find(filters)
+      .sort({ playCount: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('title artist album duration coverArt genre releaseYear playCount');
+    const totalSongs = await Song.countDocuments(filters);
+    const totalPages = Math.ceil(totalSongs / limit);
+    
+    res.json({
+      success: true,
+      data: {
+        ...formatGenre(branch),
+        parents: (await Genre.getAncestors(genre)).map(parent => ({ slug: parent.slug, name: parent.name })),
+        songs,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalSongs,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('API genre error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching genre'
+    });
+  }
+});
+
 // Get artists
 router.get('/artists', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
     
-    const artists = await Song.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: '$artist', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: limit }
-    ]);
+    const filters = { isActive: true };
+    if (req.query.search) {
+      filters.$text = { $search: req.query.search };
+    }
+    
+    const artists = await Artist.find(filters)
+      .select('name slug image aliases')
+      .sort({ name: 1 })
+      .limit(limit)
+      .lean();
+    const songCounts = await Song.countByArtist(artists.map(artist => artist._id));
     
     res.json({
       success: true,
-      data: artists
+      data: artists.map(artist => ({
+        ...artist,
+        songCount: songCounts.get(artist._id.toString()) || 0
+      }))
     });
     
   } catch (error) {
@@ -498,6 +893,133 @@ router.get('/artists', async (req, res) => {
   }
 });
 
+// Get an artist with the songs they are credited on
+router.get('/artists/:slug', async (req, res) => {
+  try {
+    const artist = await Artist.findOne({ slug: req.params.slug, isActive: true })
+      .select('-nameKeys')
+      .lean();
+    
+    if (!artist) {
+      return res.status(404).json({
+        success: false,
+        error: 'Artist not found'
+      });
+    }
+    
+    // Filter out premium songs for non-premium users
+    const credits = await Song.getByArtist(artist._id, res.locals.isPremium ? {} : { isPremium: { $ne: true } });
+    
+    res.json({
+      success: true,
+      data: {
+        ...artist,
+        songs: credits.map(({ song, roles }) => ({
+          _id: song._id,
+          title: song.title,
+          artist: song.artist,
+          album: song.album,
+          duration: song.duration,
+          coverArt: song.coverArt,
+          releaseYear: song.releaseYear,
+          roles
+        }))
+      }
+    });
+    
+  } catch (error) {
+    console.error('API artist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching artist'
+    });
+  }
+});
+
+// Get albums
+router.get('/albums', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    
+    const filters = { isActive: true };
+    if (req.query.type) {
+      filters.type = req.query.type;
+    }
+    if (req.query.search) {
+      filters.$text = { $search: req.query.search };
+    }
+    if (req.query.artist) {
+      const artist = await Artist.findOne({ slug: req.query.artist }).select('_id');
+      filters.artists = artist ? artist._id : null;
+    }
+    
+    const albums = await Album.find(filters)
+      .select('-titleKey')
+      .sort({ releaseDate: -1, title: 1 })
+      .limit(limit);
+    const trackCounts = await Album.countTracks(albums.map(album => album._id));
+    
+    res.json({
+      success: true,
+      data: albums.map(album => ({
+        ...album.toObject({ virtuals: true }),
+        trackCount: trackCounts.get(album._id.toString()) || 0
+      }))
+    });
+    
+  } catch (error) {
+    console.error('API albums error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching albums'
+    });
+  }
+});
+
+// Get an album with its tracks in disc/track order
+router.get('/albums/:slug', async (req, res) => {
+  try {
+    const album = await Album.findOne({ slug: req.params.slug, isActive: true })
+      .select('-titleKey')
+      .populate('artists', 'name slug');
+    
+    if (!album) {
+      return res.status(404).json({
+        success: false,
+        error: 'Album not found'
+      });
+    }
+    
+    // Filter out premium songs for non-premium users
+    const tracks = await Album.getTracks(album._id, res.locals.isPremium ? {} : { isPremium: { $ne: true } });
+    
+    res.json({
+      success: true,
+      data: {
+        ...album.toObject({ virtuals: true }),
+        tracks: tracks.map(song => ({
+          _id: song._id,
+          title: song.title,
+          artist: song.artist,
+          album: song.album,
+          albumId: song.albumId,
+          duration: song.duration,
+          coverArt: song.coverArt,
+          discNumber: song.discNumber,
+          trackNumber: song.trackNumber
+        }))
+      }
+    });
+    
+  } catch (error) {
+    console.error('API album error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching album'
+    });
+  }
+});
+
 // Health check
 router.get('/health', (req, res) => {
   res.json({
@@ -0,0 +1,85 @@
+const express = require('express');
+const Artist = require('../models/Artist');
+const Song = require('../models/Song');
+const Album = require('../models/Album');
+const { checkPremium } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply premium check to all routes
+router.use(checkPremium);
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Artist directory
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 48;
+    const skip = (page - 1) * limit;
+
+    const filters = { isActive: true };
+    if (req.query.search) {
+      filters.name = new RegExp(escapeRegex(req.query.search), 'i');
+    }
+
+    const artists = await Artist.find(filters)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalArtists = await Artist.countDocuments(filters);
+    const songCounts = await Song.countByArtist(artists.map(artist => artist._id));
+
+    res.render('artists/index', {
+      title: 'Artists - TuneForge',
+      artists,
+      songCounts,
+      currentPage: page,
+      totalPages: Math.ceil(totalArtists / limit),
+      filters: req.query,
+      user: req.session.user
+    });
+
+  } catch (error) {
+    console.error('Artists index error:', error);
+    req.flash('error', 'Error loading artists');
+    res.redirect('/');
+  }
+});
+
+// Artist page
+router.get('/:slug', async (req, res) => {
+  try {
+    const artist = await Artist.findOne({ slug: req.params.slug, isActive: true });
+
+    if (!artist) {
+      return res.status(404).render('404', {
+        title: 'Page Not Found - TuneForge',
+        user: req.session.user
+      });
+    }
+
+    // Filter out premium songs for non-premium users
+    const credits = await Song.getByArtist(artist._id, res.locals.isPremium ? {} : { isPremium: { $ne: true } });
+    const albums = await Album.find({ artists: artist._id, isActive: true }).sort({ releaseDate: -1, title: 1 });
+
+    res.render('artists/detail', {
+      title: `${artist.name} - TuneForge`,
+      artist,
+      albums,
+      songs: credits.filter(credit => credit.roles.includes('primary')).map(credit => credit.song),
+      featuredOn: credits.filter(credit => credit.roles.includes('featured') && !credit.roles.includes('primary')).map(credit => credit.song),
+      remixes: credits.filter(credit => credit.roles.includes('remixer') && !credit.roles.includes('primary')).map(credit => credit.song),
+      user: req.session.user
+    });
+
+  } catch (error) {
+    console.error('Artist detail error:', error);
+    req.flash('error', 'Error loading artist');
+    res.redirect('/artists');
+  }
+});
+
+module.exports = router;
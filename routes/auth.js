@@ -3,6 +3,8 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { requireGuest, requireAuth } = require('../middleware/auth');
+const { uploadImage, handleUploadError, deleteUploadedFile, persistPublicUpload } = require('../middleware/upload');
+const { getStorage, keyFromUrl } = require('../utils/storage');
 
 const router = express.Router();
 
@@ -107,11 +109,16 @@ router.post('/register', requireGuest, [
       lastName: user.lastName,
       role: user.role,
       subscription: user.subscription,
+      preferences: user.preferences,
       avatar: user.avatar
     };
 
     req.flash('success', 'Registration successful! Welcome to TuneForge!');
-    res.redirect('/dashboard');
+    
+    // Redirect to intended page (e.g. a playlist invite) or dashboard
+    const redirectTo = req.session.returnTo || '/dashboard';
+    delete req.session.returnTo;
+    res.redirect(redirectTo);
 
   } catch (error) {
     console.error('Registration error:', error);
@@ -184,6 +191,7 @@ router.post('/login', requireGuest, [
       lastName: user.lastName,
       role: user.role,
       subscription: user.subscription,
+      preferences: user.preferences,
       avatar: user.avatar
     };
 
@@ -299,4 +307,38 @@ router.post('/profile', requireAuth, [
   }
 });
 
+// Upload avatar
+router.post('/profile/avatar', requireAuth, uploadImage.single('avatar'), handleUploadError, async (req, res) => {
+  try {
+    if (!req.file) {
+      req.flash('error', 'Please choose an image');
+      return res.redirect('/auth/profile');
+    }
+
+    const user = await User.findById(req.session.user.id);
+    const previousKey = keyFromUrl(user.avatar);
+
+    user.avatar = await persistPublicUpload(req.file);
+    await user.save();
+
+    // Default avatars are not in storage, only replace uploaded ones
+    if (previousKey) {
+      await getStorage().delete(previousKey);
+    }
+
+    req.session.user.avatar = user.avatar;
+
+    req.flash('success', 'Avatar updated successfully');
+    res.redirect('/auth/profile');
+
+  } catch (error) {
+    console.error('Avatar upload error:', error);
+    if (req.file) {
+      deleteUploadedFile(req.file.path);
+    }
+    req.flash('error', 'Error updating avatar');
+    res.redirect('/auth/profile');
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const Genre = require('../models/Genre');
+const Song = require('../models/Song');
+const { checkPremium } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply premium check to all routes
+router.use(checkPremium);
+
+// Genre directory
+router.get('/', async (req, res) => {
+  try {
+    // Filter out premium songs for non-premium users
+    const genres = await Genre.getTreeWithCounts({ isActive: true }, res.locals.isPremium ? {} : { isPremium: { $ne: true } });
+
+    res.render('genres/index', {
+      title: 'Genres - TuneForge',
+      genres,
+      user: req.session.user
+    });
+
+  } catch (error) {
+    console.error('Genres index error:', error);
+    req.flash('error', 'Error loading genres');
+    res.redirect('/');
+  }
+});
+
+// Genre page: songs from the genre and all its sub-genres
+router.get('/:slug', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 24;
+    const skip = (page - 1) * limit;
+
+    const genre = await Genre.findOne({ slug: req.params.slug, isActive: true });
+
+    if (!genre) {
+      return res.status(404).render('404', {
+        title: 'Page Not Found - TuneForge',
+        user: req.session.user
+      });
+    }
+
+    const premiumFilter = res.locals.isPremium ? {} : { isPremium: { $ne: true } };
+    const filters = { isActive: true, genre: { $in: await Genre.descendantSlugs(genre.slug) }, ...premiumFilter };
+
+    const branch = await Genre.getBranchWithCounts(genre.slug, { isActive: true }, premiumFilter);
+
+    const songs = await Song.find(filters)
+      .sort({ playCount: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalSongs = await Song.countDocuments(filters);
+
+    res.render('genres/detail', {
+      title: `${genre.name} - TuneForge`,
+      genre,
+      parents: await Genre.getAncestors(genre),
+      subGenres: branch ? branch.subGenres : [],
+      songs,
+      currentPage: page,
+      totalPages: Math.ceil(totalSongs / limit),
+      totalSongs,
+      user: req.session.user
+    });
+
+  } catch (error) {
+    console.error('Genre detail error:', error);
+    req.flash('error', 'Error loading genre');
+    res.redirect('/genres');
+  }
+});
+
+module.exports = router;
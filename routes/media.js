@@ -0,0 +1,44 @@
+const express = require('express');
+const path = require('path');
+const { sendStoredFile } = require('../utils/streaming');
+const { isPublicKey } = require('../utils/storage');
+
+const router = express.Router();
+
+// MIME types for the image formats accepted by the upload middleware
+const IMAGE_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// Serve public objects (covers, avatars, playlist covers) from the storage backend
+router.get('/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    const contentType = IMAGE_MIME_TYPES[path.extname(key).toLowerCase()];
+    
+    // Audio and HLS segments are only reachable through signed stream URLs
+    if (!isPublicKey(key) || !contentType) {
+      return res.status(404).end();
+    }
+    
+    await sendStoredFile(req, res, key, {
+      contentType,
+      cacheControl: 'public, max-age=86400'
+    });
+    
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).end();
+    }
+    console.error('Media error:', error);
+    if (!res.headersSent) {
+      res.status(500).end();
+    }
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,23 @@
 const express = require('express');
 const Playlist = require('../models/Playlist');
+const PlaylistRevision = require('../models/PlaylistRevision');
+const PlaylistInvite = require('../models/PlaylistInvite');
 const Song = require('../models/Song');
 const User = require('../models/User');
 const { requireAuth, checkPremium } = require('../middleware/auth');
+const { uploadImage, uploadPlaylistFile, handleUploadError, deleteUploadedFile, persistPublicUpload } = require('../middleware/upload');
+const { signStreamUrl } = require('../middleware/signedUrl');
+const { getStorage, keyFromUrl } = require('../utils/storage');
+const { SMART_FIELDS, SMART_SORTS, OPERATOR_LABELS, describeRule } = require('../utils/smartPlaylists');
+const playlistEvents = require('../utils/playlistEvents');
+const Genre = require('../models/Genre');
+const {
+  PLAYLIST_FORMATS,
+  parsePlaylistFile,
+  planPlaylistImport,
+  resolveSelections,
+  formatPlaylistFile
+} = require('../utils/playlistFiles');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
@@ -10,6 +25,61 @@ const router = express.Router();
 // Apply premium check to all routes
 router.use(checkPremium);
 
+// Copy the smart playlist form fields onto a playlist; rules arrive as JSON from the rule builder
+const applySmartSettings = (playlist, body) => {
+  let rules = body.smartRules;
+  if (typeof rules === 'string') {
+    try {
+      rules = JSON.parse(rules || '[]');
+    } catch (error) {
+      rules = null;
+    }
+  }
+
+  playlist.smart = {
+    match: body.smartMatch === 'any' ? 'any' : 'all',
+    rules: Array.isArray(rules) ? rules : [],
+    limit: parseInt(body.smartLimit) || 50,
+    sort: body.smartSort || 'random',
+    lastEvaluatedAt: playlist.smart && playlist.smart.lastEvaluatedAt
+  };
+  // Reported when the playlist validates
+  playlist.$locals.smartRulesError = Array.isArray(rules) ? null : 'Rules could not be read';
+};
+
+// Locals for the smart playlist form
+const smartFormOptions = async () => ({
+  smartFields: SMART_FIELDS,
+  smartSorts: SMART_SORTS,
+  operatorLabels: OPERATOR_LABELS,
+  moods: Song.schema.path('mood').enumValues,
+  genres: await Genre.getOptions()
+});
+
+// Render the smart playlist form, for a new playlist or an existing one
+const renderSmartForm = async (res, locals) => {
+  res.render('playlists/smart', {
+    ...(await smartFormOptions()),
+    playlist: null,
+    formData: {},
+    errors: [],
+    ...locals
+  });
+};
+
+// Lifetime of the stream URLs in an exported playlist file, in seconds
+const EXPORT_URL_TTL = parseInt(process.env.PLAYLIST_EXPORT_URL_TTL) || 7 * 24 * 60 * 60;
+
+// Link that lets someone join a playlist as a collaborator
+const inviteUrl = (req, invite) => `${req.protocol}://${req.get('host')}/playlists/invites/${invite.token}`;
+
+// Smart playlist songs come from rules, so they can't be edited by hand
+const rejectSmartEdit = (playlist, res) => {
+  if (!playlist.isSmart) return false;
+  res.status(400).json({ error: 'Songs in a smart playlist come from its rules' });
+  return true;
+};
+
 // Get user's playlists
 router.get('/', requireAuth, async (req, res) => {
   try {
@@ -90,11 +160,25 @@ router.get('/public', async (req, res) => {
 });
 
 // Create playlist page
-router.get('/create', requireAuth, (req, res) => {
-  res.render('playlists/create', {
-    title: 'Create Playlist - TuneForge',
-    user: req.session.user
-  });
+router.get('/create', requireAuth, async (req, res) => {
+  try {
+    if (req.query.type === 'smart') {
+      return await renderSmartForm(res, {
+        title: 'Create Smart Playlist - TuneForge',
+        user: req.session.user
+      });
+    }
+
+    res.render('playlists/create', {
+      title: 'Create Playlist - TuneForge',
+      user: req.session.user
+    });
+
+  } catch (error) {
+    console.error('Create playlist page error:', error);
+    req.flash('error', 'Error loading playlist form');
+    res.redirect('/playlists');
+  }
 });
 
 // Create playlist
@@ -111,8 +195,17 @@ router.post('/create', requireAuth, [
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
+    const isSmart = req.body.type === 'smart';
     
     if (!errors.isEmpty()) {
+      if (isSmart) {
+        return await renderSmartForm(res, {
+          title: 'Create Smart Playlist - TuneForge',
+          errors: errors.array(),
+          formData: req.body,
+          user: req.session.user
+        });
+      }
       return res.render('playlists/create', {
         title: 'Create Playlist - TuneForge',
         errors: errors.array(),
@@ -127,19 +220,34 @@ router.post('/create', requireAuth, [
       name,
       description,
       isPublic: isPublic === 'true',
-      isCollaborative: isCollaborative === 'true',
+      // Nobody adds songs to a smart playlist, so there is nothing to collaborate on
+      isCollaborative: !isSmart && isCollaborative === 'true',
       category,
       mood,
+      type: isSmart ? 'smart' : 'standard',
       createdBy: req.session.user.id
     });
     
-    await playlist.save();
+    if (isSmart) {
+      applySmartSettings(playlist, req.body);
+      await playlist.refreshSmartSongs();
+    } else {
+      await playlist.save();
+    }
     
     req.flash('success', 'Playlist created successfully!');
     res.redirect(`/playlists/${playlist._id}`);
     
   } catch (error) {
     console.error('Create playlist error:', error);
+    if (error.name === 'ValidationError' && req.body.type === 'smart') {
+      return renderSmartForm(res, {
+        title: 'Create Smart Playlist - TuneForge',
+        errors: Object.values(error.errors).map(err => ({ msg: err.message })),
+        formData: req.body,
+        user: req.session.user
+      });
+    }
     req.flash('error', 'Error creating playlist');
     res.render('playlists/create', {
       title: 'Create Playlist - TuneForge',
@@ -150,15 +258,191 @@ router.post('/create', requireAuth, [
   }
 });
 
+// Import playlist page
+router.get('/import', requireAuth, (req, res) => {
+  res.render('playlists/import', {
+    title: 'Import Playlist - TuneForge',
+    user: req.session.user
+  });
+});
+
+// Read an M3U/M3U8, XSPF or PLS file and show how its tracks match the catalog
+router.post('/import', requireAuth, uploadPlaylistFile.single('playlistFile'), handleUploadError, async (req, res) => {
+  try {
+    if (!req.file) {
+      req.flash('error', 'Please choose an M3U, M3U8, XSPF or PLS file');
+      return res.redirect('/playlists/import');
+    }
+    
+    let parsed;
+    try {
+      parsed = parsePlaylistFile(req.file.buffer, req.file.originalname);
+    } catch (parseError) {
+      req.flash('error', `Could not read ${req.file.originalname}: ${parseError.message}`);
+      return res.redirect('/playlists/import');
+    }
+    
+    const plan = await planPlaylistImport(parsed);
+    
+    // Only songs offered here can be picked when the playlist is created
+    req.session.playlistImport = {
+      fileName: req.file.originalname,
+      entries: plan.entries.map(({ title, artist, candidates }) => ({
+        title,
+        artist,
+        candidates: candidates.map(({ songId }) => ({ songId }))
+      }))
+    };
+    
+    res.render('playlists/import-review', {
+      title: 'Review Playlist Import - TuneForge',
+      fileName: req.file.originalname,
+      plan,
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Playlist import error:', error);
+    req.flash('error', 'Error reading playlist file');
+    res.redirect('/playlists/import');
+  }
+});
+
+// Create the playlist from the reviewed import
+router.post('/import/apply', requireAuth, [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Playlist name is required and must be less than 100 characters')
+], async (req, res) => {
+  try {
+    const pending = req.session.playlistImport;
+    
+    if (!pending) {
+      req.flash('error', 'Nothing to import; upload the file again');
+      return res.redirect('/playlists/import');
+    }
+    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.flash('error', errors.array().map(error => error.msg).join(', '));
+      return res.redirect('/playlists/import');
+    }
+    
+    const userId = req.session.user.id;
+    // One field per track (track-<n>) holding the chosen song id
+    const selections = pending.entries.map((entry, index) => req.body[`track-${index}`]);
+    const songIds = resolveSelections(pending, selections);
+    
+    const playlist = new Playlist({
+      name: req.body.name,
+      description: `Imported from ${pending.fileName}`.slice(0, 500),
+      isPublic: req.body.isPublic === 'true',
+      createdBy: userId,
+      songs: songIds.map((songId, index) => ({
+        song: songId,
+        addedBy: userId,
+        order: index + 1
+      }))
+    });
+    
+    await playlist.save();
+    delete req.session.playlistImport;
+    
+    const skipped = pending.entries.length - songIds.length;
+    req.flash('success', `Imported ${songIds.length} songs${skipped > 0 ? ` (${skipped} tracks skipped)` : ''}`);
+    res.redirect(`/playlists/${playlist._id}`);
+    
+  } catch (error) {
+    console.error('Playlist import apply error:', error);
+    req.flash('error', 'Error creating imported playlist');
+    res.redirect('/playlists/import');
+  }
+});
+
+// Discard a previewed import
+router.post('/import/cancel', requireAuth, (req, res) => {
+  delete req.session.playlistImport;
+  res.redirect('/playlists');
+});
+
+// Invite landing page: shows the playlist and role, and asks guests to log in or sign up first
+router.get('/invites/:token', async (req, res) => {
+  try {
+    const invite = await PlaylistInvite.findOne({ token: req.params.token })
+      .populate('createdBy', 'username avatar');
+    const playlist = invite && await Playlist.findById(invite.playlist).populate('createdBy', 'username avatar');
+    
+    if (!playlist) {
+      req.flash('error', 'This invite link is not valid');
+      return res.redirect('/playlists');
+    }
+    
+    // Come back here after logging in or signing up
+    if (!req.session.user) {
+      req.session.returnTo = req.originalUrl;
+    }
+    
+    res.render('playlists/invite', {
+      title: `Join ${playlist.name} - TuneForge`,
+      invite,
+      playlist,
+      role: playlist.roleOf(req.session.user?.id),
+      user: req.session.user,
+      messages: req.flash()
+    });
+    
+  } catch (error) {
+    console.error('Playlist invite error:', error);
+    req.flash('error', 'Error loading invite');
+    res.redirect('/playlists');
+  }
+});
+
+// Accept an invite: join the playlist as a collaborator with the invite's role
+router.post('/invites/:token/accept', requireAuth, async (req, res) => {
+  try {
+    const invite = await PlaylistInvite.findOne({ token: req.params.token });
+    const playlist = invite && await Playlist.findById(invite.playlist);
+    
+    if (!playlist) {
+      req.flash('error', 'This invite link is not valid');
+      return res.redirect('/playlists');
+    }
+    
+    const userId = req.session.user.id;
+    const previousRole = playlist.roleOf(userId);
+    
+    if (previousRole === 'owner') {
+      req.flash('error', 'You own this playlist already');
+      return res.redirect(`/playlists/${playlist._id}`);
+    }
+    
+    const role = await invite.accept(playlist, userId);
+    
+    if (!role) {
+      const reasons = { revoked: 'been revoked', expired: 'expired', used: 'been used up' };
+      // Still "active" here means someone else took the last use first
+      req.flash('error', `This invite link has ${reasons[invite.status] || reasons.used}`);
+      return res.redirect(`/playlists/invites/${invite.token}`);
+    }
+    
+    req.flash('success', role === previousRole
+      ? `You are already ${role === 'editor' ? 'an editor' : 'a viewer'} of this playlist`
+      : `You joined "${playlist.name}" as ${role === 'editor' ? 'an editor' : 'a viewer'}`);
+    res.redirect(`/playlists/${playlist._id}`);
+    
+  } catch (error) {
+    console.error('Accept playlist invite error:', error);
+    req.flash('error', 'Error accepting invite');
+    res.redirect('/playlists');
+  }
+});
+
 // Get single playlist
 router.get('/:id', async (req, res) => {
   try {
-    const playlist = await Playlist.findById(req.params.id)
-      .populate('createdBy', 'username avatar')
-      .populate('songs.song')
-      .populate('collaborators.user', 'username avatar')
-      .populate('likes', 'username')
-      .populate('followers', 'username');
+    const playlist = await Playlist.findById(req.params.id);
     
     if (!playlist) {
       req.flash('error', 'Playlist not found');
@@ -171,10 +455,21 @@ router.get('/:id', async (req, res) => {
       return res.redirect('/playlists');
     }
     
+    // Re-run smart playlist rules so the songs are current
+    await Playlist.refreshIfStale(playlist);
+    
+    await playlist.populate([
+      { path: 'createdBy', select: 'username avatar' },
+      { path: 'songs.song' },
+      { path: 'collaborators.user', select: 'username avatar' },
+      { path: 'likes', select: 'username' },
+      { path: 'followers', select: 'username' }
+    ]);
+    
     // Check premium access for premium songs
     const songs = playlist.songs.map(item => {
       const song = item.song;
-      if (song.isPremium && !res.locals.isPremium) {
+      if (song && song.isPremium && !res.locals.isPremium) {
         song.premiumLocked = true;
       }
       return item;
@@ -197,9 +492,12 @@ router.get('/:id', async (req, res) => {
       title: `${playlist.name} - TuneForge`,
       playlist,
       songs,
+      smartRules: playlist.isSmart ? playlist.smart.rules.map(describeRule) : [],
       canEdit,
+      role: playlist.roleOf(req.session.user?.id),
       userInteraction,
-      user: req.session.user
+      user: req.session.user,
+      messages: req.flash()
     });
     
   } catch (error) {
@@ -209,6 +507,52 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Download the playlist as M3U8, XSPF or PLS. Entries point at stream URLs that work without signing in
+// (for EXPORT_URL_TTL); premium songs point at their song page, since their audio needs a premium session.
+router.get('/:id/export', async (req, res) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id)
+      .populate('songs.song', 'title artist album duration isPremium isActive');
+    
+    if (!playlist) {
+      req.flash('error', 'Playlist not found');
+      return res.redirect('/playlists');
+    }
+    
+    if (!playlist.canView(req.session.user?.id)) {
+      req.flash('error', 'You do not have permission to view this playlist');
+      return res.redirect('/playlists');
+    }
+    
+    const format = PLAYLIST_FORMATS[req.query.format] ? req.query.format : 'm3u8';
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    
+    const tracks = playlist.songs
+      .filter(item => item.song && item.song.isActive)
+      .map(({ song }) => {
+        const pageUrl = `${baseUrl}/songs/${song._id}`;
+        return {
+          title: song.title,
+          artist: song.artist,
+          album: song.album,
+          duration: song.duration,
+          pageUrl,
+          url: song.isPremium ? pageUrl : `${baseUrl}${signStreamUrl(`/songs/${song._id}/stream`, song._id, null, EXPORT_URL_TTL)}`
+        };
+      });
+    
+    const fileName = playlist.name.replace(/[^\w\- ]+/g, '').trim() || 'playlist';
+    res.attachment(`${fileName}.${PLAYLIST_FORMATS[format].extension}`);
+    res.type(PLAYLIST_FORMATS[format].contentType);
+    res.send(formatPlaylistFile(format, playlist.name, tracks));
+    
+  } catch (error) {
+    console.error('Export playlist error:', error);
+    req.flash('error', 'Error exporting playlist');
+    res.redirect('/playlists');
+  }
+});
+
 // Edit playlist page
 router.get('/:id/edit', requireAuth, async (req, res) => {
   try {
@@ -224,6 +568,14 @@ router.get('/:id/edit', requireAuth, async (req, res) => {
       return res.redirect(`/playlists/${playlist._id}`);
     }
     
+    if (playlist.isSmart) {
+      return await renderSmartForm(res, {
+        title: `Edit ${playlist.name} - TuneForge`,
+        playlist,
+        user: req.session.user
+      });
+    }
+    
     res.render('playlists/edit', {
       title: `Edit ${playlist.name} - TuneForge`,
       playlist,
@@ -254,6 +606,15 @@ router.post('/:id/edit', requireAuth, [
     
     if (!errors.isEmpty()) {
       const playlist = await Playlist.findById(req.params.id);
+      if (playlist && playlist.isSmart) {
+        return await renderSmartForm(res, {
+          title: `Edit ${playlist.name} - TuneForge`,
+          playlist,
+          errors: errors.array(),
+          formData: req.body,
+          user: req.session.user
+        });
+      }
       return res.render('playlists/edit', {
         title: `Edit ${playlist.name} - TuneForge`,
         playlist,
@@ -279,22 +640,74 @@ router.post('/:id/edit', requireAuth, [
     playlist.name = name;
     playlist.description = description;
     playlist.isPublic = isPublic === 'true';
-    playlist.isCollaborative = isCollaborative === 'true';
+    playlist.isCollaborative = !playlist.isSmart && isCollaborative === 'true';
     playlist.category = category;
     playlist.mood = mood;
+    playlist.trackChange('update', req.session.user.id);
     
-    await playlist.save();
+    if (playlist.isSmart && req.body.smartRules !== undefined) {
+      applySmartSettings(playlist, req.body);
+      await playlist.refreshSmartSongs();
+    } else {
+      await playlist.save();
+    }
     
     req.flash('success', 'Playlist updated successfully!');
     res.redirect(`/playlists/${playlist._id}`);
     
   } catch (error) {
     console.error('Update playlist error:', error);
+    if (error.name === 'ValidationError') {
+      req.flash('error', Object.values(error.errors).map(err => err.message).join(', '));
+      return res.redirect(`/playlists/${req.params.id}/edit`);
+    }
     req.flash('error', 'Error updating playlist');
     res.redirect(`/playlists/${req.params.id}/edit`);
   }
 });
 
+// Upload playlist cover
+router.post('/:id/cover', requireAuth, uploadImage.single('playlistCover'), handleUploadError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Cover image is required' });
+    }
+    
+    const playlist = await Playlist.findById(req.params.id);
+    
+    if (!playlist) {
+      deleteUploadedFile(req.file.path);
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    if (!playlist.canEdit(req.session.user.id)) {
+      deleteUploadedFile(req.file.path);
+      return res.status(403).json({ error: 'You do not have permission to edit this playlist' });
+    }
+    
+    const previousKey = keyFromUrl(playlist.coverImage);
+    
+    playlist.coverImage = await persistPublicUpload(req.file);
+    await playlist.save();
+    
+    if (previousKey) {
+      await getStorage().delete(previousKey);
+    }
+    
+    res.json({
+      success: true,
+      data: { coverImage: playlist.coverImage }
+    });
+    
+  } catch (error) {
+    console.error('Upload playlist cover error:', error);
+    if (req.file) {
+      deleteUploadedFile(req.file.path);
+    }
+    res.status(500).json({ error: 'Error uploading playlist cover' });
+  }
+});
+
 // Add song to playlist
 router.post('/:id/songs', requireAuth, async (req, res) => {
   try {
@@ -310,6 +723,8 @@ router.post('/:id/songs', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'You do not have permission to edit this playlist' });
     }
     
+    if (rejectSmartEdit(playlist, res)) return;
+    
     const song = await Song.findById(songId);
     
     if (!song) {
@@ -342,7 +757,9 @@ router.delete('/:id/songs/:songId', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'You do not have permission to edit this playlist' });
     }
     
-    await playlist.removeSong(req.params.songId);
+    if (rejectSmartEdit(playlist, res)) return;
+    
+    await playlist.removeSong(req.params.songId, req.session.user.id);
     
     res.json({
       success: true,
@@ -370,7 +787,9 @@ router.post('/:id/reorder', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'You do not have permission to edit this playlist' });
     }
     
-    await playlist.reorderSongs(songOrders);
+    if (rejectSmartEdit(playlist, res)) return;
+    
+    await playlist.reorderSongs(songOrders, req.session.user.id);
     
     res.json({
       success: true,
@@ -383,6 +802,379 @@ router.post('/:id/reorder', requireAuth, async (req, res) => {
   }
 });
 
+// Move one song next to another. Positions are given relative to neighbours ({ after } or { before },
+// null for the top or the end) so the move still makes sense if someone else edited the playlist meanwhile
+router.post('/:id/move', requireAuth, async (req, res) => {
+  try {
+    const { songId, after, before } = req.body;
+    
+    const playlist = await Playlist.findById(req.params.id);
+    
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    if (!playlist.canEdit(req.session.user.id)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this playlist' });
+    }
+    
+    if (rejectSmartEdit(playlist, res)) return;
+    
+    if (!songId) {
+      return res.status(400).json({ error: 'Song is required' });
+    }
+    
+    await playlist.moveSong(songId, { after, before }, req.session.user.id);
+    
+    res.json({
+      success: true,
+      message: 'Song moved successfully'
+    });
+    
+  } catch (error) {
+    console.error('Move playlist song error:', error);
+    res.status(500).json({ error: error.message || 'Error moving song' });
+  }
+});
+
+// Playlist history: every change with who made it and what it changed
+router.get('/:id/history', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    const playlist = await Playlist.findById(req.params.id);
+    
+    if (!playlist) {
+      req.flash('error', 'Playlist not found');
+      return res.redirect('/playlists');
+    }
+    
+    if (!playlist.canView(req.session.user?.id)) {
+      req.flash('error', 'You do not have permission to view this playlist');
+      return res.redirect('/playlists');
+    }
+    
+    const history = await PlaylistRevision.getHistory(playlist._id, limit, skip);
+    const totalRevisions = await PlaylistRevision.countDocuments({ playlist: playlist._id });
+    
+    // Titles for the songs the diffs mention
+    const songIds = [...new Set(history.flatMap(({ diff }) => [...diff.added, ...diff.removed]))];
+    const songs = await Song.find({ _id: { $in: songIds } }).select('title artist');
+    const songTitles = Object.fromEntries(songs.map(song => [song._id.toString(), `${song.title} - ${song.artist}`]));
+    
+    res.render('playlists/history', {
+      title: `${playlist.name} History - TuneForge`,
+      playlist,
+      history,
+      songTitles,
+      canEdit: req.session.user ? playlist.canEdit(req.session.user.id) : false,
+      currentPage: page,
+      totalPages: Math.ceil(totalRevisions / limit),
+      totalRevisions,
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Playlist history error:', error);
+    req.flash('error', 'Error loading playlist history');
+    res.redirect(`/playlists/${req.params.id}`);
+  }
+});
+
+// Put the playlist back the way it was at a revision
+router.post('/:id/revisions/:revisionId/restore', requireAuth, async (req, res) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+    
+    if (!playlist) {
+      req.flash('error', 'Playlist not found');
+      return res.redirect('/playlists');
+    }
+    
+    if (!playlist.canEdit(req.session.user.id)) {
+      req.flash('error', 'You do not have permission to edit this playlist');
+      return res.redirect(`/playlists/${playlist._id}/history`);
+    }
+    
+    const revision = await PlaylistRevision.findOne({ _id: req.params.revisionId, playlist: playlist._id });
+    
+    if (!revision) {
+      req.flash('error', 'Revision not found');
+      return res.redirect(`/playlists/${playlist._id}/history`);
+    }
+    
+    await playlist.restoreRevision(revision, req.session.user.id);
+    
+    req.flash('success', `Restored the playlist as of ${revision.createdAt.toLocaleString()}`);
+    res.redirect(`/playlists/${playlist._id}/history`);
+    
+  } catch (error) {
+    console.error('Restore playlist revision error:', error);
+    req.flash('error', 'Error restoring playlist');
+    res.redirect(`/playlists/${req.params.id}/history`);
+  }
+});
+
+// Re-run a smart playlist's rules now
+router.post('/:id/refresh', requireAuth, async (req, res) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+    
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    if (!playlist.canEdit(req.session.user.id)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this playlist' });
+    }
+    
+    if (!playlist.isSmart) {
+      return res.status(400).json({ error: 'Only smart playlists can be refreshed' });
+    }
+    
+    await playlist.refreshSmartSongs();
+    
+    res.json({
+      success: true,
+      data: {
+        songCount: playlist.songCount,
+        duration: playlist.duration,
+        lastEvaluatedAt: playlist.smart.lastEvaluatedAt
+      }
+    });
+    
+  } catch (error) {
+    console.error('Refresh smart playlist error:', error);
+    res.status(500).json({ error: 'Error refreshing playlist' });
+  }
+});
+
+// Sharing: the owner's list of collaborators and invite links
+router.get('/:id/collaborators', requireAuth, async (req, res) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id)
+      .populate('collaborators.user', 'username avatar firstName lastName');
+    
+    if (!playlist) {
+      req.flash('error', 'Playlist not found');
+      return res.redirect('/playlists');
+    }
+    
+    if (playlist.roleOf(req.session.user.id) !== 'owner') {
+      req.flash('error', 'Only the owner can manage who this playlist is shared with');
+      return res.redirect(`/playlists/${playlist._id}`);
+    }
+    
+    const invites = await PlaylistInvite.find({ playlist: playlist._id })
+      .sort({ createdAt: -1 })
+      .populate('acceptedBy.user', 'username');
+    
+    res.render('playlists/collaborators', {
+      title: `Share ${playlist.name} - TuneForge`,
+      playlist,
+      collaborators: playlist.collaborators.filter(c => c.user),
+      invites: invites.map(invite => ({ invite, url: inviteUrl(req, invite) })),
+      user: req.session.user,
+      messages: req.flash()
+    });
+    
+  } catch (error) {
+    console.error('Playlist collaborators error:', error);
+    req.flash('error', 'Error loading collaborators');
+    res.redirect(`/playlists/${req.params.id}`);
+  }
+});
+
+// Create an invite link
+router.post('/:id/invites', requireAuth, [
+  body('role')
+    .isIn(['editor', 'viewer'])
+    .withMessage('Choose whether people can edit or only view'),
+  body('expiresInDays')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days'),
+  body('maxUses')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Uses must be between 1 and 1000')
+], async (req, res) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+    
+    if (!playlist) {
+      req.flash('error', 'Playlist not found');
+      return res.redirect('/playlists');
+    }
+    
+    if (playlist.roleOf(req.session.user.id) !== 'owner') {
+      req.flash('error', 'Only the owner can invite collaborators');
+      return res.redirect(`/playlists/${playlist._id}`);
+    }
+    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.flash('error', errors.array().map(error => error.msg).join(', '));
+      return res.redirect(`/playlists/${playlist._id}/collaborators`);
+    }
+    
+    const { role } = req.body;
+    
+    if (role === 'editor' && playlist.isSmart) {
+      req.flash('error', 'Songs in a smart playlist come from its rules, so it can only be shared with viewers');
+      return res.redirect(`/playlists/${playlist._id}/collaborators`);
+    }
+    
+    // Editors can only edit a collaborative playlist
+    if (role === 'editor' && !playlist.isCollaborative) {
+      playlist.isCollaborative = true;
+      await playlist.trackChange('update', req.session.user.id).save();
+    }
+    
+    await PlaylistInvite.createFor(playlist, {
+      role,
+      expiresInDays: parseInt(req.body.expiresInDays) || null,
+      maxUses: parseInt(req.body.maxUses) || null,
+      createdBy: req.session.user.id
+    });
+    
+    req.flash('success', 'Invite link created; copy it below and send it to the people you want to invite');
+    res.redirect(`/playlists/${playlist._id}/collaborators`);
+    
+  } catch (error) {
+    console.error('Create playlist invite error:', error);
+    req.flash('error', 'Error creating invite link');
+    res.redirect(`/playlists/${req.params.id}/collaborators`);
+  }
+});
+
+// Revoke an invite link; people who already joined stay collaborators
+router.post('/:id/invites/:inviteId/revoke', requireAuth, async (req, res) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+    
+    if (!playlist) {
+      req.flash('error', 'Playlist not found');
+      return res.redirect('/playlists');
+    }
+    
+    if (playlist.roleOf(req.session.user.id) !== 'owner') {
+      req.flash('error', 'Only the owner can manage invite links');
+      return res.redirect(`/playlists/${playlist._id}`);
+    }
+    
+    const invite = await PlaylistInvite.findOne({ _id: req.params.inviteId, playlist: playlist._id });
+    
+    if (!invite) {
+      req.flash('error', 'Invite link not found');
+      return res.redirect(`/playlists/${playlist._id}/collaborators`);
+    }
+    
+    await invite.revoke();
+    
+    req.flash('success', 'Invite link revoked');
+    res.redirect(`/playlists/${playlist._id}/collaborators`);
+    
+  } catch (error) {
+    console.error('Revoke playlist invite error:', error);
+    req.flash('error', 'Error revoking invite link');
+    res.redirect(`/playlists/${req.params.id}/collaborators`);
+  }
+});
+
+// Change a collaborator's role
+router.post('/:id/collaborators/:userId/role', requireAuth, [
+  body('role')
+    .isIn(['editor', 'viewer'])
+    .withMessage('Choose editor or viewer')
+], async (req, res) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+    
+    if (!playlist) {
+      req.flash('error', 'Playlist not found');
+      return res.redirect('/playlists');
+    }
+    
+    if (playlist.roleOf(req.session.user.id) !== 'owner') {
+      req.flash('error', 'Only the owner can change collaborator roles');
+      return res.redirect(`/playlists/${playlist._id}`);
+    }
+    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.flash('error', errors.array().map(error => error.msg).join(', '));
+      return res.redirect(`/playlists/${playlist._id}/collaborators`);
+    }
+    
+    const currentRole = playlist.roleOf(req.params.userId);
+    
+    if (currentRole !== 'editor' && currentRole !== 'viewer') {
+      req.flash('error', 'Collaborator not found');
+      return res.redirect(`/playlists/${playlist._id}/collaborators`);
+    }
+    
+    if (req.body.role === 'editor' && playlist.isSmart) {
+      req.flash('error', 'Songs in a smart playlist come from its rules, so it can only be shared with viewers');
+      return res.redirect(`/playlists/${playlist._id}/collaborators`);
+    }
+    
+    await playlist.addCollaborator(req.params.userId, req.body.role);
+    
+    req.flash('success', 'Role updated');
+    res.redirect(`/playlists/${playlist._id}/collaborators`);
+    
+  } catch (error) {
+    console.error('Change collaborator role error:', error);
+    req.flash('error', 'Error changing role');
+    res.redirect(`/playlists/${req.params.id}/collaborators`);
+  }
+});
+
+// Remove a collaborator (the owner), or leave a playlist (a collaborator removing themselves)
+router.post('/:id/collaborators/:userId/remove', requireAuth, async (req, res) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+    
+    if (!playlist) {
+      req.flash('error', 'Playlist not found');
+      return res.redirect('/playlists');
+    }
+    
+    const userId = req.session.user.id;
+    const leaving = req.params.userId === userId.toString();
+    
+    if (!leaving && playlist.roleOf(userId) !== 'owner') {
+      req.flash('error', 'Only the owner can remove collaborators');
+      return res.redirect(`/playlists/${playlist._id}`);
+    }
+    
+    const role = playlist.roleOf(req.params.userId);
+    
+    if (role !== 'editor' && role !== 'viewer') {
+      req.flash('error', 'Collaborator not found');
+      return res.redirect(leaving ? `/playlists/${playlist._id}` : `/playlists/${playlist._id}/collaborators`);
+    }
+    
+    await playlist.removeCollaborator(req.params.userId);
+    
+    if (leaving) {
+      req.flash('success', `You left "${playlist.name}"`);
+      return res.redirect('/playlists');
+    }
+    
+    req.flash('success', 'Collaborator removed');
+    res.redirect(`/playlists/${playlist._id}/collaborators`);
+    
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    req.flash('error', 'Error removing collaborator');
+    res.redirect(`/playlists/${req.params.id}`);
+  }
+});
+
 // Delete playlist
 router.delete('/:id', requireAuth, async (req, res) => {
   try {
@@ -397,6 +1189,14 @@ router.delete('/:id', requireAuth, async (req, res) => {
     }
     
     await Playlist.findByIdAndDelete(req.params.id);
+    await PlaylistRevision.deleteMany({ playlist: playlist._id });
+    await PlaylistInvite.deleteMany({ playlist: playlist._id });
+    playlistEvents.emit('deleted', playlist._id.toString());
+    
+    const coverKey = keyFromUrl(playlist.coverImage);
+    if (coverKey) {
+      await getStorage().delete(coverKey);
+    }
     
     res.json({
       success: true,
@@ -1,9 +1,19 @@
 const express = require('express');
 const Song = require('../models/Song');
 const User = require('../models/User');
+const Genre = require('../models/Genre');
+const LyricVersion = require('../models/LyricVersion');
 const { requireAuth, requirePremium, checkPremium } = require('../middleware/auth');
 const { uploadSongWithCover, handleUploadError } = require('../middleware/upload');
 const { body, validationResult } = require('express-validator');
+const { requireSignedUrl, signStreamUrl, signStreamQuery } = require('../middleware/signedUrl');
+const { sendStoredFile } = require('../utils/streaming');
+const { getStorage } = require('../utils/storage');
+const { issuePlaybackToken } = require('../utils/playback');
+const { selectRendition, targetQualityForUser, maxQualityForUser, QUALITY_ORDER } = require('../utils/transcoder');
+const { isHlsAvailable, ensureHlsPlaylist, getSegmentKey } = require('../utils/hls');
+const { normalizeVolumeForUser } = require('../utils/loudness');
+const { normalizeLanguageTag, lyricLines } = require('../utils/lyrics');
 
 const router = express.Router();
 
@@ -22,7 +32,7 @@ router.get('/', async (req, res) => {
     
     // Apply filters
     if (req.query.genre) {
-      filters.genre = req.query.genre;
+      filters.genre = { $in: await Genre.descendantSlugs(req.query.genre) };
     }
     if (req.query.artist) {
       filters.artist = new RegExp(req.query.artist, 'i');
@@ -81,12 +91,14 @@ router.get('/', async (req, res) => {
     // Get trending and featured songs for sidebar
     const trendingSongs = await Song.getTrending(5);
     const featuredSongs = await Song.getFeatured(5);
+    const genres = await Genre.getOptions();
     
     res.render('songs/index', {
       title: 'Songs - TuneForge',
       songs,
       trendingSongs,
       featuredSongs,
+      genres,
       currentPage: page,
       totalPages,
       totalSongs,
@@ -157,12 +169,12 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Stream song (serve audio file)
-router.get('/:id/stream', async (req, res) => {
+// Start a playback session (the token is reported back to POST /api/plays)
+router.post('/:id/playback', async (req, res) => {
   try {
     const song = await Song.findById(req.params.id);
     
-    if (!song) {
+    if (!song || !song.isActive) {
       return res.status(404).json({ error: 'Song not found' });
     }
     
@@ -171,30 +183,154 @@ router.get('/:id/stream', async (req, res) => {
       return res.status(403).json({ error: 'Premium subscription required' });
     }
     
-    // Increment play count
-    await song.incrementPlayCount();
+    const token = issuePlaybackToken(req.session, song._id);
+    const userId = req.session.user ? req.session.user.id : null;
     
-    // Add to user's listening history if logged in
-    if (req.session.user) {
-      const user = await User.findById(req.session.user.id);
-      if (user) {
-        await user.addToHistory(song._id, song.duration);
-      }
+    res.json({
+      success: true,
+      token,
+      streamUrl: signStreamUrl(`/songs/${song._id}/stream`, song._id, userId),
+      hlsUrl: isHlsAvailable() ? signStreamUrl(`/songs/${song._id}/stream/hls`, song._id, userId) : null,
+      replayGain: song.getReplayGain(),
+      normalizeVolume: normalizeVolumeForUser(req.session.user)
+    });
+    
+  } catch (error) {
+    console.error('Start playback error:', error);
+    res.status(500).json({ error: 'Error starting playback' });
+  }
+});
+
+// Stream song (serve audio file)
+router.get('/:id/stream', requireSignedUrl, async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id);
+    
+    if (!song || !song.isActive) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+    
+    // Check premium access
+    if (song.isPremium && !res.locals.isPremium) {
+      return res.status(403).json({ error: 'Premium subscription required' });
     }
     
-    // Set appropriate headers for streaming
-    res.setHeader('Content-Type', 'audio/mpeg');
-    res.setHeader('Accept-Ranges', 'bytes');
-    res.setHeader('Cache-Control', 'public, max-age=3600');
+    // Serve the rendition matching the user's quality preference and tier
+    const rendition = selectRendition(song, req.session.user, req.query.quality);
+    const key = rendition ? rendition.filePath : song.filePath;
     
-    // Serve the file
-    const path = require('path');
-    const filePath = path.join(__dirname, '..', song.filePath);
-    res.sendFile(filePath);
+    res.setHeader('X-Audio-Quality', rendition ? rendition.quality : 'original');
+    await sendStoredFile(req, res, key, {
+      contentType: rendition && rendition.mimeType
+    });
     
   } catch (error) {
     console.error('Song stream error:', error);
-    res.status(500).json({ error: 'Error streaming song' });
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Audio file not found' });
+    }
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error streaming song' });
+    }
+  }
+});
+
+// Load a song for HLS requests, answering 404/403 itself when it can't be streamed
+const findStreamableSong = async (req, res) => {
+  const song = await Song.findById(req.params.id);
+  
+  // Deactivated songs can't be streamed, even with a signed URL issued earlier
+  if (!song || !song.isActive) {
+    res.status(404).json({ error: 'Song not found' });
+    return null;
+  }
+  
+  // Check premium access
+  if (song.isPremium && !res.locals.isPremium) {
+    res.status(403).json({ error: 'Premium subscription required' });
+    return null;
+  }
+  
+  return song;
+};
+
+// Quality must be a ladder step the user's subscription allows
+const isAllowedHlsQuality = (quality, user) => {
+  const index = QUALITY_ORDER.indexOf(quality);
+  return index !== -1 && index <= QUALITY_ORDER.indexOf(maxQualityForUser(user));
+};
+
+// HLS alternative: redirect to the playlist for the user's quality
+router.get('/:id/stream/hls', requireSignedUrl, (req, res) => {
+  const quality = targetQualityForUser(req.session.user, req.query.quality);
+  const { expires, uid, sig } = req.query;
+  const query = new URLSearchParams({ expires, uid, sig }).toString();
+  res.redirect(`/songs/${req.params.id}/stream/hls/${quality}/index.m3u8?${query}`);
+});
+
+// HLS playlist (segments are generated from the stored file on first request and cached)
+router.get('/:id/stream/hls/:quality/index.m3u8', requireSignedUrl, async (req, res) => {
+  try {
+    if (!isHlsAvailable()) {
+      return res.status(501).json({ error: 'HLS streaming is not available' });
+    }
+    
+    if (!isAllowedHlsQuality(req.params.quality, req.session.user)) {
+      return res.status(403).json({ error: 'Quality not available for your subscription' });
+    }
+    
+    const song = await findStreamableSong(req, res);
+    if (!song) return;
+    
+    const playlistKey = await ensureHlsPlaylist(song, req.params.quality);
+    const playlist = (await getStorage().get(playlistKey)).toString('utf8');
+    
+    // Segment URLs are relative; sign each one so the player can fetch it
+    const userId = req.session.user ? req.session.user.id : null;
+    const query = signStreamQuery(song._id, userId);
+    const signedPlaylist = playlist
+      .split('\n')
+      .map(line => (line && !line.startsWith('#') ? `${line.trim()}?${query}` : line))
+      .join('\n');
+    
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(signedPlaylist);
+    
+  } catch (error) {
+    console.error('HLS playlist error:', error);
+    res.status(500).json({ error: 'Error preparing HLS stream' });
+  }
+});
+
+// HLS segment
+router.get('/:id/stream/hls/:quality/:segment', requireSignedUrl, async (req, res) => {
+  try {
+    if (!isAllowedHlsQuality(req.params.quality, req.session.user)) {
+      return res.status(403).json({ error: 'Quality not available for your subscription' });
+    }
+    
+    const segmentKey = getSegmentKey(req.params.id, req.params.quality, req.params.segment);
+    if (!segmentKey) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    
+    const song = await findStreamableSong(req, res);
+    if (!song) return;
+    
+    await sendStoredFile(req, res, segmentKey, {
+      contentType: 'video/mp2t',
+      cacheControl: 'private, max-age=86400'
+    });
+    
+  } catch (error) {
+    console.error('HLS segment error:', error);
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error streaming segment' });
+    }
   }
 });
 
@@ -335,7 +471,19 @@ router.get('/search', async (req, res) => {
   }
 });
 
-// Get song lyrics
+// Lyrics version summary for the API; withLines adds the text for side-by-side display
+const formatLyricVersion = (version, withLines = false) => ({
+  _id: version._id,
+  kind: version.kind,
+  language: version.language,
+  languageName: version.languageName,
+  credit: version.credit || (version.contributor ? version.contributor.username : null),
+  updatedAt: version.updatedAt,
+  ...(withLines ? { lines: version.getLines() } : {})
+});
+
+// Get song lyrics; synced holds the parsed LRC lines ({ time, text, words? }) when there are any.
+// versions lists the approved translations/romanizations; ?lang=es adds that one as translation
 router.get('/:id/lyrics', async (req, res) => {
   try {
     const song = await Song.findById(req.params.id);
@@ -344,9 +492,27 @@ router.get('/:id/lyrics', async (req, res) => {
       return res.status(404).json({ error: 'Song not found' });
     }
     
+    const versions = await LyricVersion.getApproved(song._id);
+    
+    let translation = null;
+    if (req.query.lang && req.query.lang !== 'original') {
+      const language = normalizeLanguageTag(req.query.lang);
+      const version = versions.find(candidate => candidate.language === language &&
+        (!req.query.kind || candidate.kind === req.query.kind));
+      
+      if (!version) {
+        return res.status(404).json({ error: 'No lyrics in that language' });
+      }
+      translation = formatLyricVersion(version, true);
+    }
+    
     res.json({
       success: true,
-      lyrics: song.lyrics
+      lyrics: song.lyrics,
+      synced: song.getSyncedLyrics(),
+      language: song.language,
+      versions: versions.map(version => formatLyricVersion(version)),
+      translation
     });
     
   } catch (error) {
@@ -355,6 +521,108 @@ router.get('/:id/lyrics', async (req, res) => {
   }
 });
 
+// Translation / romanization form
+router.get('/:id/lyrics/contribute', requireAuth, async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id);
+    
+    if (!song || !song.isActive) {
+      req.flash('error', 'Song not found');
+      return res.redirect('/songs');
+    }
+    
+    const versions = await LyricVersion.getApproved(song._id);
+    const submissions = await LyricVersion.find({ song: song._id, contributor: req.session.user.id })
+      .sort({ updatedAt: -1 });
+    
+    res.render('songs/lyrics-contribute', {
+      title: `Translate ${song.title} - TuneForge`,
+      song,
+      originalLines: lyricLines(song.lyrics),
+      versions,
+      submissions,
+      user: req.session.user
+    });
+    
+  } catch (error) {
+    console.error('Lyrics contribute error:', error);
+    req.flash('error', 'Error loading lyrics');
+    res.redirect('/songs');
+  }
+});
+
+// Submit a translation or romanization; it is published once an admin approves it
+router.post('/:id/lyrics/versions', requireAuth, [
+  body('language')
+    .trim()
+    .custom(value => Boolean(normalizeLanguageTag(value)))
+    .withMessage('Language must be a language code such as es, pt-BR or ja-Latn'),
+  body('kind')
+    .optional()
+    .isIn(LyricVersion.schema.path('kind').enumValues)
+    .withMessage('Kind must be translation or romanization'),
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 20000 })
+    .withMessage('Lyrics must be between 1 and 20000 characters'),
+  body('credit')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Credit must be less than 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const song = await Song.findById(req.params.id);
+    
+    if (!song || !song.isActive) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+    
+    if (!song.lyrics) {
+      return res.status(400).json({ error: 'This song has no lyrics to translate' });
+    }
+    
+    const { language, kind, text, credit } = req.body;
+    const version = await LyricVersion.submit({
+      song: song._id,
+      contributor: req.session.user.id,
+      kind,
+      language,
+      text,
+      credit
+    });
+    
+    // Admins' own versions don't need review
+    if (req.session.user.role === 'admin') {
+      await version.approve(req.session.user.id);
+    }
+    
+    res.json({
+      success: true,
+      version: {
+        _id: version._id,
+        kind: version.kind,
+        language: version.language,
+        languageName: version.languageName,
+        status: version.status
+      }
+    });
+    
+  } catch (error) {
+    console.error('Submit lyrics version error:', error);
+    res.status(500).json({ error: 'Error saving lyrics' });
+  }
+});
+
 // Error handling middleware
 router.use(handleUploadError);
 
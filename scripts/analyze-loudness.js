@@ -0,0 +1,51 @@
+// Measure loudness for songs uploaded before normalization existed and
+// recompute album gain for every album they belong to.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Song = require('../models/Song');
+const { withLocalFile } = require('../utils/storage');
+const { isLoudnessAvailable, analyzeTrack } = require('../utils/loudness');
+
+const run = async () => {
+  if (!isLoudnessAvailable()) {
+    throw new Error('The configured transcoder cannot measure loudness (is TRANSCODER=copy set?)');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tuneforge', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  const songs = await Song.find({ 'loudness.integrated': { $exists: false } }).select('title albumId filePath');
+  const albums = new Set();
+  let analyzed = 0;
+
+  for (const song of songs) {
+    try {
+      const loudness = await withLocalFile(song.filePath, analyzeTrack);
+      if (!loudness) continue;
+
+      await Song.updateOne({ _id: song._id }, { loudness });
+      analyzed++;
+
+      if (song.albumId) {
+        albums.add(song.albumId.toString());
+      }
+    } catch (error) {
+      console.warn(`⚠️  ${song._id} (${song.title}): ${error.message}`);
+    }
+  }
+
+  for (const albumId of albums) {
+    await Song.updateAlbumGain(albumId);
+  }
+
+  console.log(`✅ Analyzed ${analyzed}/${songs.length} songs, updated ${albums.size} albums`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Loudness analysis failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
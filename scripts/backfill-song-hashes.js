@@ -0,0 +1,53 @@
+// Compute content hashes and title/artist fingerprints for songs uploaded before
+// duplicate detection existed, then list any duplicates already in the library.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Song = require('../models/Song');
+const { withLocalFile } = require('../utils/storage');
+const { hashFile } = require('../utils/fingerprint');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tuneforge', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  const songs = await Song.find({ $or: [{ contentHash: { $exists: false } }, { 'fingerprint.title': { $exists: false } }] });
+  let updated = 0;
+
+  for (const song of songs) {
+    try {
+      if (!song.contentHash) {
+        song.contentHash = await withLocalFile(song.filePath, hashFile);
+      }
+      // The pre-save hook fills in the fingerprint
+      await song.save({ validateBeforeSave: false });
+      updated++;
+    } catch (error) {
+      console.warn(`⚠️  ${song._id} (${song.title}): ${error.message}`);
+    }
+  }
+
+  console.log(`✅ Fingerprinted ${updated}/${songs.length} songs`);
+
+  const groups = await Song.aggregate([
+    { $match: { contentHash: { $exists: true } } },
+    { $group: { _id: '$contentHash', songs: { $push: { id: '$_id', title: '$title', artist: '$artist' } }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+
+  if (groups.length > 0) {
+    console.log(`\n🔁 ${groups.length} sets of identical files:`);
+    groups.forEach(group => {
+      group.songs.forEach(song => console.log(`   ${song.id}  ${song.title} - ${song.artist}`));
+      console.log('');
+    });
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,38 @@
+// Create Album records from the free-text Song.album values and link every song to its album.
+// Tracks with the same album title and primary artist end up on one album.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Song = require('../models/Song');
+const Album = require('../models/Album');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tuneforge', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  const albumsBefore = await Album.countDocuments();
+  const songs = await Song.find({ album: { $nin: [null, ''] }, albumId: null })
+    .sort({ discNumber: 1, trackNumber: 1 });
+  let linked = 0;
+
+  for (const song of songs) {
+    try {
+      // The pre-save hook finds or creates the album (and the artist credits it needs)
+      await song.save({ validateBeforeSave: false });
+      linked++;
+    } catch (error) {
+      console.warn(`⚠️  ${song._id} (${song.title}): ${error.message}`);
+    }
+  }
+
+  const created = (await Album.countDocuments()) - albumsBefore;
+  console.log(`✅ Linked ${linked}/${songs.length} songs, created ${created} albums`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,37 @@
+// Create Artist records from the free-text Song.artist values and link every song to them.
+// Names differing only in case, accents or a leading "The" end up as one artist.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Song = require('../models/Song');
+const Artist = require('../models/Artist');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tuneforge', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  const artistsBefore = await Artist.countDocuments();
+  const songs = await Song.find({ $or: [{ artists: { $exists: false } }, { artists: { $size: 0 } }] });
+  let linked = 0;
+
+  for (const song of songs) {
+    try {
+      // The pre-save hook parses song.artist (and feat./remix in the title) into credits
+      await song.save({ validateBeforeSave: false });
+      linked++;
+    } catch (error) {
+      console.warn(`⚠️  ${song._id} (${song.title}): ${error.message}`);
+    }
+  }
+
+  const created = (await Artist.countDocuments()) - artistsBefore;
+  console.log(`✅ Linked ${linked}/${songs.length} songs, created ${created} artists`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,125 @@
+// Move media stored under the old disk layout (public/uploads, storage/songs) into the
+// configured storage backend and rewrite the paths saved in the database.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Song = require('../models/Song');
+const User = require('../models/User');
+const Playlist = require('../models/Playlist');
+const { getStorage, publicUrl } = require('../utils/storage');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Legacy location prefixes and the directory they were relative to
+const LEGACY_PREFIXES = [
+  { prefix: 'storage/', dir: 'storage' },
+  { prefix: 'public/uploads/', dir: 'public/uploads' },
+  { prefix: 'uploads/', dir: 'public/uploads' }
+];
+
+// Resolve a legacy path to { key, filePath }, or null if the value is already migrated
+const parseLegacyPath = (value) => {
+  if (!value) return null;
+
+  const normalized = value.replace(/\\/g, '/').replace(/^\.?\//, '');
+  const legacy = LEGACY_PREFIXES.find(entry => normalized.startsWith(entry.prefix));
+  if (!legacy) return null;
+
+  const key = normalized.slice(legacy.prefix.length);
+  return { key, filePath: path.join(ROOT_DIR, legacy.dir, key) };
+};
+
+// Copy a legacy file into storage (unless it is already where the backend expects it)
+const migrateFile = async (value) => {
+  const legacy = parseLegacyPath(value);
+  if (!legacy) return null;
+
+  const storage = getStorage();
+  const inPlace = typeof storage.localPath === 'function' && storage.localPath(legacy.key) === legacy.filePath;
+
+  if (!inPlace) {
+    if (!fs.existsSync(legacy.filePath)) {
+      console.warn(`⚠️  Missing file, skipping: ${value}`);
+      return null;
+    }
+    await storage.putFile(legacy.key, legacy.filePath);
+  }
+
+  return legacy.key;
+};
+
+const migrateSongs = async () => {
+  const songs = await Song.find({});
+  let updated = 0;
+
+  for (const song of songs) {
+    let changed = false;
+
+    const fileKey = await migrateFile(song.filePath);
+    if (fileKey) {
+      song.filePath = fileKey;
+      changed = true;
+    }
+
+    for (const rendition of song.renditions) {
+      const renditionKey = await migrateFile(rendition.filePath);
+      if (renditionKey) {
+        rendition.filePath = renditionKey;
+        changed = true;
+      }
+    }
+
+    const coverKey = await migrateFile(song.coverArt);
+    if (coverKey) {
+      song.coverArt = publicUrl(coverKey);
+      changed = true;
+    }
+
+    if (changed) {
+      await song.save({ validateBeforeSave: false });
+      updated++;
+    }
+  }
+
+  console.log(`✅ Songs migrated: ${updated}/${songs.length}`);
+};
+
+// Migrate a single image field holding a public URL on every document of a model
+const migrateImageField = async (Model, field, label) => {
+  const docs = await Model.find({ [field]: { $regex: /^(\.?\/)?(public\/)?uploads\// } });
+  let updated = 0;
+
+  for (const doc of docs) {
+    const key = await migrateFile(doc[field]);
+    if (key) {
+      await Model.updateOne({ _id: doc._id }, { [field]: publicUrl(key) });
+      updated++;
+    }
+  }
+
+  console.log(`✅ ${label} migrated: ${updated}/${docs.length}`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tuneforge', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  await migrateSongs();
+  await migrateImageField(User, 'avatar', 'Avatars');
+  await migrateImageField(Playlist, 'coverImage', 'Playlist covers');
+
+  // HLS caches from the old layout are regenerated on demand
+  await fs.promises.rm(path.join(ROOT_DIR, 'storage/songs/hls'), { recursive: true, force: true });
+
+  console.log('🎉 Storage migration complete. Old files were left in place; remove them once verified.');
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Storage migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+// Move lyrics search to its own collection: drop a songs text index that covers lyrics (MongoDB allows a
+// single text index per collection, so it has to go before the title/artist/album/genre one is built),
+// then copy every song's lyrics into SongLyrics. Safe to run again.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Song = require('../models/Song');
+const SongLyrics = require('../models/SongLyrics');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tuneforge', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  const indexes = await Song.collection.indexes();
+  const outdated = indexes.filter(index => index.textIndexVersion && index.weights && index.weights.lyrics);
+
+  for (const index of outdated) {
+    await Song.collection.dropIndex(index.name);
+    console.log(`🗑️  Dropped text index ${index.name}`);
+  }
+
+  await Song.createIndexes();
+  await SongLyrics.createIndexes();
+
+  let copied = 0;
+  for await (const song of Song.find({ lyrics: { $nin: [null, ''] } }).select('lyrics').cursor()) {
+    await SongLyrics.syncFor(song);
+    copied += 1;
+  }
+  console.log(`✅ Lyrics search covers ${copied} songs`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Reindex failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
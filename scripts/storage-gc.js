@@ -0,0 +1,92 @@
+// Report storage objects with no database record and records whose file is gone.
+// Usage: npm run storage:gc -- [--quarantine | --delete] [--min-age=<minutes>] [--json]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const {
+  DEFAULT_MIN_AGE,
+  auditStorage,
+  actionableOrphans,
+  quarantineOrphans,
+  deleteOrphans,
+  formatBytes
+} = require('../utils/storageAudit');
+
+const parseArgs = (argv) => {
+  const args = { quarantine: false, delete: false, json: false, minAge: DEFAULT_MIN_AGE };
+
+  argv.forEach(arg => {
+    if (arg === '--quarantine') args.quarantine = true;
+    else if (arg === '--delete') args.delete = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg.startsWith('--min-age=')) args.minAge = parseInt(arg.split('=')[1]) * 60 * 1000;
+    else throw new Error(`Unknown option: ${arg}`);
+  });
+
+  if (args.quarantine && args.delete) {
+    throw new Error('Use either --quarantine or --delete, not both');
+  }
+  if (Number.isNaN(args.minAge)) {
+    throw new Error('--min-age expects a number of minutes');
+  }
+
+  return args;
+};
+
+const printReport = (report) => {
+  console.log(`📦 ${report.objectCount} objects in storage (${formatBytes(report.totalSize)})`);
+
+  console.log(`\n🗑️  Orphans: ${report.orphans.length} (${formatBytes(report.orphanSize)})`);
+  report.orphans.forEach(orphan => {
+    console.log(`   ${orphan.key}  ${formatBytes(orphan.size)}${orphan.recent ? '  (recent, skipped)' : ''}`);
+  });
+
+  console.log(`\n❓ Missing files: ${report.missing.length}`);
+  report.missing.forEach(reference => {
+    console.log(`   ${reference.key}  <- ${reference.model} ${reference.id} (${reference.field})`);
+  });
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tuneforge', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  const report = await auditStorage({ minAge: args.minAge });
+  let actions = [];
+
+  if (args.quarantine) {
+    actions = await quarantineOrphans(actionableOrphans(report));
+  } else if (args.delete) {
+    actions = await deleteOrphans(actionableOrphans(report));
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({ ...report, actions }, null, 2));
+    return;
+  }
+
+  printReport(report);
+
+  if (args.quarantine) {
+    console.log(`\n✅ Quarantined ${actions.length} orphans`);
+  } else if (args.delete) {
+    console.log(`\n✅ Deleted ${actions.length} orphans`);
+  } else if (report.orphans.length > 0) {
+    console.log('\nRun again with --quarantine or --delete to clean up orphans.');
+  }
+
+  // Non-zero exit lets cron/CI flag records pointing at missing media
+  if (report.missing.length > 0) {
+    process.exitCode = 2;
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Storage check failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -7,6 +7,8 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const flash = require('connect-flash');
+const Genre = require('./models/Genre');
+const { attachPlaylistSync } = require('./utils/playlistSync');
 require('dotenv').config();
 
 const app = express();
@@ -29,21 +31,33 @@ app.use(helmet({
 app.use(cors());
 
 // Rate limiting
+// Audio is fetched in many small requests (an HLS segment every 6 seconds, byte ranges for the
+// progressive stream), so stream routes get a limit of their own instead of the general one
+const STREAM_PATH = /^\/songs\/[^/]+\/stream(?:\/|$)/;
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  skip: req => STREAM_PATH.test(req.path)
+});
+const streamLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3000 // about 20 listeners sharing an IP, at 150 segments each
 });
 app.use(limiter);
+app.use('/songs/:id/stream', streamLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Audio uploaded before storage moved out of public/ must not be served statically
+app.use('/uploads/songs', (req, res) => res.status(404).end());
+
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Session configuration
-app.use(session({
+// Session configuration (shared with the live playlist channel)
+const sessionMiddleware = session({
   secret: process.env.SESSION_SECRET || 'tuneforge-secret-key',
   resave: false,
   saveUninitialized: false,
@@ -54,7 +68,8 @@ app.use(session({
     secure: process.env.NODE_ENV === 'production',
     maxAge: 24 * 60 * 60 * 1000 // 24 hours
   }
-}));
+});
+app.use(sessionMiddleware);
 
 // Flash messages
 app.use(flash());
@@ -77,15 +92,26 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tuneforge
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+
+  // Fresh installs start with the default genre list
+  Genre.seedDefaults()
+    .then(seeded => seeded > 0 && console.log(`🎵 Created ${seeded} default genres`))
+    .catch(err => console.error('❌ Genre seeding error:', err));
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes
 app.use('/auth', require('./routes/auth'));
 app.use('/songs', require('./routes/songs'));
+app.use('/artists', require('./routes/artists'));
+app.use('/albums', require('./routes/albums'));
+app.use('/genres', require('./routes/genres'));
 app.use('/playlists', require('./routes/playlists'));
 app.use('/admin', require('./routes/admin'));
 app.use('/api', require('./routes/api'));
+app.use('/media', require('./routes/media'));
 
 // Main routes
 app.get('/', (req, res) => {
@@ -121,10 +147,13 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🎵 TuneForge server running on http://localhost:${PORT}`);
   console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`⏰ Server started at ${new Date().toLocaleString()}`);
 });
 
+// Live playlist updates and presence over WebSockets
+attachPlaylistSync(server, sessionMiddleware);
+
 module.exports = app;
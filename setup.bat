@@ -25,10 +25,10 @@ if not exist .env (
 
 echo.
 echo 📁 Creating upload directories...
-if not exist "public\uploads\songs" mkdir "public\uploads\songs"
-if not exist "public\uploads\covers" mkdir "public\uploads\covers"
-if not exist "public\uploads\avatars" mkdir "public\uploads\avatars"
-if not exist "public\uploads\playlists" mkdir "public\uploads\playlists"
+if not exist "storage\songs" mkdir "storage\songs"
+if not exist "storage\covers" mkdir "storage\covers"
+if not exist "storage\avatars" mkdir "storage\avatars"
+if not exist "storage\playlists" mkdir "storage\playlists"
 echo ✅ Upload directories created
 
 echo.
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildLyricsSnippet, openingSnippet, snippetToHtml, parseSearchQuery } = require('../utils/lyrics');
+const Song = require('../models/Song');
+const SongLyrics = require('../models/SongLyrics');
+
+const LYRICS = [
+  'Hold me now',
+  'Oh oh, hold me closer',
+  'In the end it does not matter',
+  'We were loving all along'
+].join('\n');
+
+// The highlighted parts of a snippet, in order
+const highlighted = snippet => snippet.highlights.map(({ start, length }) => snippet.text.slice(start, start + length));
+
+test('parseSearchQuery splits quoted phrases from words', () => {
+  assert.deepStrictEqual(parseSearchQuery('"in the end" hold -closer'), {
+    phrases: ['in the end'],
+    terms: ['hold']
+  });
+});
+
+test('buildLyricsSnippet highlights a phrase, short words included', () => {
+  const snippet = buildLyricsSnippet(LYRICS, '"in the end"');
+  assert.deepStrictEqual(highlighted(snippet), ['In the end']);
+
+  assert.deepStrictEqual(highlighted(buildLyricsSnippet(LYRICS, '"hold me"')), ['Hold me', 'hold me']);
+});
+
+test('buildLyricsSnippet lets a phrase run over a line break and punctuation', () => {
+  const snippet = buildLyricsSnippet(LYRICS, '"now oh oh hold"');
+  assert.deepStrictEqual(highlighted(snippet), ['now / Oh oh, hold']);
+});
+
+test('buildLyricsSnippet highlights short words on their own only', () => {
+  const snippet = buildLyricsSnippet(LYRICS, 'me oh');
+  assert.deepStrictEqual(highlighted(snippet), ['me', 'Oh', 'oh', 'me']);
+
+  // "we" isn't highlighted inside "were"
+  assert.strictEqual(buildLyricsSnippet('Were you there', 'we'), null);
+});
+
+test('buildLyricsSnippet matches other endings and ignores case and accents', () => {
+  assert.deepStrictEqual(highlighted(buildLyricsSnippet(LYRICS, 'love')), ['loving']);
+  assert.deepStrictEqual(highlighted(buildLyricsSnippet('Café del mar', 'cafe')), ['Café']);
+});
+
+test('buildLyricsSnippet returns null when a phrase or every word is missing', () => {
+  assert.strictEqual(buildLyricsSnippet(LYRICS, '"hold me closer now"'), null);
+  assert.strictEqual(buildLyricsSnippet(LYRICS, 'yesterday'), null);
+  assert.strictEqual(buildLyricsSnippet('', 'hold'), null);
+});
+
+test('buildLyricsSnippet keeps the snippet around the match', () => {
+  const lyrics = `${'la '.repeat(100)}\nthe chorus line\n${'na '.repeat(100)}`;
+  const snippet = buildLyricsSnippet(lyrics, '"chorus line"', { radius: 20 });
+
+  assert.ok(snippet.text.startsWith('… '));
+  assert.ok(snippet.text.endsWith(' …'));
+  assert.ok(snippet.text.length < 80);
+  assert.deepStrictEqual(highlighted(snippet), ['chorus line']);
+});
+
+test('openingSnippet shows the first lines without highlights', () => {
+  assert.deepStrictEqual(openingSnippet('Short\nsong'), { text: 'Short / song', highlights: [] });
+
+  const snippet = openingSnippet(LYRICS, { radius: 10 });
+  assert.strictEqual(snippet.text, 'Hold me now / Oh oh, …');
+  assert.deepStrictEqual(snippet.highlights, []);
+});
+
+test('snippetToHtml escapes the text around the marks', () => {
+  const snippet = buildLyricsSnippet('<b>Rock</b> & roll', 'roll');
+  assert.strictEqual(snippetToHtml(snippet), '&lt;b&gt;Rock&lt;/b&gt; &amp; <mark>roll</mark>');
+});
+
+test('song search does not look at lyrics; lyrics have their own text index', () => {
+  const textIndex = schema => schema.indexes().find(([fields]) => Object.values(fields).includes('text'))[0];
+
+  assert.deepStrictEqual(Object.keys(textIndex(Song.schema)), ['title', 'artist', 'album', 'genre']);
+  assert.deepStrictEqual(Object.keys(textIndex(SongLyrics.schema)), ['lyrics']);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { WebSocket } = require('ws');
+const { attachPlaylistSync } = require('../utils/playlistSync');
+
+const PLAYLIST_PATH = '/playlists/650000000000000000000001/live';
+
+// Try to open the live channel; resolves to the HTTP status the upgrade was refused with, or 'open'
+const connect = (port, origin) => new Promise(resolve => {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}${PLAYLIST_PATH}`, origin ? { origin } : {});
+  ws.on('open', () => {
+    ws.terminate();
+    resolve('open');
+  });
+  ws.on('unexpected-response', (req, res) => {
+    resolve(res.statusCode);
+    req.destroy();
+  });
+  ws.on('error', () => resolve('closed'));
+});
+
+test('live playlist channel only accepts its own site', async (t) => {
+  const server = http.createServer();
+  let sessionsRead = 0;
+
+  // Stands in for express-session: the origin check has to happen before the session is used
+  const sessionMiddleware = req => {
+    sessionsRead += 1;
+    req.socket.destroy();
+  };
+
+  const wss = attachPlaylistSync(server, sessionMiddleware);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    wss.close();
+    server.close();
+  });
+  const { port } = server.address();
+
+  assert.strictEqual(await connect(port, 'https://evil.example'), 403);
+  assert.strictEqual(await connect(port, 'null'), 403);
+  assert.strictEqual(sessionsRead, 0);
+
+  assert.strictEqual(await connect(port, `http://127.0.0.1:${port}`), 'closed');
+  assert.strictEqual(await connect(port), 'closed');
+  assert.strictEqual(sessionsRead, 2);
+});
@@ -0,0 +1,236 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { LocalStorage, S3Storage, isPublicKey } = require('../utils/storage');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+const s3Error = (name, status) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode: status } });
+
+// In-memory stand-in for an S3-compatible server, answering the commands S3Storage sends.
+// Listing pages are kept small so pagination is exercised.
+class FakeS3Client {
+  constructor({ pageSize = 2 } = {}) {
+    this.buckets = new Map();
+    this.pageSize = pageSize;
+  }
+
+  bucket(name) {
+    if (!this.buckets.has(name)) this.buckets.set(name, new Map());
+    return this.buckets.get(name);
+  }
+
+  async send(command) {
+    const input = command.input;
+    const objects = this.bucket(input.Bucket);
+
+    if (command instanceof PutObjectCommand) {
+      const body = Buffer.isBuffer(input.Body) || typeof input.Body === 'string'
+        ? Buffer.from(input.Body)
+        : await readAll(input.Body);
+      objects.set(input.Key, { body, contentType: input.ContentType, lastModified: new Date() });
+      return {};
+    }
+
+    if (command instanceof GetObjectCommand) {
+      const object = objects.get(input.Key);
+      if (!object) throw s3Error('NoSuchKey', 404);
+
+      let body = object.body;
+      if (input.Range) {
+        const [, start, end] = /^bytes=(\d+)-(\d*)$/.exec(input.Range);
+        body = body.subarray(Number(start), end === '' ? undefined : Number(end) + 1);
+      }
+      return { Body: Readable.from([body]), ContentLength: body.length };
+    }
+
+    if (command instanceof HeadObjectCommand) {
+      const object = objects.get(input.Key);
+      if (!object) throw s3Error('NotFound', 404);
+      return { ContentLength: object.body.length, LastModified: object.lastModified, ContentType: object.contentType };
+    }
+
+    if (command instanceof DeleteObjectCommand) {
+      objects.delete(input.Key);
+      return {};
+    }
+
+    if (command instanceof ListObjectsV2Command) {
+      const keys = [...objects.keys()].filter(key => key.startsWith(input.Prefix || '')).sort();
+      const start = input.ContinuationToken ? Number(input.ContinuationToken) : 0;
+      const page = keys.slice(start, start + this.pageSize);
+      const isTruncated = start + this.pageSize < keys.length;
+      return {
+        Contents: page.map(key => ({ Key: key, Size: objects.get(key).body.length, LastModified: objects.get(key).lastModified })),
+        IsTruncated: isTruncated,
+        NextContinuationToken: isTruncated ? String(start + this.pageSize) : undefined
+      };
+    }
+
+    throw new Error(`Unexpected command ${command.constructor.name}`);
+  }
+}
+
+// Behaviour every storage driver must share
+const storageContract = (name, setup) => {
+  test(`${name} storage driver`, async (t) => {
+    const { storage, cleanup } = await setup();
+    t.after(cleanup);
+
+    await t.test('put and get a buffer, a string and a stream', async () => {
+      await storage.put('covers/a.jpg', Buffer.from('buffer body'));
+      await storage.put('covers/b.jpg', 'string body');
+      await storage.put('songs/c.mp3', Readable.from([Buffer.from('stream '), Buffer.from('body')]));
+
+      assert.strictEqual((await storage.get('covers/a.jpg')).toString(), 'buffer body');
+      assert.strictEqual((await storage.get('covers/b.jpg')).toString(), 'string body');
+      assert.strictEqual((await storage.get('songs/c.mp3')).toString(), 'stream body');
+    });
+
+    await t.test('putFile copies a local file', async () => {
+      const sourceDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tuneforge-source-'));
+      const sourcePath = path.join(sourceDir, 'upload.mp3');
+      await fs.promises.writeFile(sourcePath, 'uploaded audio');
+
+      try {
+        await storage.putFile('songs/upload.mp3', sourcePath);
+        assert.strictEqual((await storage.get('songs/upload.mp3')).toString(), 'uploaded audio');
+      } finally {
+        await fs.promises.rm(sourceDir, { recursive: true, force: true });
+      }
+    });
+
+    await t.test('overwrites an existing key', async () => {
+      await storage.put('covers/overwrite.jpg', 'first');
+      await storage.put('covers/overwrite.jpg', 'second');
+      assert.strictEqual((await storage.get('covers/overwrite.jpg')).toString(), 'second');
+    });
+
+    await t.test('streams the whole object or an inclusive byte range', async () => {
+      await storage.put('songs/range.mp3', '0123456789');
+
+      assert.strictEqual((await readAll(await storage.stream('songs/range.mp3'))).toString(), '0123456789');
+      assert.strictEqual((await readAll(await storage.stream('songs/range.mp3', { start: 2, end: 5 }))).toString(), '2345');
+      assert.strictEqual((await readAll(await storage.stream('songs/range.mp3', { start: 7 }))).toString(), '789');
+      assert.strictEqual((await readAll(await storage.stream('songs/range.mp3', { start: 0, end: 0 }))).toString(), '0');
+    });
+
+    await t.test('stat reports the size, or null for a missing key', async () => {
+      await storage.put('songs/stat.mp3', 'twelve bytes');
+
+      const stats = await storage.stat('songs/stat.mp3');
+      assert.strictEqual(stats.size, 12);
+      assert.ok(stats.lastModified instanceof Date);
+      assert.strictEqual(await storage.stat('songs/missing.mp3'), null);
+    });
+
+    await t.test('reading a missing key fails with ENOENT', async () => {
+      await assert.rejects(storage.get('songs/missing.mp3'), { code: 'ENOENT' });
+      await assert.rejects(storage.stream('songs/missing.mp3'), { code: 'ENOENT' });
+    });
+
+    await t.test('delete removes the object and ignores missing keys', async () => {
+      await storage.put('covers/delete.jpg', 'bye');
+      await storage.delete('covers/delete.jpg');
+
+      assert.strictEqual(await storage.stat('covers/delete.jpg'), null);
+      await storage.delete('covers/delete.jpg');
+    });
+
+    await t.test('list returns every key under a prefix', async () => {
+      await storage.put('avatars/1.png', 'a');
+      await storage.put('avatars/2.png', 'bb');
+      await storage.put('avatars/nested/3.png', 'ccc');
+      await storage.put('avatarsx/4.png', 'dddd');
+
+      const listed = (await storage.list('avatars/')).sort((a, b) => a.key.localeCompare(b.key));
+      assert.deepStrictEqual(listed.map(o => [o.key, o.size]), [
+        ['avatars/1.png', 1],
+        ['avatars/2.png', 2],
+        ['avatars/nested/3.png', 3]
+      ]);
+      assert.deepStrictEqual(await storage.list('nothing-here/'), []);
+
+      const all = (await storage.list()).map(o => o.key);
+      assert.ok(all.includes('avatarsx/4.png') && all.includes('songs/range.mp3'));
+    });
+  });
+};
+
+storageContract('local', async () => {
+  const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tuneforge-storage-'));
+  return {
+    storage: new LocalStorage({ root }),
+    cleanup: () => fs.promises.rm(root, { recursive: true, force: true })
+  };
+});
+
+storageContract('S3 (fake client)', async () => ({
+  storage: new S3Storage({ bucket: 'tuneforge-test', prefix: 'media/', client: new FakeS3Client() }),
+  cleanup: async () => {}
+}));
+
+// Against a real S3-compatible server (e.g. MinIO) when one is configured:
+//   S3_TEST_ENDPOINT=http://localhost:9000 S3_TEST_BUCKET=tuneforge-test \
+//   S3_TEST_ACCESS_KEY_ID=minioadmin S3_TEST_SECRET_ACCESS_KEY=minioadmin npm test
+if (process.env.S3_TEST_ENDPOINT) {
+  storageContract('S3 (endpoint)', async () => {
+    const storage = new S3Storage({
+      bucket: process.env.S3_TEST_BUCKET,
+      endpoint: process.env.S3_TEST_ENDPOINT,
+      region: process.env.S3_TEST_REGION,
+      accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY,
+      // A fresh prefix per run keeps runs apart; everything under it is removed afterwards
+      prefix: `tuneforge-test-${Date.now()}/`
+    });
+    return {
+      storage,
+      cleanup: async () => {
+        for (const object of await storage.list()) {
+          await storage.delete(object.key);
+        }
+      }
+    };
+  });
+}
+
+test('local storage refuses keys outside its root', async () => {
+  const storage = new LocalStorage({ root: path.join(os.tmpdir(), 'tuneforge-unused') });
+
+  await assert.rejects(storage.put('../escape.txt', 'nope'), /Invalid storage key/);
+  assert.throws(() => storage.localPath('covers/../../escape.txt'), /Invalid storage key/);
+});
+
+test('S3 storage keeps its key prefix out of listed keys', async () => {
+  const client = new FakeS3Client();
+  const storage = new S3Storage({ bucket: 'tuneforge-test', prefix: 'media/', client });
+
+  await storage.put('covers/a.jpg', 'a');
+
+  assert.ok(client.bucket('tuneforge-test').has('media/covers/a.jpg'));
+  assert.deepStrictEqual((await storage.list('covers/')).map(o => o.key), ['covers/a.jpg']);
+});
+
+test('artwork prefixes are public and audio is not', () => {
+  ['covers/a.jpg', 'avatars/a.png', 'playlists/a.jpg', 'artists/a.jpg', 'albums/a.jpg', 'genres/a.jpg']
+    .forEach(key => assert.ok(isPublicKey(key), key));
+  ['songs/a.mp3', 'songs/hls/a/high/index.m3u8', 'covers/../songs/a.mp3']
+    .forEach(key => assert.ok(!isPublicKey(key), key));
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  QUALITY_LADDER,
+  getTranscoder,
+  setTranscoder,
+  createRenditions,
+  maxQualityForUser,
+  targetQualityForUser,
+  selectRendition
+} = require('../utils/transcoder');
+
+// Stub transcoder: writes a placeholder file instead of encoding, and records each call
+class StubTranscoder {
+  constructor() {
+    this.calls = [];
+  }
+
+  async transcode(inputPath, outputPath, options) {
+    this.calls.push({ inputPath, outputPath, ...options });
+    await fs.promises.writeFile(outputPath, `${options.quality} ${options.bitrate}`);
+    return { filePath: outputPath, mimeType: 'audio/mpeg' };
+  }
+}
+
+const free = { subscription: { type: 'free', isActive: true } };
+const premium = { subscription: { type: 'premium', isActive: true } };
+const lapsed = { subscription: { type: 'premium', isActive: false } };
+const withQuality = (user, quality) => ({ ...user, preferences: { quality } });
+
+const renditions = [
+  { quality: 'low', bitrate: 96 },
+  { quality: 'medium', bitrate: 160 },
+  { quality: 'high', bitrate: 320 }
+];
+
+test('createRenditions', async (t) => {
+  const original = getTranscoder();
+  const outputDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tuneforge-test-'));
+  const inputPath = path.join(outputDir, 'master.flac');
+  await fs.promises.writeFile(inputPath, 'master');
+
+  let stub;
+  t.beforeEach(() => {
+    stub = new StubTranscoder();
+    setTranscoder(stub);
+  });
+
+  t.after(async () => {
+    setTranscoder(original);
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+  });
+
+  await t.test('produces every ladder step through the installed transcoder', async () => {
+    const result = await createRenditions(inputPath, { outputDir });
+
+    assert.deepStrictEqual(result.map(r => r.quality), ['low', 'medium', 'high']);
+    assert.deepStrictEqual(stub.calls.map(c => c.bitrate), [QUALITY_LADDER.low, QUALITY_LADDER.medium, QUALITY_LADDER.high]);
+    result.forEach(r => {
+      assert.strictEqual(r.filePath, path.join(outputDir, `master-${r.quality}.mp3`).replace(/\\/g, '/'));
+      assert.strictEqual(r.mimeType, 'audio/mpeg');
+      assert.strictEqual(r.fileSize, `${r.quality} ${r.bitrate}`.length);
+    });
+  });
+
+  await t.test('never upscales past the source bitrate', async () => {
+    const result = await createRenditions(inputPath, { outputDir, sourceBitrate: 192 });
+
+    assert.deepStrictEqual(result.map(r => r.quality), ['low', 'medium']);
+    assert.strictEqual(stub.calls.length, 2);
+  });
+
+  await t.test('skips everything for a source below the lowest step', async () => {
+    const result = await createRenditions(inputPath, { outputDir, sourceBitrate: 64 });
+
+    assert.deepStrictEqual(result, []);
+    assert.strictEqual(stub.calls.length, 0);
+  });
+});
+
+test('maxQualityForUser allows high only for active paid subscriptions', () => {
+  assert.strictEqual(maxQualityForUser(null), 'medium');
+  assert.strictEqual(maxQualityForUser(free), 'medium');
+  assert.strictEqual(maxQualityForUser(lapsed), 'medium');
+  assert.strictEqual(maxQualityForUser(premium), 'high');
+  assert.strictEqual(maxQualityForUser({ subscription: { type: 'pro', isActive: true } }), 'high');
+});
+
+test('targetQualityForUser', async (t) => {
+  await t.test('uses the preference, capped by the tier', () => {
+    assert.strictEqual(targetQualityForUser(withQuality(premium, 'high')), 'high');
+    assert.strictEqual(targetQualityForUser(withQuality(free, 'high')), 'medium');
+    assert.strictEqual(targetQualityForUser(withQuality(free, 'low')), 'low');
+  });
+
+  await t.test('defaults to medium without a preference', () => {
+    assert.strictEqual(targetQualityForUser(premium), 'medium');
+    assert.strictEqual(targetQualityForUser(null), 'medium');
+  });
+
+  await t.test('lets a requested quality override the preference, still capped', () => {
+    assert.strictEqual(targetQualityForUser(withQuality(premium, 'low'), 'high'), 'high');
+    assert.strictEqual(targetQualityForUser(withQuality(free, 'low'), 'high'), 'medium');
+    assert.strictEqual(targetQualityForUser(withQuality(premium, 'low'), 'bogus'), 'low');
+  });
+});
+
+test('selectRendition', async (t) => {
+  await t.test('serves the original when there are no renditions', () => {
+    assert.strictEqual(selectRendition({ renditions: [] }, premium), null);
+    assert.strictEqual(selectRendition({}, premium), null);
+  });
+
+  await t.test('picks the rendition for the preference and tier', () => {
+    const song = { renditions };
+    assert.strictEqual(selectRendition(song, withQuality(premium, 'high')).quality, 'high');
+    assert.strictEqual(selectRendition(song, withQuality(free, 'high')).quality, 'medium');
+    assert.strictEqual(selectRendition(song, withQuality(free, 'low')).quality, 'low');
+    assert.strictEqual(selectRendition(song, null).quality, 'medium');
+  });
+
+  await t.test('falls back to the best lower rendition', () => {
+    const song = { renditions: renditions.filter(r => r.quality !== 'medium') };
+    assert.strictEqual(selectRendition(song, withQuality(free, 'high')).quality, 'low');
+  });
+
+  await t.test('falls back to the lowest rendition when only higher ones exist', () => {
+    const song = { renditions: renditions.filter(r => r.quality !== 'low') };
+    assert.strictEqual(selectRendition(song, withQuality(premium, 'low')).quality, 'medium');
+  });
+});
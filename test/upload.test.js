@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const multer = require('multer');
+const { handleUploadError } = require('../middleware/upload');
+const adminRouter = require('../routes/admin');
+
+// Just enough of an Express response to see what the handler sent
+const fakeResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+test('admin upload errors are handled after every admin route', () => {
+  const layers = adminRouter.stack;
+  const handlerIndex = layers.findIndex(layer => layer.handle === handleUploadError);
+
+  assert.strictEqual(handlerIndex, layers.length - 1);
+  assert.ok(layers.some(layer => layer.route && layer.route.path === '/catalog/import'));
+});
+
+test('handleUploadError answers catalog file errors with a 400', () => {
+  const wrongType = fakeResponse();
+  handleUploadError(new Error('Only CSV or JSON files are allowed'), {}, wrongType, assert.fail);
+  assert.strictEqual(wrongType.statusCode, 400);
+  assert.strictEqual(wrongType.body.message, 'Only CSV or JSON files are allowed');
+
+  const tooLarge = fakeResponse();
+  handleUploadError(new multer.MulterError('LIMIT_FILE_SIZE'), {}, tooLarge, assert.fail);
+  assert.strictEqual(tooLarge.statusCode, 400);
+});
+
+test('handleUploadError passes other errors on', () => {
+  const error = new Error('Database unavailable');
+  let passed = null;
+
+  handleUploadError(error, {}, fakeResponse(), err => { passed = err; });
+  assert.strictEqual(passed, error);
+});
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const { UPLOAD_TMP_DIR } = require('../middleware/upload');
+const { AUDIO_MIME_TYPES, getAudioMimeType } = require('./streaming');
+const { extractAudioMetadata } = require('./metadata');
+
+// Extracted archives wait here until the admin commits or cancels the review
+const STAGING_DIR = path.join(UPLOAD_TMP_DIR, 'bulk');
+const STAGING_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Guards against oversized albums and ZIP bombs
+const MAX_TRACKS = 100;
+const MAX_EXTRACTED_SIZE = 2 * 1024 * 1024 * 1024; // 2GB
+
+const BATCH_ID_PATTERN = /^[0-9a-f]{16}$/;
+const COVER_NAME_PATTERN = /^(cover|folder|front|album)\.(jpe?g|png|webp)$/i;
+const IMAGE_MIME_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' };
+
+const batchDir = (batchId) => {
+  if (!BATCH_ID_PATTERN.test(batchId)) {
+    throw new Error('Invalid batch id');
+  }
+  return path.join(STAGING_DIR, batchId);
+};
+
+const openZip = (archivePath) => new Promise((resolve, reject) => {
+  yauzl.open(archivePath, { lazyEntries: true }, (error, zip) => (error ? reject(error) : resolve(zip)));
+});
+
+// Extract the audio files (and a cover.jpg/folder.jpg, if any) from an archive into a directory.
+// Entry names are never used as paths, so "../" tricks in the archive can't escape it.
+const extractArchive = async (archivePath, dir) => {
+  const zip = await openZip(archivePath);
+  const tracks = [];
+  let cover = null;
+  let extractedSize = 0;
+
+  try {
+    await new Promise((resolve, reject) => {
+      zip.on('entry', entry => {
+        const name = path.posix.basename(entry.fileName);
+        const extension = path.extname(name).toLowerCase();
+        const isDirectory = entry.fileName.endsWith('/');
+        const isHidden = name.startsWith('.') || entry.fileName.startsWith('__MACOSX/');
+        const isAudio = Boolean(AUDIO_MIME_TYPES[extension]);
+        const isCover = !cover && COVER_NAME_PATTERN.test(name);
+
+        if (isDirectory || isHidden || (!isAudio && !isCover)) {
+          return zip.readEntry();
+        }
+
+        if (isAudio && tracks.length >= MAX_TRACKS) {
+          return reject(new Error(`Archives can contain at most ${MAX_TRACKS} tracks`));
+        }
+
+        // yauzl errors out if an entry inflates past its declared size, so this total can be trusted
+        extractedSize += entry.uncompressedSize;
+        if (extractedSize > MAX_EXTRACTED_SIZE) {
+          return reject(new Error('Archive is too large once extracted'));
+        }
+
+        const file = isAudio
+          ? `track-${String(tracks.length + 1).padStart(3, '0')}${extension}`
+          : `cover${extension}`;
+
+        zip.openReadStream(entry, (error, stream) => {
+          if (error) return reject(error);
+
+          pipeline(stream, fs.createWriteStream(path.join(dir, file)))
+            .then(() => {
+              if (isAudio) {
+                tracks.push({ file, originalName: entry.fileName, mimetype: getAudioMimeType(file) });
+              } else {
+                cover = { file, mimetype: IMAGE_MIME_TYPES[extension] };
+              }
+              zip.readEntry();
+            })
+            .catch(reject);
+        });
+      });
+
+      zip.on('end', resolve);
+      zip.on('error', reject);
+      zip.readEntry();
+    });
+  } finally {
+    zip.close();
+  }
+
+  return { tracks, cover };
+};
+
+// "03 - Song Name.mp3" -> 3, "Song Name"
+const LEADING_NUMBER_PATTERN = /^(\d+)\s*[-._)]?\s*/;
+
+const trackNumberFromFileName = (fileName) => {
+  const match = path.posix.basename(fileName).match(LEADING_NUMBER_PATTERN);
+  return match ? parseInt(match[1]) || undefined : undefined;
+};
+
+const titleFromFileName = (fileName) => {
+  return path.posix.basename(fileName, path.extname(fileName))
+    .replace(LEADING_NUMBER_PATTERN, '')
+    .replace(/_/g, ' ')
+    .trim();
+};
+
+// Most common non-empty value of a field across tracks
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.filter(value => value !== undefined && value !== null && value !== '')
+    .forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+  let best;
+  let bestCount = 0;
+  counts.forEach((count, value) => {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+// Read each track's tags and work out the album-wide defaults shown on the review screen
+const readTrackTags = async (dir, tracks) => {
+  for (const track of tracks) {
+    const filePath = path.join(dir, track.file);
+    let extracted = {};
+
+    try {
+      extracted = await extractAudioMetadata(filePath, { duration: false });
+      if (!extracted.duration) {
+        extracted = await extractAudioMetadata(filePath);
+      }
+    } catch (metadataError) {
+      console.error(`Metadata extraction error (${track.originalName}):`, metadataError.message);
+    }
+
+    Object.assign(track, {
+      title: extracted.title || titleFromFileName(track.originalName),
+      artist: extracted.artist,
+      album: extracted.album,
+      genre: extracted.genre,
+      releaseYear: extracted.releaseYear,
+      trackNumber: extracted.trackNumber || trackNumberFromFileName(track.originalName),
+      discNumber: extracted.discNumber,
+      duration: extracted.duration
+    });
+  }
+
+  tracks.sort((a, b) => (a.discNumber || 1) - (b.discNumber || 1) ||
+    (a.trackNumber || Infinity) - (b.trackNumber || Infinity) ||
+    a.originalName.localeCompare(b.originalName));
+
+  return {
+    album: mostCommon(tracks.map(track => track.album)),
+    artist: mostCommon(tracks.map(track => track.artist)),
+    genre: mostCommon(tracks.map(track => track.genre)),
+    releaseYear: mostCommon(tracks.map(track => track.releaseYear))
+  };
+};
+
+const writeManifest = (batchId, manifest) => {
+  return fs.promises.writeFile(path.join(batchDir(batchId), 'manifest.json'), JSON.stringify(manifest));
+};
+
+// Unpack an uploaded archive (plus an optional separately uploaded cover) into a new staged batch
+const stageAlbumArchive = async (archivePath, uploadedCover) => {
+  const batchId = crypto.randomBytes(8).toString('hex');
+  const dir = batchDir(batchId);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  try {
+    const { tracks, cover } = await extractArchive(archivePath, dir);
+
+    if (tracks.length === 0) {
+      throw new Error('No audio files found in the archive');
+    }
+
+    let stagedCover = cover;
+    if (uploadedCover) {
+      const file = `cover-upload${path.extname(uploadedCover.originalname).toLowerCase()}`;
+      await fs.promises.copyFile(uploadedCover.path, path.join(dir, file));
+      stagedCover = { file, mimetype: uploadedCover.mimetype };
+    }
+
+    const defaults = await readTrackTags(dir, tracks);
+    const manifest = { batchId, createdAt: new Date().toISOString(), defaults, cover: stagedCover, tracks };
+    await writeManifest(batchId, manifest);
+
+    return manifest;
+  } catch (error) {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+};
+
+const loadBatch = async (batchId) => {
+  try {
+    const manifest = await fs.promises.readFile(path.join(batchDir(batchId), 'manifest.json'), 'utf8');
+    return JSON.parse(manifest);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// Absolute path of a staged file
+const stagedFilePath = (batchId, file) => path.join(batchDir(batchId), path.basename(file));
+
+const removeBatch = (batchId) => fs.promises.rm(batchDir(batchId), { recursive: true, force: true });
+
+// Drop batches nobody committed or cancelled
+const pruneStaleBatches = async () => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(STAGING_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  await Promise.all(entries.filter(entry => BATCH_ID_PATTERN.test(entry)).map(async (entry) => {
+    const stats = await fs.promises.stat(path.join(STAGING_DIR, entry));
+    if (Date.now() - stats.mtimeMs > STAGING_TTL) {
+      await removeBatch(entry);
+    }
+  }));
+};
+
+module.exports = {
+  MAX_TRACKS,
+  BATCH_ID_PATTERN,
+  stageAlbumArchive,
+  loadBatch,
+  stagedFilePath,
+  removeBatch,
+  pruneStaleBatches
+};
@@ -0,0 +1,54 @@
+// Roles an artist can be credited with on a song
+const CREDIT_ROLES = ['primary', 'featured', 'remixer'];
+
+// "Artist feat. Guest", "Artist (ft. Guest)", "Song [featuring Guest]"
+const FEATURING = /\s*[([]?\s*\b(?:feat|ft|featuring)\b\.?\s+([^)\]]+)[)\]]?/i;
+
+// "Song (Somebody Remix)"
+const REMIX = /[([]\s*([^)\]]+?)\s+(?:remix|rmx)\s*[)\]]/i;
+
+// Guest lists are split on commas and "&"; the primary credit never is, so "Simon & Garfunkel" stays whole
+const splitGuests = (text) => text.split(/\s*(?:,|&|\band\b)\s*/i).map(name => name.trim()).filter(Boolean);
+
+// Parse a free-text artist line (and the title, for guests and remixers) into { name, role } credits
+const parseCredits = (artist, title = '') => {
+  const credits = [];
+  const add = (name, role) => {
+    if (name && !credits.some(credit => credit.name.toLowerCase() === name.toLowerCase() && credit.role === role)) {
+      credits.push({ name, role });
+    }
+  };
+
+  const artistMatch = (artist || '').match(FEATURING);
+  const primary = artistMatch ? artist.slice(0, artistMatch.index) : (artist || '');
+  add(primary.trim(), 'primary');
+
+  if (artistMatch) splitGuests(artistMatch[1]).forEach(name => add(name, 'featured'));
+
+  const titleMatch = (title || '').match(FEATURING);
+  if (titleMatch) splitGuests(titleMatch[1]).forEach(name => add(name, 'featured'));
+
+  const remixMatch = (title || '').match(REMIX);
+  if (remixMatch) add(remixMatch[1].trim(), 'remixer');
+
+  return credits;
+};
+
+// Display line for populated credits: "Primary feat. Guest, Guest" (remixers are already in the title)
+const formatCredits = (credits) => {
+  const names = (role) => credits
+    .filter(credit => credit.role === role && credit.artist && credit.artist.name)
+    .map(credit => credit.artist.name);
+
+  const primary = names('primary');
+  const featured = names('featured');
+
+  if (primary.length === 0) return featured.join(', ');
+  return featured.length > 0 ? `${primary.join(', ')} feat. ${featured.join(', ')}` : primary.join(', ');
+};
+
+module.exports = {
+  CREDIT_ROLES,
+  parseCredits,
+  formatCredits
+};
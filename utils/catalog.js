@@ -0,0 +1,346 @@
+const mongoose = require('mongoose');
+const Song = require('../models/Song');
+const Genre = require('../models/Genre');
+const { buildFingerprint } = require('./fingerprint');
+
+// Parsers turn a spreadsheet cell into a value, or throw with a message for the dry run.
+// They get the import context ({ genres: Set of genre slugs }) as a second argument.
+const parseText = (value) => String(value).trim();
+
+const parseInteger = (min, max) => (value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', '1', 'y'].includes(text)) return true;
+  if (['false', 'no', '0', 'n'].includes(text)) return false;
+  throw new Error('must be true or false');
+};
+
+const parseGenre = (value, { genres }) => {
+  const genre = String(value).trim().toLowerCase();
+  if (!genres.has(genre)) {
+    throw new Error(`must be one of ${[...genres].join(', ')}`);
+  }
+  return genre;
+};
+
+const parseTags = (value) => {
+  const tags = Array.isArray(value) ? value : String(value).split(',');
+  return tags.map(tag => String(tag).trim()).filter(Boolean);
+};
+
+const parseIsrc = (value) => {
+  const isrc = String(value).replace(/[-\s]/g, '').toUpperCase();
+  if (!/^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(isrc)) {
+    throw new Error('is not a valid ISRC (e.g. USRC17607839)');
+  }
+  return isrc;
+};
+
+// Columns shared by the CSV and JSON formats, in export order.
+// Columns with a parser can be changed by an import; the rest are exported for reference.
+const CATALOG_COLUMNS = [
+  { name: 'id', path: '_id' },
+  { name: 'title', path: 'title', parse: parseText },
+  { name: 'artist', path: 'artist', parse: parseText },
+  { name: 'album', path: 'album', parse: parseText },
+  { name: 'genre', path: 'genre', parse: parseGenre },
+  { name: 'releaseYear', path: 'releaseYear', parse: parseInteger(1900, new Date().getFullYear() + 1) },
+  { name: 'trackNumber', path: 'trackNumber', parse: parseInteger(1, 999) },
+  { name: 'discNumber', path: 'discNumber', parse: parseInteger(1, 99) },
+  { name: 'duration', path: 'duration' },
+  { name: 'language', path: 'language', parse: parseText },
+  { name: 'explicit', path: 'explicit', parse: parseBoolean },
+  { name: 'isPremium', path: 'isPremium', parse: parseBoolean },
+  { name: 'isActive', path: 'isActive' },
+  { name: 'tags', path: 'tags', parse: parseTags },
+  { name: 'isrc', path: 'metadata.isrc', parse: parseIsrc },
+  { name: 'composer', path: 'metadata.composer', parse: parseText },
+  { name: 'producer', path: 'metadata.producer', parse: parseText },
+  { name: 'label', path: 'metadata.label', parse: parseText },
+  { name: 'copyright', path: 'metadata.copyright', parse: parseText }
+];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Export filters mirror the admin song list; a genre includes its sub-genres
+const buildCatalogQuery = async (filters = {}) => {
+  const query = {};
+
+  if (filters.status) query.isActive = filters.status === 'active';
+  if (filters.genre) query.genre = { $in: await Genre.descendantSlugs(filters.genre) };
+  if (filters.artist) query.artist = filters.artist;
+  if (filters.album) query.album = filters.album;
+  if (filters.premium) query.isPremium = filters.premium === 'true';
+  if (filters.search) query.$text = { $search: filters.search };
+
+  return query;
+};
+
+// Flat rows (one per song) with the catalog columns
+const exportCatalog = async (filters) => {
+  const songs = await Song.find(await buildCatalogQuery(filters))
+    .sort({ artist: 1, album: 1, discNumber: 1, trackNumber: 1, title: 1 })
+    .lean();
+
+  return songs.map(song => {
+    const row = {};
+    CATALOG_COLUMNS.forEach(column => {
+      const value = getPath(song, column.path);
+      if (column.name === 'id') {
+        row.id = value.toString();
+      } else if (Array.isArray(value)) {
+        row[column.name] = value.join(', ');
+      } else {
+        row[column.name] = value === undefined || value === null ? '' : value;
+      }
+    });
+    return row;
+  });
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+  const header = CATALOG_COLUMNS.map(column => column.name);
+  const lines = [header.join(',')];
+  rows.forEach(row => lines.push(header.map(name => escapeCsvCell(row[name])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// RFC 4180 parser: quoted cells may contain commas, quotes ("") and line breaks
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^﻿/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted cell in CSV');
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(cells => cells.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(name => name.trim());
+  return nonEmpty.slice(1).map(cells => {
+    const row = {};
+    header.forEach((name, index) => {
+      // Undo the formula escaping applied on export
+      const value = cells[index] === undefined ? '' : cells[index];
+      row[name] = /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+    });
+    return row;
+  });
+};
+
+// Parse an uploaded file into rows keyed by column name
+const parseCatalogFile = (buffer, fileName) => {
+  const text = buffer.toString('utf8');
+
+  if (/\.json$/i.test(fileName)) {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data.songs;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON import must be an array of songs (or { "songs": [...] })');
+    }
+    return rows;
+  }
+
+  return parseCsv(text);
+};
+
+// Find the song a row refers to: by id (from an export), then ISRC, then title + artist
+const matchRow = async (row) => {
+  if (!isBlank(row.id)) {
+    if (!mongoose.Types.ObjectId.isValid(String(row.id).trim())) {
+      return { error: `Invalid id "${row.id}"` };
+    }
+    const song = await Song.findById(String(row.id).trim());
+    return song ? { song, matchedBy: 'id' } : { error: `No song with id ${row.id}` };
+  }
+
+  if (!isBlank(row.isrc)) {
+    let isrc;
+    try {
+      isrc = parseIsrc(row.isrc);
+    } catch (error) {
+      return { error: `ISRC ${error.message}` };
+    }
+
+    const songs = await Song.find({ 'metadata.isrc': isrc }).limit(2);
+    if (songs.length === 1) return { song: songs[0], matchedBy: 'isrc' };
+    if (songs.length > 1) return { error: `ISRC ${isrc} is used by more than one song` };
+  }
+
+  if (isBlank(row.title) || isBlank(row.artist)) {
+    return { error: 'No matching ISRC, and title and artist are needed to match by name' };
+  }
+
+  const fingerprint = buildFingerprint(String(row.title), String(row.artist));
+  const songs = await Song.find({ 'fingerprint.title': fingerprint.title, 'fingerprint.artist': fingerprint.artist }).limit(2);
+  if (songs.length === 1) return { song: songs[0], matchedBy: 'title/artist' };
+  if (songs.length > 1) return { error: `"${row.title}" by ${row.artist} matches more than one song; add an id or ISRC` };
+
+  return { error: `No song found for "${row.title}" by ${row.artist}` };
+};
+
+const sameValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+  }
+  return (isBlank(a) ? '' : String(a)) === (isBlank(b) ? '' : String(b));
+};
+
+// Work out what an import would change without saving anything.
+// Blank cells leave the current value alone; title and artist only change when matched by id or ISRC.
+const planImport = async (rows) => {
+  const plan = { changes: [], unchanged: 0, errors: [] };
+  const claimed = new Map();
+  const context = { genres: new Set(await Genre.distinct('slug')) };
+
+  for (const [index, row] of rows.entries()) {
+    const line = index + 1;
+    const { song, matchedBy, error } = await matchRow(row);
+
+    if (error) {
+      plan.errors.push({ line, msg: error });
+      continue;
+    }
+
+    const songId = song._id.toString();
+    if (claimed.has(songId)) {
+      plan.errors.push({ line, msg: `Same song as row ${claimed.get(songId)}` });
+      continue;
+    }
+    claimed.set(songId, line);
+
+    const fields = [];
+    const rowErrors = [];
+
+    CATALOG_COLUMNS.forEach(column => {
+      if (!column.parse || isBlank(row[column.name])) return;
+      if (matchedBy === 'title/artist' && (column.name === 'title' || column.name === 'artist')) return;
+
+      let value;
+      try {
+        value = column.parse(row[column.name], context);
+      } catch (parseError) {
+        rowErrors.push(`${column.name} ${parseError.message}`);
+        return;
+      }
+
+      const current = getPath(song, column.path);
+      if (!sameValue(current, value)) {
+        fields.push({ field: column.name, path: column.path, from: current, to: value });
+      }
+    });
+
+    if (rowErrors.length > 0) {
+      plan.errors.push({ line, msg: rowErrors.join('; ') });
+    } else if (fields.length > 0) {
+      plan.changes.push({ line, songId, title: song.title, artist: song.artist, matchedBy, fields });
+    } else {
+      plan.unchanged += 1;
+    }
+  }
+
+  return plan;
+};
+
+// Apply a dry-run plan; each song is saved on its own so one bad row doesn't block the rest
+const applyImport = async (plan) => {
+  const result = { updated: 0, errors: [] };
+  const albums = new Set();
+
+  for (const change of plan.changes) {
+    try {
+      const song = await Song.findById(change.songId);
+      if (!song) {
+        result.errors.push({ line: change.line, msg: 'Song was deleted' });
+        continue;
+      }
+
+      const previousAlbumId = song.albumId;
+      change.fields.forEach(({ path, to }) => song.set(path, to));
+      await song.save();
+      result.updated += 1;
+
+      if (String(previousAlbumId) !== String(song.albumId)) {
+        if (previousAlbumId) albums.add(previousAlbumId.toString());
+        if (song.albumId) albums.add(song.albumId.toString());
+      }
+    } catch (error) {
+      result.errors.push({ line: change.line, msg: error.message });
+    }
+  }
+
+  // Songs that moved between albums change both albums' gain
+  for (const albumId of albums) {
+    await Song.updateAlbumGain(albumId);
+  }
+
+  return result;
+};
+
+module.exports = {
+  CATALOG_COLUMNS,
+  buildCatalogQuery,
+  exportCatalog,
+  toCsv,
+  parseCsv,
+  parseCatalogFile,
+  planImport,
+  applyImport
+};
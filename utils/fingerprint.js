@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Markers that differ between uploads of the same master, e.g. "(Remastered 2011)" or "[Radio Edit]"
+const TITLE_NOISE = /\s*[([][^)\]]*\b(?:remaster(?:ed)?|radio edit|edit|explicit|clean|official|audio|version|mono|stereo|hq|hd)\b[^)\]]*[)\]]/gi;
+const TITLE_SUFFIX = /\s+-\s+.*\b(?:remaster(?:ed)?|radio edit|version|mono|stereo)\b.*$/i;
+const FEATURING = /\s*[([]?\s*\b(?:feat|ft|featuring)\b\.?\s+.*$/i;
+
+// Songs this close in length (seconds) can be the same recording
+const DURATION_TOLERANCE = 3;
+
+// Minimum normalized-title similarity (0-1) for a metadata match
+const TITLE_SIMILARITY_THRESHOLD = 0.85;
+
+// SHA-256 of a file's contents
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Lowercase, strip accents and punctuation, collapse whitespace
+const normalizeText = (value) => (value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const normalizeTitle = (title) => normalizeText(
+  (title || '').replace(TITLE_NOISE, '').replace(TITLE_SUFFIX, '').replace(FEATURING, '')
+);
+
+const normalizeArtist = (artist) => normalizeText((artist || '').replace(FEATURING, '')).replace(/^the /, '');
+
+const buildFingerprint = (title, artist) => ({
+  title: normalizeTitle(title),
+  artist: normalizeArtist(artist)
+});
+
+// Levenshtein distance turned into a 0-1 similarity score
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+module.exports = {
+  DURATION_TOLERANCE,
+  TITLE_SIMILARITY_THRESHOLD,
+  hashFile,
+  normalizeText,
+  normalizeTitle,
+  normalizeArtist,
+  buildFingerprint,
+  similarity
+};
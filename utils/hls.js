@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QUALITY_LADDER, getTranscoder } = require('./transcoder');
+const { getStorage, withLocalFile } = require('./storage');
+
+// Storage key prefix for cached playlists and segments
+const HLS_PREFIX = 'songs/hls';
+const SEGMENT_DURATION = 6; // seconds
+const SEGMENT_PATTERN = /^segment-\d{3,}\.ts$/;
+
+// Segmentation jobs in progress, keyed by cache prefix
+const inFlight = new Map();
+
+// The active transcoder has to know how to segment for HLS to be offered
+const isHlsAvailable = () => typeof getTranscoder().segment === 'function';
+
+const getHlsPrefix = (songId, quality) => `${HLS_PREFIX}/${songId}-${quality}`;
+
+// Segment the stored file locally, then upload segments followed by the playlist
+const generateHls = async (song, quality, prefix) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tuneforge-hls-'));
+
+  try {
+    await withLocalFile(song.filePath, sourcePath => getTranscoder().segment(sourcePath, workDir, {
+      bitrate: QUALITY_LADDER[quality],
+      segmentDuration: SEGMENT_DURATION
+    }));
+
+    const files = await fs.promises.readdir(workDir);
+    const segments = files.filter(file => SEGMENT_PATTERN.test(file));
+
+    for (const segment of segments) {
+      await getStorage().putFile(`${prefix}/${segment}`, path.join(workDir, segment), {
+        contentType: 'video/mp2t'
+      });
+    }
+
+    // The playlist goes last so its presence means the cache is complete
+    await getStorage().putFile(`${prefix}/index.m3u8`, path.join(workDir, 'index.m3u8'), {
+      contentType: 'application/vnd.apple.mpegurl'
+    });
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Generate (once) and return the storage key of the cached playlist for a song at a quality
+const ensureHlsPlaylist = async (song, quality) => {
+  const prefix = getHlsPrefix(song._id, quality);
+  const playlistKey = `${prefix}/index.m3u8`;
+
+  if (await getStorage().stat(playlistKey)) {
+    return playlistKey;
+  }
+
+  if (!inFlight.has(prefix)) {
+    const job = generateHls(song, quality, prefix);
+    inFlight.set(prefix, job);
+    job.finally(() => inFlight.delete(prefix)).catch(() => {});
+  }
+
+  await inFlight.get(prefix);
+  return playlistKey;
+};
+
+// Storage key of a segment, rejecting anything that isn't a segment name
+const getSegmentKey = (songId, quality, segmentName) => {
+  if (!SEGMENT_PATTERN.test(segmentName)) return null;
+  return `${getHlsPrefix(songId, quality)}/${segmentName}`;
+};
+
+// Drop every cached HLS rendition of a song
+const removeHlsCache = async (songId) => {
+  const objects = await getStorage().list(`${HLS_PREFIX}/${songId}-`);
+  await Promise.all(objects.map(object => getStorage().delete(object.key)));
+};
+
+module.exports = {
+  HLS_PREFIX,
+  SEGMENT_DURATION,
+  isHlsAvailable,
+  getHlsPrefix,
+  ensureHlsPlaylist,
+  getSegmentKey,
+  removeHlsCache
+};
@@ -0,0 +1,95 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+// How often an idle worker checks for new jobs
+const POLL_INTERVAL = parseInt(process.env.WORKER_POLL_INTERVAL) || 2000; // ms
+
+// Job type -> { run(payload, job), onFailed(payload, error, job) }
+const handlers = new Map();
+
+// Register what runs jobs of a type; onFailed is called once retries are exhausted
+const registerHandler = (type, run, options = {}) => {
+  handlers.set(type, { run, onFailed: options.onFailed });
+};
+
+const enqueue = (type, payload, options) => Job.enqueue(type, payload, options);
+
+// Run a claimed job and record the outcome on it
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  if (!handler) {
+    job.attempts = job.maxAttempts;
+    await job.fail(new Error(`No handler registered for job type "${job.type}"`));
+    return;
+  }
+
+  try {
+    const result = await handler.run(job.payload, job);
+    await job.complete(result);
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) attempt ${job.attempts} failed:`, error.message);
+    await job.fail(error);
+
+    if (job.status === 'failed' && handler.onFailed) {
+      try {
+        await handler.onFailed(job.payload, error, job);
+      } catch (hookError) {
+        console.error(`Job ${job._id} failure hook error:`, hookError.message);
+      }
+    }
+  }
+};
+
+// Process jobs one at a time until stop() is called
+const startWorker = (options = {}) => {
+  const workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+  const pollInterval = options.pollInterval || POLL_INTERVAL;
+  let stopped = false;
+  let timer = null;
+  let wake = null;
+
+  const sleep = () => new Promise(resolve => {
+    wake = resolve;
+    timer = setTimeout(resolve, pollInterval);
+  });
+
+  const loop = (async () => {
+    while (!stopped) {
+      let job = null;
+
+      try {
+        job = await Job.claimNext(workerId, [...handlers.keys()]);
+        if (job) {
+          await runJob(job);
+        }
+      } catch (error) {
+        console.error('Worker error:', error);
+      }
+
+      // Drain the queue without waiting; only sleep when there was nothing to do
+      if (!job && !stopped) {
+        await sleep();
+      }
+    }
+  })();
+
+  return {
+    workerId,
+    // Resolves once the job in progress (if any) has finished
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (wake) wake();
+      await loop;
+    }
+  };
+};
+
+module.exports = {
+  POLL_INTERVAL,
+  registerHandler,
+  enqueue,
+  runJob,
+  startWorker
+};
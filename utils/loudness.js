@@ -0,0 +1,58 @@
+const { getTranscoder } = require('./transcoder');
+
+// ReplayGain 2.0 reference level; gains bring tracks to this integrated loudness
+const REFERENCE_LOUDNESS = -18; // LUFS
+
+// The active transcoder has to be able to measure loudness for gains to be computed
+const isLoudnessAvailable = () => typeof getTranscoder().analyzeLoudness === 'function';
+
+const round = (value, places = 2) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+const dbToLinear = (db) => Math.pow(10, db / 20);
+
+// Measure a local file and derive its track gain (dB) and peak (linear amplitude)
+const analyzeTrack = async (inputPath) => {
+  const { integrated, truePeak, range } = await getTranscoder().analyzeLoudness(inputPath);
+
+  // Digital silence has no meaningful loudness
+  if (!Number.isFinite(integrated)) return null;
+
+  return {
+    integrated: round(integrated),
+    truePeak: round(truePeak),
+    range: Number.isFinite(range) ? round(range) : undefined,
+    trackGain: round(REFERENCE_LOUDNESS - integrated),
+    trackPeak: round(dbToLinear(truePeak), 4)
+  };
+};
+
+// Album loudness is the energy average of its tracks, weighted by duration
+const albumGainFor = (tracks) => {
+  const measured = tracks.filter(track => track.loudness && Number.isFinite(track.loudness.integrated));
+  if (measured.length === 0) return null;
+
+  const totalDuration = measured.reduce((total, track) => total + (track.duration || 1), 0);
+  const energy = measured.reduce((total, track) => {
+    return total + Math.pow(10, track.loudness.integrated / 10) * (track.duration || 1);
+  }, 0) / totalDuration;
+
+  const integrated = 10 * Math.log10(energy);
+
+  return {
+    albumGain: round(REFERENCE_LOUDNESS - integrated),
+    albumPeak: Math.max(...measured.map(track => track.loudness.trackPeak || 0))
+  };
+};
+
+// Normalization is on unless the user turned it off (guests always get it)
+const normalizeVolumeForUser = (user) => {
+  return !(user && user.preferences && user.preferences.normalizeVolume === false);
+};
+
+module.exports = {
+  REFERENCE_LOUDNESS,
+  isLoudnessAvailable,
+  analyzeTrack,
+  albumGainFor,
+  normalizeVolumeForUser
+};
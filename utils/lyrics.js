@@ -0,0 +1,328 @@
+// LRC lyrics: "[mm:ss.xx]line" with optional enhanced word timing "<mm:ss.xx>word"
+
+// [01:23.45], [01:23.456], [01:23:45] (some editors use a colon), [01:23]
+const LINE_TIMESTAMP = /^\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/;
+const WORD_TIMESTAMP = /<(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+const METADATA_TAG = /^\[(ti|ar|al|au|by|re|ve|length|offset|la|#):(.*)\]$/i;
+
+const MAX_LINES = 2000;
+
+const toSeconds = (minutes, seconds, fraction = '') => {
+  const fractionSeconds = fraction ? Number(fraction) / Math.pow(10, fraction.length) : 0;
+  return Number(minutes) * 60 + Number(seconds) + fractionSeconds;
+};
+
+// 83.456 -> "01:23.45" (LRC uses hundredths)
+const formatTimestamp = (time) => {
+  const hundredths = Math.round(Math.max(time, 0) * 100);
+  const minutes = Math.floor(hundredths / 6000);
+  const seconds = Math.floor((hundredths % 6000) / 100);
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(hundredths % 100).padStart(2, '0')}`;
+};
+
+// Split "<00:12.00>Hello <00:12.50>world" into timed words
+const parseWords = (text, lineTime) => {
+  const words = [];
+  const matches = [...text.matchAll(WORD_TIMESTAMP)];
+  if (matches.length === 0) return null;
+
+  // Text before the first word timestamp starts with the line
+  const leading = text.slice(0, matches[0].index);
+  if (leading.trim()) words.push({ time: lineTime, text: leading });
+
+  matches.forEach((match, index) => {
+    const end = index + 1 < matches.length ? matches[index + 1].index : text.length;
+    const wordText = text.slice(match.index + match[0].length, end);
+    // A trailing timestamp with no text marks when the last word ends
+    if (wordText || index + 1 < matches.length) {
+      words.push({ time: toSeconds(match[1], match[2], match[3]), text: wordText });
+    } else {
+      words.endTime = toSeconds(match[1], match[2], match[3]);
+    }
+  });
+
+  return words;
+};
+
+// Parse LRC text into metadata and time-ordered lines. Problems are collected rather than thrown
+// so the editor can show them all; { duration } flags timestamps past the end of the track.
+const parseLrc = (text, options = {}) => {
+  const metadata = {};
+  const entries = [];
+  const errors = [];
+
+  String(text || '').replace(/^﻿/, '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+    if (!line) return;
+
+    const tag = line.match(METADATA_TAG);
+    if (tag) {
+      metadata[tag[1].toLowerCase()] = tag[2].trim();
+      return;
+    }
+
+    // Leading timestamps; a line may repeat for several times ("[00:12.00][01:40.00]Chorus")
+    const times = [];
+    let rest = line;
+    let match;
+    while ((match = rest.match(LINE_TIMESTAMP))) {
+      if (Number(match[2]) >= 60) {
+        errors.push({ line: lineNumber, msg: `Invalid timestamp ${match[0]} (seconds must be below 60)` });
+      }
+      times.push(toSeconds(match[1], match[2], match[3]));
+      rest = rest.slice(match[0].length);
+    }
+
+    if (times.length === 0) {
+      errors.push({ line: lineNumber, msg: `Missing [mm:ss.xx] timestamp: "${line.slice(0, 40)}"` });
+      return;
+    }
+
+    times.forEach(time => {
+      const words = parseWords(rest, time);
+      const entry = {
+        time,
+        text: (words ? words.map(word => word.text).join('') : rest).replace(/\s+/g, ' ').trim()
+      };
+
+      if (words) {
+        entry.words = words.map(word => ({ time: word.time, text: word.text }));
+        if (words.endTime !== undefined) entry.endTime = words.endTime;
+
+        if (words.some((word, wordIndex) => wordIndex > 0 && word.time < words[wordIndex - 1].time)) {
+          errors.push({ line: lineNumber, msg: 'Word timestamps must not go backwards' });
+        }
+        if (words.length > 0 && words[0].time < time) {
+          errors.push({ line: lineNumber, msg: 'The first word starts before its line' });
+        }
+      }
+
+      entries.push({ ...entry, sourceLine: lineNumber });
+    });
+  });
+
+  // [offset:+500] shifts every timestamp (positive values make lyrics appear sooner)
+  const offset = metadata.offset ? Number(metadata.offset) / 1000 : 0;
+  if (Number.isNaN(offset)) {
+    errors.push({ line: 0, msg: `Invalid [offset:${metadata.offset}] (milliseconds expected)` });
+  } else if (offset) {
+    entries.forEach(entry => {
+      entry.time = Math.max(entry.time - offset, 0);
+      if (entry.endTime !== undefined) entry.endTime = Math.max(entry.endTime - offset, 0);
+      if (entry.words) entry.words.forEach(word => { word.time = Math.max(word.time - offset, 0); });
+    });
+  }
+
+  entries.sort((a, b) => a.time - b.time);
+
+  if (entries.length > MAX_LINES) {
+    errors.push({ line: 0, msg: `Too many lines (at most ${MAX_LINES})` });
+  }
+  if (options.duration) {
+    const late = entries.find(entry => entry.time > options.duration + 1);
+    if (late) {
+      errors.push({ line: late.sourceLine, msg: `Timestamp ${formatTimestamp(late.time)} is after the end of the track (${formatTimestamp(options.duration)})` });
+    }
+  }
+
+  const lines = entries.map(({ sourceLine, ...entry }) => entry);
+  return {
+    metadata,
+    lines,
+    enhanced: lines.some(line => line.words),
+    errors
+  };
+};
+
+// 'enhanced-lrc', 'lrc' or 'plain' for a lyrics text
+const detectLyricsFormat = (text) => {
+  const firstLines = String(text || '').split(/\r\n|\r|\n/).map(line => line.trim()).filter(Boolean).slice(0, 50);
+  if (!firstLines.some(line => LINE_TIMESTAMP.test(line))) return 'plain';
+  return firstLines.some(line => line.match(WORD_TIMESTAMP)) ? 'enhanced-lrc' : 'lrc';
+};
+
+// Plain text of parsed lines, e.g. for search and the non-synced lyrics view
+const lrcToPlainText = (lines) => lines.map(line => line.text).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+
+// Lines of a lyrics version for side-by-side display; LRC timestamps are dropped
+const lyricLines = (text) => {
+  const plain = detectLyricsFormat(text) === 'plain' ? String(text || '') : lrcToPlainText(parseLrc(text).lines);
+  return plain.replace(/\r\n|\r/g, '\n').trim().split('\n').map(line => line.trim());
+};
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'code' });
+
+// Canonical BCP 47 tag ("pt-br" -> "pt-BR", "ja-latn" -> "ja-Latn"), or null when it isn't one
+const normalizeLanguageTag = (tag) => {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(String(tag || '').trim());
+    return canonical && /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/.test(canonical) ? canonical : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// "es" -> "Spanish", "ja-Latn" -> "Japanese (Latin)"
+const languageName = (tag) => {
+  try {
+    return languageNames.of(tag);
+  } catch (error) {
+    return tag;
+  }
+};
+
+// Search snippets: how much lyrics text to show either side of the match
+const SNIPPET_RADIUS = 60;
+
+// Lower-case, accent-free copy of a text, with the position in the original of each character,
+// so matches found in the folded text can be highlighted in the original
+const foldWithMap = (text) => {
+  let folded = '';
+  const positions = [];
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index].normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    for (let i = 0; i < char.length; i++) positions.push(index);
+    folded += char;
+  }
+  positions.push(text.length);
+  return { folded, positions };
+};
+
+const fold = (text) => foldWithMap(text).folded;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a search the way MongoDB's $text does: "quoted phrases" must all appear, other words are
+// alternatives ("-word" excludes and is ignored here)
+const parseSearchQuery = (query) => {
+  const text = String(query || '');
+  const phrases = [...text.matchAll(/"([^"]+)"/g)].map(match => match[1].trim()).filter(Boolean);
+  const terms = text.replace(/"[^"]*"?/g, ' ').split(/\s+/).filter(term => term && !term.startsWith('-'));
+  return { phrases, terms };
+};
+
+// Patterns for the folded text. Phrases may run over line breaks and punctuation; a word also matches
+// its other endings ("loving" finds "love"), roughly as the stemmed text index does. Words shorter than
+// three letters ("me", "oh") only match on their own.
+const searchPatterns = ({ phrases, terms }) => ({
+  phrases: phrases.map(phrase => new RegExp(fold(phrase).split(/[^\p{L}\p{N}']+/u).filter(Boolean)
+    .map(escapeRegex).join("[^\\p{L}\\p{N}']+"), 'gu')),
+  terms: terms
+    .map(term => fold(term).replace(/[^\p{L}\p{N}']/gu, ''))
+    .filter(Boolean)
+    .map(term => {
+      if (term.length < 3) return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(term)}(?![\\p{L}\\p{N}])`, 'gu');
+      const stem = term.replace(/(?:ing|ed|es|s|e)$/, '');
+      return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(stem.length >= 3 ? stem : term)}[\\p{L}\\p{N}']*`, 'gu');
+    })
+});
+
+const findAll = (pattern, text) => [...text.matchAll(pattern)]
+  .filter(match => match[0])
+  .map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+// A short extract of the lyrics around the best match: { text, highlights: [{ start, length }] }.
+// Lines are joined with " / ". Returns null when the lyrics don't contain the search (e.g. the song
+// matched on its title), or when a quoted phrase is missing.
+const buildLyricsSnippet = (lyrics, query, options = {}) => {
+  const radius = options.radius || SNIPPET_RADIUS;
+  const flat = String(lyrics || '').split(/\r\n|\r|\n/).map(line => line.trim()).filter(Boolean).join(' / ');
+  if (!flat) return null;
+
+  const { folded, positions } = foldWithMap(flat);
+  const patterns = searchPatterns(parseSearchQuery(query));
+
+  const phraseMatches = patterns.phrases.map(pattern => findAll(pattern, folded));
+  if (phraseMatches.some(matches => matches.length === 0)) return null;
+  const termMatches = patterns.terms.map(pattern => findAll(pattern, folded));
+
+  const matches = [...phraseMatches.flat(), ...termMatches.flat()].sort((a, b) => a.start - b.start);
+  if (matches.length === 0) return null;
+
+  // Centre on a phrase if there is one, otherwise where the most different words are close together
+  const distinctNear = (match) => termMatches
+    .filter(termMatch => termMatch.some(other => Math.abs(other.start - match.start) <= radius))
+    .length;
+  const anchor = phraseMatches.length > 0
+    ? phraseMatches[0][0]
+    : matches.reduce((best, match) => (distinctNear(match) > distinctNear(best) ? match : best));
+
+  const anchorStart = positions[anchor.start];
+  const anchorEnd = positions[anchor.end];
+  let start = Math.max(anchorStart - radius, 0);
+  let end = Math.min(anchorEnd + radius, flat.length);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = flat.indexOf(' ', start);
+    start = space === -1 || space >= anchorStart ? start : space + 1;
+  }
+  if (end < flat.length) {
+    const space = flat.lastIndexOf(' ', end);
+    end = space <= anchorEnd ? end : space;
+  }
+
+  const prefix = start > 0 ? '… ' : '';
+  const highlights = [];
+  matches.forEach(match => {
+    const matchStart = positions[match.start];
+    const matchEnd = positions[match.end];
+    const previous = highlights[highlights.length - 1];
+    if (matchStart < start || matchEnd > end) return;
+    if (previous && matchStart < previous.end) {
+      previous.end = Math.max(previous.end, matchEnd);
+    } else {
+      highlights.push({ start: matchStart, end: matchEnd });
+    }
+  });
+
+  return {
+    text: `${prefix}${flat.slice(start, end)}${end < flat.length ? ' …' : ''}`,
+    highlights: highlights.map(highlight => ({
+      start: highlight.start - start + prefix.length,
+      length: highlight.end - highlight.start
+    }))
+  };
+};
+
+// The first lines of the lyrics, without highlights, for a match buildLyricsSnippet can't place
+const openingSnippet = (lyrics, options = {}) => {
+  const length = (options.radius || SNIPPET_RADIUS) * 2;
+  const flat = String(lyrics || '').split(/\r\n|\r|\n/).map(line => line.trim()).filter(Boolean).join(' / ');
+  if (flat.length <= length) return { text: flat, highlights: [] };
+
+  const space = flat.lastIndexOf(' ', length);
+  return { text: `${flat.slice(0, space > 0 ? space : length)} …`, highlights: [] };
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// The snippet as HTML with the matches in <mark>
+const snippetToHtml = (snippet) => {
+  let html = '';
+  let position = 0;
+  snippet.highlights.forEach(({ start, length }) => {
+    html += `${escapeHtml(snippet.text.slice(position, start))}<mark>${escapeHtml(snippet.text.slice(start, start + length))}</mark>`;
+    position = start + length;
+  });
+  return html + escapeHtml(snippet.text.slice(position));
+};
+
+module.exports = {
+  formatTimestamp,
+  parseLrc,
+  detectLyricsFormat,
+  lrcToPlainText,
+  lyricLines,
+  normalizeLanguageTag,
+  languageName,
+  parseSearchQuery,
+  buildLyricsSnippet,
+  openingSnippet,
+  snippetToHtml
+};
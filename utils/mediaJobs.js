@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Song = require('../models/Song');
+const { registerHandler, enqueue } = require('./jobQueue');
+const { getStorage, withLocalFile } = require('./storage');
+const { extractAudioMetadata, saveEmbeddedCover } = require('./metadata');
+const { createRenditions, qualityForBitrate } = require('./transcoder');
+const { isWaveformAvailable, getWaveformKey, storeWaveform } = require('./waveform');
+const { isLoudnessAvailable, analyzeTrack } = require('./loudness');
+
+const PROCESS_SONG = 'song.process';
+
+const DEFAULT_COVER = '/images/default-album-cover.png';
+
+// Transcode renditions into a scratch directory and move them into storage under stable keys,
+// so a retried job overwrites its earlier output instead of leaving orphans behind
+const storeRenditions = async (song, sourcePath, sourceBitrate) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tuneforge-renditions-'));
+  const baseName = path.basename(song.filePath, path.extname(song.filePath));
+
+  try {
+    const renditions = await createRenditions(sourcePath, { sourceBitrate, outputDir: workDir });
+
+    for (const rendition of renditions) {
+      const key = `songs/renditions/${baseName}-${rendition.quality}${path.extname(rendition.filePath)}`;
+      await getStorage().putFile(key, rendition.filePath, { contentType: rendition.mimeType });
+      rendition.filePath = key;
+    }
+
+    return renditions;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Fill in stream info, cover, renditions, waveform and loudness from the stored file
+const processSongFile = (song) => {
+  return withLocalFile(song.filePath, async (sourcePath) => {
+    // The upload only reads headers; a full scan gives exact stream info
+    let extracted = {};
+    try {
+      extracted = await extractAudioMetadata(sourcePath);
+    } catch (metadataError) {
+      console.error('Metadata extraction error:', metadataError.message);
+    }
+
+    if (extracted.bitrate) song.bitrate = extracted.bitrate;
+    if (extracted.sampleRate) song.sampleRate = extracted.sampleRate;
+    song.quality = qualityForBitrate(song.bitrate);
+
+    if (song.coverArt === DEFAULT_COVER && extracted.picture) {
+      song.coverArt = await saveEmbeddedCover(extracted.picture);
+    }
+
+    song.renditions = await storeRenditions(song, sourcePath, song.bitrate);
+
+    if (isWaveformAvailable()) {
+      song.waveformPath = await storeWaveform(sourcePath, getWaveformKey(song.filePath));
+    }
+
+    if (isLoudnessAvailable()) {
+      song.loudness = await analyzeTrack(sourcePath) || undefined;
+    }
+  });
+};
+
+// Everything too slow for the upload request: full metadata scan, renditions, waveform, loudness
+const processSong = async ({ songId }) => {
+  const song = await Song.findById(songId);
+  if (!song) {
+    return { skipped: 'Song no longer exists' };
+  }
+
+  song.processingStatus = 'processing';
+  await song.save();
+
+  try {
+    await processSongFile(song);
+  } catch (error) {
+    // Back to pending while the queue retries; markSongFailed runs after the last attempt
+    await Song.updateOne({ _id: song._id }, { processingStatus: 'pending', processingError: error.message });
+    throw error;
+  }
+
+  song.processingStatus = 'ready';
+  song.processingError = undefined;
+  await song.save();
+
+  if (song.loudness && song.albumId) {
+    await Song.updateAlbumGain(song.albumId);
+  }
+
+  return { renditions: song.renditions.length };
+};
+
+// Songs stay playable from the original file; the admin sees why processing stopped
+const markSongFailed = async ({ songId }, error) => {
+  await Song.updateOne({ _id: songId }, {
+    processingStatus: 'failed',
+    processingError: error.message
+  });
+};
+
+registerHandler(PROCESS_SONG, processSong, { onFailed: markSongFailed });
+
+// Queue processing for a freshly saved song
+const enqueueSongProcessing = (song) => enqueue(PROCESS_SONG, { songId: song._id.toString() });
+
+module.exports = {
+  PROCESS_SONG,
+  processSong,
+  enqueueSongProcessing
+};
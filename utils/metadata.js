@@ -0,0 +1,53 @@
+const mm = require('music-metadata');
+const Genre = require('../models/Genre');
+const { getStorage, publicUrl } = require('./storage');
+
+const COVER_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+// Map a free-text genre tag (e.g. "Hip Hop", "Rock/Pop") onto a genre slug, by name or alias
+const normalizeGenre = (genreTag) => Genre.matchTag(genreTag);
+
+// Parse ID3v2, Vorbis comments, MP4 atoms and FLAC STREAMINFO from an audio file.
+// Pass { duration: false } to read headers only; MP3 durations are then estimated.
+const extractAudioMetadata = async (filePath, options = {}) => {
+  const { common, format } = await mm.parseFile(filePath, { duration: options.duration !== false });
+  const cover = mm.selectCover(common.picture);
+
+  return {
+    title: common.title,
+    artist: common.artist || (common.artists && common.artists[0]),
+    album: common.album,
+    releaseYear: common.year >= 1900 ? common.year : undefined,
+    genre: await normalizeGenre(common.genre && common.genre[0]),
+    trackNumber: common.track && common.track.no ? common.track.no : undefined,
+    discNumber: common.disk && common.disk.no ? common.disk.no : undefined,
+    duration: format.duration ? Math.round(format.duration) : undefined,
+    bitrate: format.bitrate ? Math.round(format.bitrate / 1000) : undefined, // kbps
+    sampleRate: format.sampleRate,
+    picture: cover ? { data: cover.data, format: cover.format } : null
+  };
+};
+
+// Store embedded cover art alongside the uploaded covers and return its public URL
+const saveEmbeddedCover = async (picture) => {
+  if (!picture || !picture.data) return null;
+
+  const extension = COVER_EXTENSIONS[picture.format] || '.jpg';
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const key = `covers/coverArt-${uniqueSuffix}${extension}`;
+
+  await getStorage().put(key, Buffer.from(picture.data), { contentType: picture.format });
+  return publicUrl(key);
+};
+
+module.exports = {
+  normalizeGenre,
+  extractAudioMetadata,
+  saveEmbeddedCover
+};
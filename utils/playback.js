@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+const TOKEN_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const MAX_TOKENS_PER_SESSION = 25;
+
+// A listen counts as a play after 30 seconds or half the track, whichever comes first
+const MIN_LISTEN_SECONDS = 30;
+const MIN_LISTEN_RATIO = 0.5;
+
+// Drop expired tokens and cap how many are kept in the session
+const pruneTokens = (tokens) => {
+  const now = Date.now();
+  const entries = Object.entries(tokens)
+    .filter(([, entry]) => now - entry.issuedAt < TOKEN_TTL)
+    .sort((a, b) => b[1].issuedAt - a[1].issuedAt)
+    .slice(0, MAX_TOKENS_PER_SESSION);
+
+  return Object.fromEntries(entries);
+};
+
+// Hand out a nonce identifying one playback of a song in this session
+const issuePlaybackToken = (session, songId) => {
+  const token = crypto.randomBytes(16).toString('hex');
+  const tokens = pruneTokens(session.playbackTokens || {});
+
+  tokens[token] = {
+    song: songId.toString(),
+    issuedAt: Date.now(),
+    counted: false
+  };
+
+  session.playbackTokens = tokens;
+  return token;
+};
+
+// Look up a playback token issued for the given song
+const getPlaybackToken = (session, token, songId) => {
+  if (!session || !session.playbackTokens || !token) return null;
+
+  const entry = session.playbackTokens[token];
+  if (!entry || entry.song !== songId.toString()) return null;
+  if (Date.now() - entry.issuedAt >= TOKEN_TTL) return null;
+
+  return entry;
+};
+
+// Mark the token's play as counted; returns false if it was already counted
+const consumePlaybackToken = (session, token, songId) => {
+  const entry = getPlaybackToken(session, token, songId);
+  if (!entry || entry.counted) return false;
+
+  entry.counted = true;
+  return true;
+};
+
+// Apply the qualified-listen rule to a reported listen
+const isQualifiedListen = (listenedSeconds, songDuration) => {
+  if (!listenedSeconds || listenedSeconds <= 0) return false;
+  if (listenedSeconds >= MIN_LISTEN_SECONDS) return true;
+
+  return songDuration > 0 && listenedSeconds / songDuration >= MIN_LISTEN_RATIO;
+};
+
+module.exports = {
+  MIN_LISTEN_SECONDS,
+  MIN_LISTEN_RATIO,
+  isQualifiedListen,
+  issuePlaybackToken,
+  getPlaybackToken,
+  consumePlaybackToken
+};
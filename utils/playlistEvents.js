@@ -0,0 +1,9 @@
+const { EventEmitter } = require('events');
+
+// Playlist changes within this process, for listeners such as the live playlist channel (utils/playlistSync):
+//   'change'  (playlist, { action, actor, revisionId }) after a change recorded in the history is saved
+//   'access'  (playlist) after someone may have lost access to it (a collaborator removed)
+//   'deleted' (playlistId) after a playlist is deleted
+const playlistEvents = new EventEmitter();
+
+module.exports = playlistEvents;
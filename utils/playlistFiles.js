@@ -0,0 +1,384 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const Song = require('../models/Song');
+const {
+  DURATION_TOLERANCE,
+  normalizeTitle,
+  normalizeArtist,
+  buildFingerprint,
+  similarity
+} = require('./fingerprint');
+
+const PLAYLIST_FORMATS = {
+  m3u8: { extension: 'm3u8', contentType: 'audio/x-mpegurl; charset=utf-8' },
+  xspf: { extension: 'xspf', contentType: 'application/xspf+xml; charset=utf-8' },
+  pls: { extension: 'pls', contentType: 'audio/x-scpls; charset=utf-8' }
+};
+
+const MAX_ENTRIES = 1000;
+
+// Scores (0-1) that decide how an imported entry is matched
+const MATCH_THRESHOLD = 0.9; // at or above: matched, unless another song is about as close
+const CANDIDATE_THRESHOLD = 0.6; // below: not offered at all
+const AMBIGUITY_MARGIN = 0.05;
+const MAX_CANDIDATES = 5;
+
+// Weight of each part of the score; parts missing from the entry are left out
+const MATCH_WEIGHTS = { title: 0.55, artist: 0.3, duration: 0.15 };
+
+// Lengths further apart than this (beyond the tolerance) don't count towards a match
+const DURATION_FALLOFF = 30;
+
+const entryLabel = (entry) => (entry.artist ? `${entry.artist} - ${entry.title}` : entry.title);
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const decodeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// Lines of a playlist file; M3U8 is UTF-8, plain M3U and PLS are often Latin-1
+const decodeText = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch (error) {
+    return buffer.toString('latin1');
+  }
+};
+
+// "Artist - Title" from an EXTINF / PLS title, or from a file name when there is no title
+const splitLabel = (label) => {
+  const match = label.match(/^(.+?)\s+[-–]\s+(.+)$/);
+  return match ? { artist: match[1].trim(), title: match[2].trim() } : { artist: '', title: label.trim() };
+};
+
+const titleFromLocation = (location) => {
+  let name = location;
+  try {
+    name = decodeURIComponent(location.split(/[?#]/)[0]);
+  } catch (error) {
+    // Keep the raw location
+  }
+  name = name.split(/[\\/]/).pop();
+  return name.replace(/\.[a-z0-9]{1,5}$/i, '').replace(/^\d{1,3}[\s.\-_]+/, '').replace(/_/g, ' ');
+};
+
+const toDuration = (value) => {
+  const duration = Math.round(Number(value));
+  return Number.isFinite(duration) && duration > 0 ? duration : null;
+};
+
+const entryFrom = ({ label, location, duration, title, artist, album }) => {
+  const parsed = title ? { title, artist: artist || '' } : splitLabel(label || titleFromLocation(location || ''));
+  return {
+    title: parsed.title,
+    artist: parsed.artist,
+    album: album || '',
+    duration: toDuration(duration),
+    location: location || ''
+  };
+};
+
+const parseM3u = (text) => {
+  const playlist = { name: '', entries: [] };
+  let info = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+      if (extinf) {
+        info = { duration: extinf[1], label: extinf[2].trim() };
+      } else if (/^#PLAYLIST:/i.test(line)) {
+        playlist.name = line.slice('#PLAYLIST:'.length).trim();
+      } else if (/^#EXTALB:/i.test(line) && info) {
+        info.album = line.slice('#EXTALB:'.length).trim();
+      }
+      return;
+    }
+
+    playlist.entries.push(entryFrom({ ...(info || {}), location: line }));
+    info = null;
+  });
+
+  return playlist;
+};
+
+const parsePls = (text) => {
+  const playlist = { name: '', entries: [] };
+  const tracks = new Map();
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const match = rawLine.trim().match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+    if (match) {
+      const number = parseInt(match[2], 10);
+      if (!tracks.has(number)) tracks.set(number, {});
+      tracks.get(number)[match[1].toLowerCase()] = match[3].trim();
+    } else if (/^X-GNOME-Title\s*=/i.test(rawLine.trim())) {
+      playlist.name = rawLine.split('=').slice(1).join('=').trim();
+    }
+  });
+
+  [...tracks.keys()].sort((a, b) => a - b).forEach(number => {
+    const track = tracks.get(number);
+    if (!track.file) return;
+    playlist.entries.push(entryFrom({ label: track.title, location: track.file, duration: track.length }));
+  });
+
+  return playlist;
+};
+
+const xmlElement = (xml, name) => {
+  const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+  return match ? decodeXml(match[1]) : '';
+};
+
+const parseXspf = (text) => {
+  if (!/<playlist[\s>]/i.test(text)) {
+    throw new Error('not an XSPF playlist');
+  }
+
+  const trackList = text.match(/<trackList>([\s\S]*?)<\/trackList>/i);
+  const head = trackList ? text.slice(0, trackList.index) : text;
+  const playlist = { name: xmlElement(head, 'title'), entries: [] };
+
+  (trackList ? trackList[1].match(/<track(?:\s[^>]*)?>[\s\S]*?<\/track>/gi) || [] : []).forEach(track => {
+    const duration = xmlElement(track, 'duration');
+    playlist.entries.push(entryFrom({
+      title: xmlElement(track, 'title'),
+      artist: xmlElement(track, 'creator'),
+      album: xmlElement(track, 'album'),
+      duration: duration ? Number(duration) / 1000 : null,
+      location: xmlElement(track, 'location')
+    }));
+  });
+
+  return playlist;
+};
+
+// Parse an uploaded playlist file into { name, entries: [{ title, artist, album, duration, location }] }
+const parsePlaylistFile = (buffer, fileName) => {
+  const text = decodeText(buffer);
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  let playlist;
+  if (extension === '.xspf' || /^\s*<\?xml|^\s*<playlist/i.test(text)) {
+    playlist = parseXspf(text);
+  } else if (extension === '.pls' || /^\s*\[playlist\]/i.test(text)) {
+    playlist = parsePls(text);
+  } else {
+    playlist = parseM3u(text);
+  }
+
+  playlist.entries = playlist.entries.filter(entry => entry.title);
+  if (playlist.entries.length === 0) {
+    throw new Error('no tracks found');
+  }
+  if (playlist.entries.length > MAX_ENTRIES) {
+    throw new Error(`playlists can have at most ${MAX_ENTRIES} tracks`);
+  }
+
+  playlist.name = playlist.name || path.basename(fileName || 'Imported playlist', extension);
+  return playlist;
+};
+
+// Song id from a TuneForge URL (a stream URL or song page from one of our exports)
+const songIdFromLocation = (location) => {
+  const match = (location || '').match(/\/songs\/([0-9a-f]{24})(?:\/stream)?(?:[/?#]|$)/i);
+  return match && mongoose.Types.ObjectId.isValid(match[1]) ? match[1] : null;
+};
+
+// 0-1 score for how well a song fits an imported entry
+const scoreCandidate = (entry, song) => {
+  const fingerprint = song.fingerprint && song.fingerprint.title ? song.fingerprint : buildFingerprint(song.title, song.artist);
+  const parts = [['title', similarity(normalizeTitle(entry.title), fingerprint.title)]];
+
+  if (entry.artist) {
+    parts.push(['artist', similarity(normalizeArtist(entry.artist), fingerprint.artist)]);
+  }
+  if (entry.duration && song.duration) {
+    const off = Math.max(Math.abs(entry.duration - song.duration) - DURATION_TOLERANCE, 0);
+    parts.push(['duration', Math.max(1 - off / DURATION_FALLOFF, 0)]);
+  }
+
+  const weight = parts.reduce((total, [name]) => total + MATCH_WEIGHTS[name], 0);
+  return parts.reduce((total, [name, score]) => total + MATCH_WEIGHTS[name] * score, 0) / weight;
+};
+
+const candidateSummary = (song, score) => ({
+  songId: song._id.toString(),
+  title: song.title,
+  artist: song.artist,
+  duration: song.duration,
+  isPremium: song.isPremium,
+  score: Math.round(score * 100) / 100
+});
+
+// Songs worth scoring for an entry: same normalized title or artist, plus a text search for looser spellings
+const findCandidates = async (entry) => {
+  const title = normalizeTitle(entry.title);
+  const artist = normalizeArtist(entry.artist);
+  const select = 'title artist duration isPremium fingerprint';
+
+  const byFingerprint = Song.find({
+    isActive: true,
+    $or: artist
+      ? [{ 'fingerprint.title': title }, { 'fingerprint.artist': artist }]
+      : [{ 'fingerprint.title': title }]
+  }).select(select).limit(200);
+
+  const byText = Song.find(
+    { isActive: true, $text: { $search: `${entry.title} ${entry.artist}`.trim() } },
+    { score: { $meta: 'textScore' } }
+  ).sort({ score: { $meta: 'textScore' } }).select(select).limit(10);
+
+  const songs = new Map();
+  (await Promise.all([byFingerprint, byText])).flat().forEach(song => songs.set(song._id.toString(), song));
+  return [...songs.values()];
+};
+
+// Match one entry: "matched" (one clear song), "ambiguous" (pick from candidates) or "missing"
+const matchEntry = async (entry) => {
+  const linkedId = songIdFromLocation(entry.location);
+  if (linkedId) {
+    const song = await Song.findOne({ _id: linkedId, isActive: true }).select('title artist duration isPremium');
+    if (song) {
+      return { status: 'matched', matchedBy: 'link', candidates: [candidateSummary(song, 1)] };
+    }
+  }
+
+  const candidates = (await findCandidates(entry))
+    .map(song => ({ song, score: scoreCandidate(entry, song) }))
+    .filter(({ score }) => score >= CANDIDATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+
+  if (candidates.length === 0) {
+    return { status: 'missing', candidates: [] };
+  }
+
+  const [best, runnerUp] = candidates;
+  const clear = best.score >= MATCH_THRESHOLD && (!runnerUp || best.score - runnerUp.score > AMBIGUITY_MARGIN);
+
+  return {
+    status: clear ? 'matched' : 'ambiguous',
+    matchedBy: clear ? 'metadata' : undefined,
+    candidates: (clear ? [best] : candidates).map(({ song, score }) => candidateSummary(song, score))
+  };
+};
+
+// Match every entry of a parsed playlist against the catalog without saving anything
+const planPlaylistImport = async (playlist) => {
+  const entries = [];
+  for (const [index, entry] of playlist.entries.entries()) {
+    entries.push({
+      line: index + 1,
+      title: entry.title,
+      artist: entry.artist,
+      duration: entry.duration,
+      ...(await matchEntry(entry))
+    });
+  }
+
+  const count = (status) => entries.filter(entry => entry.status === status).length;
+  return {
+    name: playlist.name.slice(0, 100),
+    entries,
+    matched: count('matched'),
+    ambiguous: count('ambiguous'),
+    missing: count('missing')
+  };
+};
+
+// Songs chosen on the review page, in playlist order. Only songs offered for an entry are accepted,
+// so the form can't add anything the preview didn't show; repeats are dropped.
+const resolveSelections = (plan, selections = []) => {
+  const songIds = [];
+
+  plan.entries.forEach((entry, index) => {
+    const chosen = selections[index];
+    if (!chosen || !entry.candidates.some(candidate => candidate.songId === chosen)) return;
+    if (!songIds.includes(chosen)) songIds.push(chosen);
+  });
+
+  return songIds;
+};
+
+const formatM3u8 = (name, tracks) => [
+  '#EXTM3U',
+  `#PLAYLIST:${name}`,
+  ...tracks.flatMap(track => [
+    `#EXTINF:${Math.round(track.duration) || -1},${entryLabel(track)}`,
+    ...(track.album ? [`#EXTALB:${track.album}`] : []),
+    track.url
+  ]),
+  ''
+].join('\n');
+
+const formatXspf = (name, tracks) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+  `  <title>${escapeXml(name)}</title>`,
+  '  <trackList>',
+  ...tracks.map(track => [
+    '    <track>',
+    `      <location>${escapeXml(track.url)}</location>`,
+    `      <title>${escapeXml(track.title)}</title>`,
+    track.artist ? `      <creator>${escapeXml(track.artist)}</creator>` : null,
+    track.album ? `      <album>${escapeXml(track.album)}</album>` : null,
+    track.duration ? `      <duration>${Math.round(track.duration * 1000)}</duration>` : null,
+    `      <info>${escapeXml(track.pageUrl)}</info>`,
+    '    </track>'
+  ].filter(Boolean).join('\n')),
+  '  </trackList>',
+  '</playlist>',
+  ''
+].join('\n');
+
+const formatPls = (name, tracks) => [
+  '[playlist]',
+  `X-GNOME-Title=${name}`,
+  ...tracks.flatMap((track, index) => [
+    `File${index + 1}=${track.url}`,
+    `Title${index + 1}=${entryLabel(track)}`,
+    `Length${index + 1}=${Math.round(track.duration) || -1}`
+  ]),
+  `NumberOfEntries=${tracks.length}`,
+  'Version=2',
+  ''
+].join('\n');
+
+// Playlist file text; tracks are { title, artist, album, duration, url, pageUrl }
+const formatPlaylistFile = (format, name, tracks) => {
+  switch (format) {
+    case 'xspf':
+      return formatXspf(name, tracks);
+    case 'pls':
+      return formatPls(name, tracks);
+    default:
+      return formatM3u8(name, tracks);
+  }
+};
+
+module.exports = {
+  PLAYLIST_FORMATS,
+  MAX_ENTRIES,
+  parsePlaylistFile,
+  planPlaylistImport,
+  resolveSelections,
+  formatPlaylistFile
+};
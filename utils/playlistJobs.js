@@ -0,0 +1,39 @@
+const Job = require('../models/Job');
+const Playlist = require('../models/Playlist');
+const { registerHandler, enqueue } = require('./jobQueue');
+
+const REFRESH_SMART = 'playlists.refreshSmart';
+
+const SMART_REFRESH_INTERVAL = (parseInt(process.env.SMART_PLAYLIST_REFRESH_MINUTES) || 60) * 60 * 1000;
+
+// Queue the next scheduled refresh
+const scheduleNext = () => enqueue(REFRESH_SMART, {}, {
+  runAt: new Date(Date.now() + SMART_REFRESH_INTERVAL),
+  maxAttempts: 3
+});
+
+// Re-run the rules of smart playlists nobody has viewed since the last run, then schedule the next run
+const refreshSmartPlaylists = async () => {
+  const refreshed = await Playlist.refreshStaleSmart(SMART_REFRESH_INTERVAL);
+  await scheduleNext();
+  return { refreshed };
+};
+
+registerHandler(REFRESH_SMART, refreshSmartPlaylists, {
+  // Keep the schedule going after a run that used up its attempts
+  onFailed: () => scheduleNext()
+});
+
+// Start the schedule unless a run is already queued (called when a worker starts)
+const ensureSmartRefreshScheduled = async () => {
+  const queued = await Job.exists({ type: REFRESH_SMART, status: { $in: ['pending', 'running'] } });
+  if (!queued) {
+    await enqueue(REFRESH_SMART, {}, { maxAttempts: 3 });
+  }
+};
+
+module.exports = {
+  REFRESH_SMART,
+  refreshSmartPlaylists,
+  ensureSmartRefreshScheduled
+};
@@ -0,0 +1,333 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const mongoose = require('mongoose');
+const Playlist = require('../models/Playlist');
+const Song = require('../models/Song');
+const User = require('../models/User');
+const playlistEvents = require('./playlistEvents');
+
+// Live playlist channel: ws(s)://<host>/playlists/<id>/live
+//
+// Server -> client:
+//   { type: 'state', playlist: { name, ..., songs } } on connecting, so a reconnect catches up
+//   { type: 'presence', viewers: [{ id, username, avatar }], guests }
+//   { type: 'change', action, actor: { id, username }, revisionId, playlist: { name, ..., songs } }
+//   { type: 'deleted' }
+//   { type: 'ack', requestId } / { type: 'error', requestId, error }
+// Client -> server (editors only, not for smart playlists):
+//   { type: 'add', songId, requestId }
+//   { type: 'remove', songId, requestId }
+//   { type: 'move', songId, after, before, requestId } (see Playlist#moveSong)
+//
+// Rooms live in this process, so with several web processes each one only sees its own viewers and edits.
+// Smart playlists refreshed elsewhere (the worker's scheduled refreshes, or another web process) are
+// picked up by polling their smart.lastEvaluatedAt, so those changes arrive within SMART_REFRESH_POLL_INTERVAL.
+const LIVE_PATH = /^\/playlists\/([a-f0-9]{24})\/live$/i;
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const SMART_REFRESH_POLL_INTERVAL = 30 * 1000;
+const MAX_MESSAGE_SIZE = 16 * 1024;
+
+// playlist id -> sockets watching it
+const rooms = new Map();
+
+// playlist id -> smart.lastEvaluatedAt its viewers last got songs for (smart playlists with a room only)
+const smartEvaluatedAt = new Map();
+
+// Refuse an upgrade with a plain HTTP response
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+};
+
+// Browsers send the page's Origin when opening a WebSocket, and the session cookie goes along whichever
+// site the page is on, so only the app's own pages may connect. Clients that send no Origin aren't browsers.
+const isSameOrigin = req => {
+  const { origin, host } = req.headers;
+  if (!origin) return true;
+
+  try {
+    return new URL(origin).host === host;
+  } catch (error) {
+    return false;
+  }
+};
+
+const send = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+const broadcast = (playlistId, message) => {
+  const room = rooms.get(playlistId);
+  if (room) room.forEach(ws => send(ws, message));
+};
+
+// Who is viewing: each signed-in user once, however many tabs they have open, plus a count of guests
+const broadcastPresence = playlistId => {
+  const room = rooms.get(playlistId);
+  if (!room) return;
+
+  const viewers = new Map();
+  let guests = 0;
+  room.forEach(ws => {
+    if (ws.user) viewers.set(ws.user.id, ws.user);
+    else guests += 1;
+  });
+
+  broadcast(playlistId, { type: 'presence', viewers: [...viewers.values()], guests });
+};
+
+const joinRoom = (playlistId, ws) => {
+  if (!rooms.has(playlistId)) rooms.set(playlistId, new Set());
+  rooms.get(playlistId).add(ws);
+  broadcastPresence(playlistId);
+};
+
+const leaveRoom = (playlistId, ws) => {
+  const room = rooms.get(playlistId);
+  if (!room) return;
+
+  room.delete(ws);
+  if (room.size === 0) {
+    rooms.delete(playlistId);
+    smartEvaluatedAt.delete(playlistId);
+  } else {
+    broadcastPresence(playlistId);
+  }
+};
+
+// Disconnect viewers who can't see the playlist any more (made private, or removed as a collaborator)
+const closeWithoutAccess = playlist => {
+  const room = rooms.get(playlist._id.toString());
+  if (!room) return;
+
+  room.forEach(ws => {
+    if (!playlist.canView(ws.user && ws.user.id)) ws.close(4003, 'Forbidden');
+  });
+};
+
+// Remember which refresh of a smart playlist its viewers have, so the poll doesn't announce it again
+const markEvaluated = playlist => {
+  const playlistId = playlist._id.toString();
+  if (!playlist.isSmart || !rooms.has(playlistId)) return;
+
+  // Never evaluated counts as the oldest refresh, so the first one is still announced
+  const evaluatedAt = playlist.smart.lastEvaluatedAt || new Date(0);
+  const known = smartEvaluatedAt.get(playlistId);
+  if (!known || known < evaluatedAt) smartEvaluatedAt.set(playlistId, evaluatedAt);
+};
+
+// The playlist as viewers render it, songs in order
+const playlistState = async playlist => {
+  const ids = playlist.songs.map(s => s.song);
+  const songs = new Map((await Song.find({ _id: { $in: ids } })
+    .select('title artist duration coverArt isPremium'))
+    .map(song => [song._id.toString(), song]));
+
+  return {
+    name: playlist.name,
+    description: playlist.description,
+    isPublic: playlist.isPublic,
+    isCollaborative: playlist.isCollaborative,
+    duration: playlist.duration,
+    songs: [...playlist.songs]
+      .sort((a, b) => a.order - b.order)
+      .filter(s => songs.has(s.song.toString()))
+      .map(s => {
+        const song = songs.get(s.song.toString());
+        return {
+          id: song._id,
+          title: song.title,
+          artist: song.artist,
+          duration: song.duration,
+          coverArt: song.coverArt,
+          isPremium: song.isPremium,
+          addedAt: s.addedAt
+        };
+      })
+  };
+};
+
+// Send a change to everyone viewing the playlist
+const announceChange = async (playlist, { action, actor, revisionId }) => {
+  const playlistId = playlist._id.toString();
+  if (!rooms.has(playlistId)) return;
+
+  markEvaluated(playlist);
+  closeWithoutAccess(playlist);
+
+  try {
+    const [state, actorUser] = await Promise.all([
+      playlistState(playlist),
+      actor ? User.findById(actor).select('username') : null
+    ]);
+
+    broadcast(playlistId, {
+      type: 'change',
+      action,
+      actor: actorUser ? { id: actorUser._id, username: actorUser.username } : null,
+      revisionId,
+      playlist: state
+    });
+  } catch (error) {
+    console.error('Live playlist broadcast error:', error);
+  }
+};
+
+// Announce smart playlists with viewers here that were refreshed by another process since they were last sent
+const pollSmartRefreshes = async () => {
+  if (rooms.size === 0) return;
+
+  const evaluated = await Playlist.find({ _id: { $in: [...rooms.keys()] }, type: 'smart' })
+    .select('smart.lastEvaluatedAt');
+
+  const stale = evaluated.filter(playlist => {
+    const known = smartEvaluatedAt.get(playlist._id.toString());
+    return known && playlist.smart.lastEvaluatedAt > known;
+  });
+  if (stale.length === 0) return;
+
+  const playlists = await Playlist.find({ _id: { $in: stale.map(playlist => playlist._id) } });
+  await Promise.all(playlists.map(playlist => announceChange(playlist, { action: 'refresh', actor: null, revisionId: null })));
+};
+
+// Apply an edit sent over the socket, with the same checks as the HTTP routes
+const applyEdit = async (ws, message) => {
+  if (!ws.user) throw new Error('Please log in to edit this playlist');
+  if (!message.songId || !mongoose.isValidObjectId(message.songId)) throw new Error('Song is required');
+
+  const playlist = await Playlist.findById(ws.playlistId);
+  if (!playlist) throw new Error('Playlist not found');
+  if (!playlist.canEdit(ws.user.id)) throw new Error('You do not have permission to edit this playlist');
+  if (playlist.isSmart) throw new Error('Smart playlist songs come from its rules and cannot be edited by hand');
+
+  switch (message.type) {
+    case 'add':
+      if (!(await Song.exists({ _id: message.songId }))) throw new Error('Song not found');
+      return playlist.addSong(message.songId, ws.user.id);
+    case 'remove':
+      return playlist.removeSong(message.songId, ws.user.id);
+    case 'move':
+      return playlist.moveSong(message.songId, { after: message.after, before: message.before }, ws.user.id);
+    default:
+      throw new Error('Unknown message type');
+  }
+};
+
+const handleMessage = async (ws, data) => {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    return send(ws, { type: 'error', error: 'Invalid message' });
+  }
+
+  // Valid JSON isn't necessarily an object: null, numbers, strings and arrays are refused too
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return send(ws, { type: 'error', error: 'Invalid message' });
+  }
+
+  try {
+    await applyEdit(ws, message);
+    send(ws, { type: 'ack', requestId: message.requestId });
+  } catch (error) {
+    console.error('Live playlist edit error:', error);
+    send(ws, { type: 'error', requestId: message && message.requestId, error: error.message || 'Error editing playlist' });
+  }
+};
+
+// Attach the live playlist channel to the HTTP server; sessionMiddleware is the app's express-session
+// middleware, so sockets are authenticated with the same cookie as pages
+const attachPlaylistSync = (server, sessionMiddleware) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+
+  server.on('upgrade', (req, socket, head) => {
+    const match = LIVE_PATH.exec(new URL(req.url, 'http://localhost').pathname);
+    if (!match) return rejectUpgrade(socket, 404, 'Not Found');
+    if (!isSameOrigin(req)) return rejectUpgrade(socket, 403, 'Forbidden');
+
+    sessionMiddleware(req, {}, async () => {
+      try {
+        const playlist = await Playlist.findById(match[1]);
+        if (!playlist) return rejectUpgrade(socket, 404, 'Not Found');
+
+        const sessionUser = req.session && req.session.user;
+        if (!playlist.canView(sessionUser && sessionUser.id)) {
+          return sessionUser ? rejectUpgrade(socket, 403, 'Forbidden') : rejectUpgrade(socket, 401, 'Unauthorized');
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => {
+          ws.playlistId = playlist._id.toString();
+          ws.user = sessionUser
+            ? { id: sessionUser.id.toString(), username: sessionUser.username, avatar: sessionUser.avatar }
+            : null;
+          wss.emit('connection', ws);
+        });
+      } catch (error) {
+        console.error('Live playlist connection error:', error);
+        rejectUpgrade(socket, 500, 'Internal Server Error');
+      }
+    });
+  });
+
+  wss.on('connection', ws => {
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', data => {
+      handleMessage(ws, data.toString())
+        .catch(error => console.error('Live playlist message error:', error));
+    });
+    ws.on('close', () => leaveRoom(ws.playlistId, ws));
+    ws.on('error', error => console.error('Live playlist socket error:', error));
+
+    joinRoom(ws.playlistId, ws);
+
+    Playlist.findById(ws.playlistId)
+      .then(playlist => {
+        if (!playlist) return null;
+        markEvaluated(playlist);
+        return playlistState(playlist);
+      })
+      .then(state => state && send(ws, { type: 'state', playlist: state }))
+      .catch(error => console.error('Live playlist state error:', error));
+  });
+
+  // Drop connections that stopped answering pings so presence stays accurate
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  // 'change' events only reach this process; refreshes run by the worker are found by polling
+  let polling = false;
+  const smartRefreshPoll = setInterval(() => {
+    if (polling) return;
+    polling = true;
+    pollSmartRefreshes()
+      .catch(error => console.error('Live playlist refresh poll error:', error))
+      .finally(() => { polling = false; });
+  }, SMART_REFRESH_POLL_INTERVAL);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(smartRefreshPoll);
+  });
+
+  playlistEvents.on('change', announceChange);
+
+  playlistEvents.on('access', closeWithoutAccess);
+
+  playlistEvents.on('deleted', playlistId => {
+    broadcast(playlistId, { type: 'deleted' });
+    (rooms.get(playlistId) || []).forEach(ws => ws.close(1000, 'Playlist deleted'));
+  });
+
+  return wss;
+};
+
+module.exports = {
+  attachPlaylistSync
+};
@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_RULES = 20;
+const MAX_LIMIT = 500;
+
+// Song fields a smart playlist rule can test, with the operators each one takes.
+// "liked" is relative to the playlist owner, so "liked by me" stays the owner's likes for every viewer.
+const SMART_FIELDS = {
+  genre: { label: 'Genre', type: 'genre', operators: ['in', 'notIn'] },
+  artist: { label: 'Artist', type: 'text', operators: ['is', 'isNot', 'contains'] },
+  album: { label: 'Album', type: 'text', operators: ['is', 'isNot', 'contains'] },
+  releaseYear: { label: 'Release year', type: 'number', operators: ['is', 'between', 'gte', 'lte'] },
+  bpm: { label: 'BPM', type: 'number', operators: ['between', 'gte', 'lte'] },
+  duration: { label: 'Length (seconds)', type: 'number', operators: ['between', 'gte', 'lte'] },
+  mood: { label: 'Mood', type: 'enum', operators: ['in', 'notIn'] },
+  tags: { label: 'Tags', type: 'list', operators: ['hasAny', 'hasAll', 'hasNone'] },
+  language: { label: 'Language', type: 'text', operators: ['is', 'isNot'] },
+  explicit: { label: 'Explicit', type: 'boolean', operators: ['is'] },
+  playCount: { label: 'Play count', type: 'number', operators: ['gt', 'lt', 'between'] },
+  liked: { label: 'Liked by me', type: 'boolean', operators: ['is'], path: 'likes' },
+  addedAt: { label: 'Added', type: 'days', operators: ['inLastDays', 'notInLastDays'], path: 'createdAt' }
+};
+
+const OPERATOR_LABELS = {
+  in: 'is any of',
+  notIn: 'is none of',
+  is: 'is',
+  isNot: 'is not',
+  contains: 'contains',
+  between: 'is between',
+  gt: 'is more than',
+  gte: 'is at least',
+  lt: 'is less than',
+  lte: 'is at most',
+  hasAny: 'include any of',
+  hasAll: 'include all of',
+  hasNone: 'include none of',
+  inLastDays: 'within the last',
+  notInLastDays: 'before the last'
+};
+
+// Sort orders; "random" draws a new sample on every refresh
+const SMART_SORTS = {
+  random: { label: 'Random' },
+  mostPlayed: { label: 'Most played', sort: { playCount: -1, title: 1 } },
+  leastPlayed: { label: 'Least played', sort: { playCount: 1, title: 1 } },
+  recentlyAdded: { label: 'Recently added', sort: { createdAt: -1 } },
+  newestRelease: { label: 'Newest releases', sort: { releaseYear: -1, title: 1 } },
+  oldestRelease: { label: 'Oldest releases', sort: { releaseYear: 1, title: 1 } },
+  title: { label: 'Title', sort: { title: 1 } },
+  artist: { label: 'Artist', sort: { artist: 1, album: 1, discNumber: 1, trackNumber: 1 } }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toList = (value) => (Array.isArray(value) ? value : String(value == null ? '' : value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const toNumber = (value, label) => {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(number)) {
+    throw new Error(`${label} needs a number`);
+  }
+  return number;
+};
+
+const toBoolean = (value) => value === true || value === 'true' || value === 'yes' || value === '1' || value === 1;
+
+// Check a rule from a form or the API and coerce its value to the type the field needs.
+// Throws with a message naming the field.
+const normalizeRule = (rule) => {
+  const field = SMART_FIELDS[rule && rule.field];
+  if (!field) {
+    throw new Error(`Unknown rule field "${rule && rule.field}"`);
+  }
+  if (!field.operators.includes(rule.operator)) {
+    throw new Error(`${field.label} can't use "${rule.operator}"`);
+  }
+
+  let value;
+  if (rule.operator === 'between') {
+    const range = Array.isArray(rule.value) ? rule.value : [rule.value && rule.value.min, rule.value && rule.value.max];
+    value = [toNumber(range[0], field.label), toNumber(range[1], field.label)].sort((a, b) => a - b);
+  } else if (field.type === 'number') {
+    value = toNumber(rule.value, field.label);
+  } else if (field.type === 'days') {
+    value = toNumber(rule.value, field.label);
+    if (!Number.isInteger(value) || value < 1) throw new Error(`${field.label} needs a whole number of days`);
+  } else if (field.type === 'boolean') {
+    value = toBoolean(rule.value);
+  } else if (['genre', 'enum', 'list'].includes(field.type)) {
+    value = toList(rule.value);
+    if (field.type !== 'list') value = value.map(item => item.toLowerCase());
+    if (value.length === 0) throw new Error(`${field.label} needs at least one value`);
+  } else {
+    value = String(rule.value == null ? '' : rule.value).trim();
+    if (!value) throw new Error(`${field.label} needs a value`);
+  }
+
+  if (field.type === 'enum') {
+    const allowed = mongoose.model('Song').schema.path(rule.field).enumValues;
+    const unknown = value.filter(item => !allowed.includes(item));
+    if (unknown.length > 0) throw new Error(`${field.label} must be one of ${allowed.join(', ')}`);
+  }
+
+  return { field: rule.field, operator: rule.operator, value };
+};
+
+// Check a whole rule list. A group ({ match, rules }) may hold plain rules, one level deep.
+const normalizeRules = (rules) => {
+  if (!Array.isArray(rules)) throw new Error('Rules must be a list');
+
+  let count = 0;
+  const normalized = rules.map(rule => {
+    if (rule && Array.isArray(rule.rules)) {
+      if (rule.rules.length === 0) throw new Error('A rule group needs at least one rule');
+      count += rule.rules.length;
+      return {
+        match: rule.match === 'any' ? 'any' : 'all',
+        rules: rule.rules.map(child => {
+          if (child && Array.isArray(child.rules)) throw new Error('Rule groups cannot be nested');
+          return normalizeRule(child);
+        })
+      };
+    }
+    count += 1;
+    return normalizeRule(rule);
+  });
+
+  if (count > MAX_RULES) throw new Error(`A smart playlist can have at most ${MAX_RULES} rules`);
+  return normalized;
+};
+
+// MongoDB condition for one (normalized) rule
+const compileRule = async (rule, context) => {
+  const field = SMART_FIELDS[rule.field];
+  const path = field.path || rule.field;
+  const { value } = rule;
+
+  switch (rule.operator) {
+    case 'in':
+    case 'notIn': {
+      // A genre includes its sub-genres
+      let values = value;
+      if (field.type === 'genre') {
+        const Genre = mongoose.model('Genre');
+        values = [...new Set((await Promise.all(value.map(slug => Genre.descendantSlugs(slug)))).flat())];
+      }
+      return { [path]: rule.operator === 'in' ? { $in: values } : { $nin: values } };
+    }
+    case 'is':
+      if (field.type === 'boolean') {
+        const expected = path === 'likes' ? context.owner : true;
+        return { [path]: value ? expected : { $ne: expected } };
+      }
+      if (field.type === 'number') return { [path]: value };
+      return { [path]: new RegExp(`^${escapeRegex(value)}$`, 'i') };
+    case 'isNot':
+      return { [path]: { $not: new RegExp(`^${escapeRegex(value)}$`, 'i') } };
+    case 'contains':
+      return { [path]: new RegExp(escapeRegex(value), 'i') };
+    case 'between':
+      return { [path]: { $gte: value[0], $lte: value[1] } };
+    case 'gt':
+      return { [path]: { $gt: value } };
+    case 'gte':
+      return { [path]: { $gte: value } };
+    case 'lt':
+      return { [path]: { $lt: value } };
+    case 'lte':
+      return { [path]: { $lte: value } };
+    case 'hasAny':
+      return { [path]: { $in: value } };
+    case 'hasAll':
+      return { [path]: { $all: value } };
+    case 'hasNone':
+      return { [path]: { $nin: value } };
+    case 'inLastDays':
+      return { [path]: { $gte: new Date(context.now - value * DAY) } };
+    case 'notInLastDays':
+      return { [path]: { $lt: new Date(context.now - value * DAY) } };
+    default:
+      throw new Error(`Unknown operator "${rule.operator}"`);
+  }
+};
+
+const combine = (match, conditions) => {
+  if (conditions.length === 0) return {};
+  if (conditions.length === 1) return conditions[0];
+  return { [match === 'any' ? '$or' : '$and']: conditions };
+};
+
+// Song query for a playlist's smart settings ({ match, rules }); owner is the user "liked by me" means
+const buildSmartQuery = async (smart, owner) => {
+  const context = { owner, now: Date.now() };
+  const conditions = await Promise.all(smart.rules.map(async rule => {
+    if (Array.isArray(rule.rules)) {
+      return combine(rule.match, await Promise.all(rule.rules.map(child => compileRule(child, context))));
+    }
+    return compileRule(rule, context);
+  }));
+
+  const query = combine(smart.match, conditions);
+  return Object.keys(query).length > 0 ? { isActive: true, $and: [query] } : { isActive: true };
+};
+
+// Ids of the songs a smart playlist holds right now, in its sort order
+const evaluateSmartPlaylist = async (playlist) => {
+  const Song = mongoose.model('Song');
+  const smart = playlist.smart;
+  const query = await buildSmartQuery(smart, playlist.createdBy);
+  const limit = Math.min(smart.limit || 50, MAX_LIMIT);
+
+  if (!SMART_SORTS[smart.sort] || smart.sort === 'random') {
+    const sample = await Song.aggregate([
+      { $match: query },
+      { $sample: { size: limit } },
+      { $project: { _id: 1 } }
+    ]);
+    return sample.map(song => song._id);
+  }
+
+  const songs = await Song.find(query)
+    .sort(SMART_SORTS[smart.sort].sort)
+    .limit(limit)
+    .select('_id')
+    .lean();
+  return songs.map(song => song._id);
+};
+
+// Short description of a rule for the playlist page, e.g. "Release year is between 1980 and 1989"
+const describeRule = (rule) => {
+  if (Array.isArray(rule.rules)) {
+    return `(${rule.rules.map(describeRule).join(rule.match === 'any' ? ' or ' : ' and ')})`;
+  }
+
+  const field = SMART_FIELDS[rule.field];
+  if (!field) return '';
+
+  let value = rule.value;
+  if (rule.operator === 'between') value = `${rule.value[0]} and ${rule.value[1]}`;
+  else if (Array.isArray(rule.value)) value = rule.value.join(', ');
+  else if (field.type === 'boolean') return rule.value ? field.label : `Not ${field.label.toLowerCase()}`;
+  else if (field.type === 'days') value = `${rule.value} days`;
+
+  return `${field.label} ${OPERATOR_LABELS[rule.operator]} ${value}`;
+};
+
+module.exports = {
+  SMART_FIELDS,
+  SMART_SORTS,
+  OPERATOR_LABELS,
+  MAX_RULES,
+  MAX_LIMIT,
+  normalizeRules,
+  buildSmartQuery,
+  evaluateSmartPlaylist,
+  describeRule
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('./local');
+const S3Storage = require('./s3');
+
+// Key prefixes that may be served publicly through /media (audio never is)
+const PUBLIC_PREFIXES = ['covers/', 'avatars/', 'playlists/', 'artists/', 'albums/', 'genres/'];
+
+const createDefaultStorage = () => {
+  if (process.env.STORAGE_DRIVER === 's3') {
+    return new S3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX
+    });
+  }
+  return new LocalStorage({ root: process.env.STORAGE_ROOT || './storage' });
+};
+
+let storage = createDefaultStorage();
+
+// Swap the storage backend (anything with put/putFile/get/stream/delete/stat/list)
+const setStorage = (implementation) => {
+  storage = implementation;
+};
+
+const getStorage = () => storage;
+
+// URL a public object is served from
+const publicUrl = (key) => `/media/${key}`;
+
+// Storage key behind a /media URL, or null for anything else (e.g. default images)
+const keyFromUrl = (url) => {
+  if (!url || !url.startsWith('/media/')) return null;
+  return url.slice('/media/'.length);
+};
+
+// Dot segments are rejected so a public prefix can't be used to reach private keys
+const isPublicKey = (key) => !key.split('/').includes('..') &&
+  PUBLIC_PREFIXES.some(prefix => key.startsWith(prefix));
+
+// Run fn with a local file path for the object, downloading it first if the backend is remote
+const withLocalFile = async (key, fn) => {
+  if (typeof storage.localPath === 'function') {
+    return fn(storage.localPath(key));
+  }
+
+  const tempPath = path.join(os.tmpdir(), `tuneforge-${Date.now()}-${path.basename(key)}`);
+  const body = await storage.stream(key);
+
+  try {
+    await new Promise((resolve, reject) => {
+      body.pipe(fs.createWriteStream(tempPath))
+        .on('finish', resolve)
+        .on('error', reject);
+    });
+    return await fn(tempPath);
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+};
+
+module.exports = {
+  LocalStorage,
+  S3Storage,
+  PUBLIC_PREFIXES,
+  setStorage,
+  getStorage,
+  publicUrl,
+  keyFromUrl,
+  isPublicKey,
+  withLocalFile
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Stores objects as files under a root directory; keys are relative paths
+class LocalStorage {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || './storage');
+  }
+
+  // Map a key to a file path, refusing keys that escape the root
+  localPath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      await fs.promises.writeFile(filePath, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(filePath));
+    }
+
+    return key;
+  }
+
+  async putFile(key, sourcePath) {
+    const filePath = this.localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(sourcePath, filePath);
+    return key;
+  }
+
+  get(key) {
+    return fs.promises.readFile(this.localPath(key));
+  }
+
+  // Readable stream of the object, optionally limited to an inclusive byte range
+  async stream(key, range = {}) {
+    const filePath = this.localPath(key);
+
+    // Surface ENOENT before handing back a stream
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath, range);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.localPath(key), { force: true });
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.localPath(key));
+      if (!stats.isFile()) return null;
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Every object whose key starts with the prefix
+  async list(prefix = '') {
+    const results = [];
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile() && entry.name !== '.gitkeep') {
+          const key = path.relative(this.root, fullPath).split(path.sep).join('/');
+          if (key.startsWith(prefix)) {
+            const stats = await fs.promises.stat(fullPath);
+            results.push({ key, size: stats.size, lastModified: stats.mtime });
+          }
+        }
+      }
+    };
+
+    // Only walk the part of the tree the prefix can match
+    const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    await walk(prefixDir ? this.localPath(prefixDir) : this.root);
+    return results;
+  }
+}
+
+module.exports = LocalStorage;
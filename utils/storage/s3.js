@@ -0,0 +1,139 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// Normalise "missing object" errors to ENOENT like the local driver
+const isNotFound = (error) => error.name === 'NoSuchKey' ||
+  error.name === 'NotFound' ||
+  (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+const notFoundError = (key) => {
+  const error = new Error(`Object not found: ${key}`);
+  error.code = 'ENOENT';
+  return error;
+};
+
+// Stores objects in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+class S3Storage {
+  constructor(options = {}) {
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || '';
+    this.client = options.client || new S3Client({
+      region: options.region || 'us-east-1',
+      endpoint: options.endpoint,
+      // MinIO and most self-hosted stand-ins need path-style addressing
+      forcePathStyle: options.forcePathStyle !== undefined ? options.forcePathStyle : Boolean(options.endpoint),
+      credentials: options.accessKeyId ? {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix + key;
+  }
+
+  async put(key, body, options = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ContentType: options.contentType,
+      ContentLength: options.contentLength
+    }));
+    return key;
+  }
+
+  async putFile(key, sourcePath, options = {}) {
+    const stats = await fs.promises.stat(sourcePath);
+    return this.put(key, fs.createReadStream(sourcePath), {
+      ...options,
+      contentLength: stats.size
+    });
+  }
+
+  async get(key) {
+    const body = await this.stream(key);
+    const chunks = [];
+    for await (const chunk of body) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // Readable stream of the object, optionally limited to an inclusive byte range
+  async stream(key, range = {}) {
+    const hasRange = range.start !== undefined || range.end !== undefined;
+
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Range: hasRange ? `bytes=${range.start || 0}-${range.end !== undefined ? range.end : ''}` : undefined
+      }));
+      return response.Body;
+    } catch (error) {
+      if (isNotFound(error)) throw notFoundError(key);
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return {
+        size: response.ContentLength,
+        lastModified: response.LastModified,
+        contentType: response.ContentType
+      };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  // Every object whose key starts with the prefix
+  async list(prefix = '') {
+    const results = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.objectKey(prefix),
+        ContinuationToken: continuationToken
+      }));
+
+      (response.Contents || []).forEach(object => {
+        results.push({
+          key: object.Key.slice(this.prefix.length),
+          size: object.Size,
+          lastModified: object.LastModified
+        });
+      });
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return results;
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,137 @@
+const Song = require('../models/Song');
+const User = require('../models/User');
+const Playlist = require('../models/Playlist');
+const Artist = require('../models/Artist');
+const Album = require('../models/Album');
+const Genre = require('../models/Genre');
+const { getStorage, keyFromUrl } = require('./storage');
+const { HLS_PREFIX } = require('./hls');
+
+// Orphans are moved here instead of being deleted outright
+const QUARANTINE_PREFIX = 'quarantine';
+
+// Objects younger than this may belong to an upload that hasn't saved its record yet
+const DEFAULT_MIN_AGE = 60 * 60 * 1000; // 1 hour
+
+const HLS_KEY_PATTERN = new RegExp(`^${HLS_PREFIX}/([0-9a-f]{24})-`);
+
+// Every storage key the database points at, with the record that references it
+const collectReferences = async () => {
+  const references = [];
+  const songIds = new Set();
+
+  const add = (key, model, id, field) => {
+    if (key) references.push({ key, model, id: id.toString(), field });
+  };
+
+  const songs = await Song.find({}).select('filePath coverArt renditions waveformPath').lean();
+  songs.forEach(song => {
+    songIds.add(song._id.toString());
+    add(song.filePath, 'Song', song._id, 'filePath');
+    add(keyFromUrl(song.coverArt), 'Song', song._id, 'coverArt');
+    add(song.waveformPath, 'Song', song._id, 'waveformPath');
+    (song.renditions || []).forEach(rendition => {
+      add(rendition.filePath, 'Song', song._id, `renditions.${rendition.quality}`);
+    });
+  });
+
+  const users = await User.find({ avatar: /^\/media\// }).select('avatar').lean();
+  users.forEach(user => add(keyFromUrl(user.avatar), 'User', user._id, 'avatar'));
+
+  const albums = await Album.find({ coverArt: /^\/media\// }).select('coverArt').lean();
+  albums.forEach(album => add(keyFromUrl(album.coverArt), 'Album', album._id, 'coverArt'));
+
+  const genres = await Genre.find({ image: /^\/media\// }).select('image').lean();
+  genres.forEach(genre => add(keyFromUrl(genre.image), 'Genre', genre._id, 'image'));
+
+  const artists = await Artist.find({ image: /^\/media\// }).select('image').lean();
+  artists.forEach(artist => add(keyFromUrl(artist.image), 'Artist', artist._id, 'image'));
+
+  const playlists = await Playlist.find({ coverImage: /^\/media\// }).select('coverImage').lean();
+  playlists.forEach(playlist => add(keyFromUrl(playlist.coverImage), 'Playlist', playlist._id, 'coverImage'));
+
+  return { references, songIds };
+};
+
+// Compare storage with the database: objects nobody references, and references with no object
+const auditStorage = async (options = {}) => {
+  const minAge = options.minAge !== undefined ? options.minAge : DEFAULT_MIN_AGE;
+  const now = Date.now();
+
+  const { references, songIds } = await collectReferences();
+  const referencedKeys = new Set(references.map(reference => reference.key));
+
+  const objects = (await getStorage().list(''))
+    .filter(object => !object.key.startsWith(`${QUARANTINE_PREFIX}/`));
+  const storedKeys = new Set(objects.map(object => object.key));
+
+  const orphans = objects.filter(object => {
+    // HLS caches belong to their song rather than to a single field
+    const hlsMatch = object.key.match(HLS_KEY_PATTERN);
+    if (hlsMatch) return !songIds.has(hlsMatch[1]);
+    return !referencedKeys.has(object.key);
+  });
+
+  const missing = references.filter(reference => !storedKeys.has(reference.key));
+
+  const sumSize = list => list.reduce((total, object) => total + (object.size || 0), 0);
+
+  return {
+    scannedAt: new Date(now),
+    objectCount: objects.length,
+    totalSize: sumSize(objects),
+    orphans: orphans.map(object => ({
+      ...object,
+      recent: object.lastModified ? now - new Date(object.lastModified).getTime() < minAge : false
+    })),
+    orphanSize: sumSize(orphans),
+    missing
+  };
+};
+
+// Orphans that are old enough to act on
+const actionableOrphans = (report) => report.orphans.filter(orphan => !orphan.recent);
+
+// Move orphans under quarantine/<timestamp>/ so they can be restored by hand
+const quarantineOrphans = async (orphans) => {
+  const storage = getStorage();
+  const batch = new Date().toISOString().replace(/[:.]/g, '-');
+  const moved = [];
+
+  for (const orphan of orphans) {
+    const destination = `${QUARANTINE_PREFIX}/${batch}/${orphan.key}`;
+    await storage.put(destination, await storage.stream(orphan.key));
+    await storage.delete(orphan.key);
+    moved.push({ key: orphan.key, destination });
+  }
+
+  return moved;
+};
+
+const deleteOrphans = async (orphans) => {
+  const storage = getStorage();
+
+  for (const orphan of orphans) {
+    await storage.delete(orphan.key);
+  }
+
+  return orphans.map(orphan => ({ key: orphan.key }));
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+module.exports = {
+  QUARANTINE_PREFIX,
+  DEFAULT_MIN_AGE,
+  collectReferences,
+  auditStorage,
+  actionableOrphans,
+  quarantineOrphans,
+  deleteOrphans,
+  formatBytes
+};
@@ -0,0 +1,87 @@
+const path = require('path');
+const { getStorage } = require('./storage');
+
+// MIME types for the audio formats accepted by the upload middleware
+const AUDIO_MIME_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.mp4': 'audio/mp4',
+  '.aac': 'audio/aac'
+};
+
+// Resolve the Content-Type for an audio file from its extension
+const getAudioMimeType = (filePath) => {
+  const extension = path.extname(filePath || '').toLowerCase();
+  return AUDIO_MIME_TYPES[extension] || 'application/octet-stream';
+};
+
+// Stream a stored object, honouring a single HTTP Range request
+const sendStoredFile = async (req, res, key, options = {}) => {
+  const storage = getStorage();
+  const stats = await storage.stat(key);
+
+  if (!stats) {
+    const error = new Error(`Stored file not found: ${key}`);
+    error.code = 'ENOENT';
+    throw error;
+  }
+
+  const fileSize = stats.size;
+
+  res.setHeader('Content-Type', options.contentType || getAudioMimeType(key));
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', options.cacheControl || 'private, max-age=3600');
+  if (stats.lastModified) {
+    res.setHeader('Last-Modified', new Date(stats.lastModified).toUTCString());
+  }
+
+  let start = 0;
+  let end = fileSize - 1;
+
+  // req.range() returns -1 for unsatisfiable and -2 for malformed ranges
+  const ranges = req.headers.range ? req.range(fileSize, { combine: true }) : null;
+
+  if (ranges === -1) {
+    res.setHeader('Content-Range', `bytes */${fileSize}`);
+    return res.status(416).end();
+  }
+
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length > 0) {
+    // Multipart byte ranges are not worth the complexity for audio; serve the first one
+    start = ranges[0].start;
+    end = ranges[0].end;
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${fileSize}`);
+  } else {
+    res.status(200);
+  }
+
+  res.setHeader('Content-Length', end - start + 1);
+
+  if (req.method === 'HEAD' || fileSize === 0) {
+    return res.end();
+  }
+
+  const stream = await storage.stream(key, { start, end });
+
+  stream.on('error', (error) => {
+    console.error('Storage stream error:', error);
+    res.destroy(error);
+  });
+
+  // Stop reading from storage when the client aborts (seeking cancels requests)
+  res.on('close', () => stream.destroy());
+
+  stream.pipe(res);
+};
+
+module.exports = {
+  AUDIO_MIME_TYPES,
+  getAudioMimeType,
+  sendStoredFile
+};
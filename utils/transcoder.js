@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+
+// Target bitrates (kbps) for each quality level users can pick in their preferences
+const QUALITY_LADDER = {
+  low: 96,
+  medium: 160,
+  high: 320
+};
+
+const QUALITY_ORDER = ['low', 'medium', 'high'];
+
+// Renditions are written locally first, then moved into storage by the caller
+const RENDITIONS_DIR = path.join(os.tmpdir(), 'tuneforge-renditions');
+
+// Default transcoder: shells out to a local ffmpeg binary and encodes MP3
+class FfmpegTranscoder {
+  constructor(options = {}) {
+    this.ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+  }
+
+  // Resolves with ffmpeg's log output (stderr)
+  run(args, { logLevel = 'error' } = {}) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(this.ffmpegPath, ['-hide_banner', '-loglevel', logLevel, '-y', ...args]);
+      let stderr = '';
+
+      ffmpeg.stderr.on('data', chunk => {
+        stderr += chunk.toString();
+      });
+
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', code => {
+        if (code === 0) {
+          resolve(stderr);
+        } else {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+    });
+  }
+
+  async transcode(inputPath, outputPath, { bitrate }) {
+    await this.run([
+      '-i', inputPath,
+      '-vn',
+      '-codec:a', 'libmp3lame',
+      '-b:a', `${bitrate}k`,
+      outputPath
+    ]);
+
+    return { filePath: outputPath, mimeType: 'audio/mpeg' };
+  }
+
+  // Split a file into an HLS playlist (index.m3u8) with short AAC segments
+  async segment(inputPath, outputDir, { bitrate, segmentDuration }) {
+    const playlistPath = path.join(outputDir, 'index.m3u8');
+
+    await this.run([
+      '-i', inputPath,
+      '-vn',
+      '-codec:a', 'aac',
+      '-b:a', `${bitrate}k`,
+      '-f', 'hls',
+      '-hls_time', String(segmentDuration),
+      '-hls_playlist_type', 'vod',
+      '-hls_segment_filename', path.join(outputDir, 'segment-%03d.ts'),
+      playlistPath
+    ]);
+
+    return { playlistPath };
+  }
+
+  // Measure EBU R128 integrated loudness (LUFS), true peak (dBTP) and loudness range (LU)
+  async analyzeLoudness(inputPath) {
+    const log = await this.run([
+      '-i', inputPath,
+      '-vn',
+      '-af', 'loudnorm=print_format=json',
+      '-f', 'null',
+      '-'
+    ], { logLevel: 'info' });
+
+    // loudnorm prints its measurements as the last JSON object in the log
+    const match = log.match(/\{[^{}]*"input_i"[^{}]*\}/);
+    if (!match) {
+      throw new Error('Could not read loudness measurements from ffmpeg output');
+    }
+
+    const stats = JSON.parse(match[0]);
+    return {
+      integrated: parseFloat(stats.input_i),
+      truePeak: parseFloat(stats.input_tp),
+      range: parseFloat(stats.input_lra)
+    };
+  }
+
+  // Decode to raw mono 16-bit PCM on a readable stream (used for waveform peaks)
+  decode(inputPath, { sampleRate }) {
+    const ffmpeg = spawn(this.ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', inputPath,
+      '-vn',
+      '-ac', '1',
+      '-ar', String(sampleRate),
+      '-f', 's16le',
+      'pipe:1'
+    ]);
+    const output = new PassThrough();
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', chunk => {
+      stderr += chunk.toString();
+    });
+
+    // Only end the stream once ffmpeg has exited cleanly, so a failed decode isn't mistaken for a short file
+    ffmpeg.stdout.pipe(output, { end: false });
+    ffmpeg.on('error', error => output.destroy(error));
+    ffmpeg.on('close', code => {
+      if (code === 0) {
+        output.end();
+      } else {
+        output.destroy(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+      }
+    });
+
+    return output;
+  }
+}
+
+// Passthrough transcoder for environments without ffmpeg; copies the source as-is
+class CopyTranscoder {
+  async transcode(inputPath, outputPath) {
+    const target = outputPath.replace(/\.[^.]+$/, path.extname(inputPath));
+    await fs.promises.copyFile(inputPath, target);
+    return { filePath: target };
+  }
+}
+
+const createDefaultTranscoder = () => {
+  if (process.env.TRANSCODER === 'copy') {
+    return new CopyTranscoder();
+  }
+  return new FfmpegTranscoder();
+};
+
+let transcoder = createDefaultTranscoder();
+
+// Swap the transcoder implementation (anything with transcode(input, output, options))
+const setTranscoder = (implementation) => {
+  transcoder = implementation;
+};
+
+const getTranscoder = () => transcoder;
+
+// Quality level a source file falls into, based on its bitrate
+const qualityForBitrate = (bitrate) => {
+  if (!bitrate) return 'medium';
+  if (bitrate >= QUALITY_LADDER.high) return 'high';
+  if (bitrate >= QUALITY_LADDER.medium) return 'medium';
+  return 'low';
+};
+
+// Produce a rendition for every ladder step at or below the source bitrate
+const createRenditions = async (inputPath, options = {}) => {
+  const sourceBitrate = options.sourceBitrate || Infinity;
+  const outputDir = options.outputDir || RENDITIONS_DIR;
+  const baseName = path.basename(inputPath, path.extname(inputPath));
+
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const renditions = [];
+
+  for (const quality of QUALITY_ORDER) {
+    const bitrate = QUALITY_LADDER[quality];
+
+    // Never upscale: a 128 kbps master doesn't get a 320 kbps rendition
+    if (bitrate > sourceBitrate) continue;
+
+    const outputPath = path.join(outputDir, `${baseName}-${quality}.mp3`);
+    const result = await transcoder.transcode(inputPath, outputPath, { bitrate, quality });
+    const stats = await fs.promises.stat(result.filePath);
+
+    renditions.push({
+      quality,
+      bitrate,
+      filePath: result.filePath.replace(/\\/g, '/'),
+      fileSize: stats.size,
+      mimeType: result.mimeType
+    });
+  }
+
+  return renditions;
+};
+
+// Highest quality the user's subscription allows
+const maxQualityForUser = (user) => {
+  const subscription = user && user.subscription;
+  const isPaid = subscription && subscription.type !== 'free' && subscription.isActive;
+  return isPaid ? 'high' : 'medium';
+};
+
+// Quality the user should get: the requested or preferred level, capped by subscription tier
+const targetQualityForUser = (user, requestedQuality) => {
+  const preferred = QUALITY_ORDER.includes(requestedQuality)
+    ? requestedQuality
+    : (user && user.preferences && user.preferences.quality) || 'medium';
+
+  const cap = QUALITY_ORDER.indexOf(maxQualityForUser(user));
+  return QUALITY_ORDER[Math.min(QUALITY_ORDER.indexOf(preferred), cap)];
+};
+
+// Pick the rendition to stream for the user. Returns null when the original file should be served.
+const selectRendition = (song, user, requestedQuality) => {
+  const renditions = song.renditions || [];
+  if (renditions.length === 0) return null;
+
+  const target = QUALITY_ORDER.indexOf(targetQualityForUser(user, requestedQuality));
+
+  // Best available rendition that doesn't exceed the target
+  for (let i = target; i >= 0; i--) {
+    const match = renditions.find(r => r.quality === QUALITY_ORDER[i]);
+    if (match) return match;
+  }
+
+  // Only higher renditions exist; fall back to the lowest one
+  return renditions.reduce((lowest, r) => (r.bitrate < lowest.bitrate ? r : lowest));
+};
+
+module.exports = {
+  QUALITY_LADDER,
+  QUALITY_ORDER,
+  FfmpegTranscoder,
+  CopyTranscoder,
+  setTranscoder,
+  getTranscoder,
+  qualityForBitrate,
+  createRenditions,
+  maxQualityForUser,
+  targetQualityForUser,
+  selectRendition
+};
@@ -0,0 +1,131 @@
+const path = require('path');
+const { getTranscoder } = require('./transcoder');
+const { getStorage, withLocalFile } = require('./storage');
+
+// Storage key prefix for peaks JSON files
+const WAVEFORM_PREFIX = 'songs/waveforms';
+const WAVEFORM_POINTS = 800;
+const DECODE_SAMPLE_RATE = 8000; // Hz, plenty for drawing peaks
+
+// Peaks are first collected per block of this many seconds, then downsampled to WAVEFORM_POINTS
+const BLOCK_DURATION = 0.01;
+
+// Waveform jobs in progress, keyed by song id
+const inFlight = new Map();
+
+// The active transcoder has to be able to decode audio for waveforms to be generated
+const isWaveformAvailable = () => typeof getTranscoder().decode === 'function';
+
+const getWaveformKey = (filePath) => `${WAVEFORM_PREFIX}/${path.basename(filePath, path.extname(filePath))}.json`;
+
+// Reduce a list of block peaks to `points` values by taking the max in each range
+const downsample = (blocks, points) => {
+  if (blocks.length <= points) return blocks;
+
+  const peaks = [];
+  for (let i = 0; i < points; i++) {
+    const start = Math.floor(i * blocks.length / points);
+    const end = Math.max(start + 1, Math.floor((i + 1) * blocks.length / points));
+    let peak = 0;
+    for (let j = start; j < end; j++) {
+      if (blocks[j] > peak) peak = blocks[j];
+    }
+    peaks.push(peak);
+  }
+  return peaks;
+};
+
+// Decode a local audio file and compute normalized (0-1) peak amplitudes
+const computePeaks = (inputPath, options = {}) => {
+  const points = options.points || WAVEFORM_POINTS;
+  const blockSize = Math.max(1, Math.round(DECODE_SAMPLE_RATE * BLOCK_DURATION));
+
+  return new Promise((resolve, reject) => {
+    const pcm = getTranscoder().decode(inputPath, { sampleRate: DECODE_SAMPLE_RATE });
+    const blocks = [];
+    let leftover = null;
+    let blockPeak = 0;
+    let blockCount = 0;
+    let totalSamples = 0;
+
+    pcm.on('data', chunk => {
+      // A sample can be split across chunks
+      const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+      leftover = usable < data.length ? data.subarray(usable) : null;
+
+      for (let offset = 0; offset < usable; offset += 2) {
+        const amplitude = Math.abs(data.readInt16LE(offset));
+        if (amplitude > blockPeak) blockPeak = amplitude;
+        if (++blockCount === blockSize) {
+          blocks.push(blockPeak);
+          blockPeak = 0;
+          blockCount = 0;
+        }
+      }
+      totalSamples += usable / 2;
+    });
+
+    pcm.on('error', reject);
+
+    pcm.on('end', () => {
+      if (blockCount > 0) blocks.push(blockPeak);
+
+      const peaks = downsample(blocks, points);
+      const max = Math.max(1, ...peaks);
+
+      resolve({
+        version: 1,
+        sampleRate: DECODE_SAMPLE_RATE,
+        duration: Math.round(totalSamples / DECODE_SAMPLE_RATE * 100) / 100,
+        points: peaks.length,
+        peaks: peaks.map(peak => Math.round(peak / max * 1000) / 1000)
+      });
+    });
+  });
+};
+
+// Compute peaks for a local file and write them to storage under `key`
+const storeWaveform = async (inputPath, key) => {
+  const waveform = await computePeaks(inputPath);
+  await getStorage().put(key, JSON.stringify(waveform), { contentType: 'application/json' });
+  return key;
+};
+
+// Peaks for a song, generating (once) and recording them on the song if they don't exist yet
+const ensureWaveform = async (song) => {
+  if (song.waveformPath) {
+    const stored = await getStorage().get(song.waveformPath).catch(error => {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    });
+    if (stored) return JSON.parse(stored.toString('utf8'));
+  }
+
+  if (!isWaveformAvailable()) return null;
+
+  const id = song._id.toString();
+  if (!inFlight.has(id)) {
+    const job = (async () => {
+      const key = getWaveformKey(song.filePath);
+      await withLocalFile(song.filePath, sourcePath => storeWaveform(sourcePath, key));
+      await song.constructor.updateOne({ _id: song._id }, { waveformPath: key });
+      return key;
+    })();
+    inFlight.set(id, job);
+    job.finally(() => inFlight.delete(id)).catch(() => {});
+  }
+
+  const key = await inFlight.get(id);
+  return JSON.parse((await getStorage().get(key)).toString('utf8'));
+};
+
+module.exports = {
+  WAVEFORM_PREFIX,
+  WAVEFORM_POINTS,
+  isWaveformAvailable,
+  getWaveformKey,
+  computePeaks,
+  storeWaveform,
+  ensureWaveform
+};
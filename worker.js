@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { startWorker } = require('./utils/jobQueue');
+
+// Registers the media processing and playlist job handlers
+require('./utils/mediaJobs');
+const { ensureSmartRefreshScheduled } = require('./utils/playlistJobs');
+
+// Database connection
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tuneforge', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+})
+.then(async () => {
+  console.log('✅ Connected to MongoDB');
+
+  await ensureSmartRefreshScheduled();
+
+  const worker = startWorker();
+  console.log(`⚙️  TuneForge worker ${worker.workerId} waiting for jobs`);
+
+  // Let the job in progress finish before exiting
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, finishing current job...`);
+    await worker.stop();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+})
+.catch(err => {
+  console.error('❌ MongoDB connection error:', err);
+  process.exit(1);
+});